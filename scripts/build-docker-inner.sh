@@ -15,9 +15,9 @@ export CCACHE_SLOPPINESS=pch_defines,time_macros
 # Ensure ccache dir exists and has correct permissions (if created by root)
 mkdir -p "$CCACHE_DIR"
 
-EMCC_EXPORT_FUNCS="['_adl_init','_adl_close','_adl_generate','_adl_generateFormat','_adl_play','_adl_playFormat','_adl_rt_noteOn','_adl_rt_noteOff','_adl_rt_pitchBend','_adl_rt_pitchBendML','_adl_rt_controllerChange','_adl_rt_patchChange','_adl_rt_resetState','_adl_panic','_adl_openData','_adl_openBankData','_adl_openBankFile','_adl_setBank','_adl_getBanksCount','_adl_getBankNames','_adl_reset','_adl_setNumChips','_adl_setNumFourOpsChn','_adl_getNumFourOpsChn','_adl_setVolumeRangeModel','_adl_switchEmulator','_adl_chipEmulatorName','_adl_setLoopEnabled','_adl_setLoopCount','_adl_setPercMode','_adl_setHVibrato','_adl_setHTremolo','_adl_setScaleModulators','_adl_setFullRangeBrightness','_adl_setAutoArpeggio','_adl_getAutoArpeggio','_adl_setChannelAllocMode','_adl_getChannelAllocMode','_adl_setSoftPanEnabled','_adl_setTempo','_adl_totalTimeLength','_adl_positionTell','_adl_positionSeek','_adl_positionRewind','_adl_atEnd','_adl_errorString','_adl_errorInfo','_adl_getBank','_adl_getInstrument','_adl_setInstrument','_adl_loadEmbeddedBank','_adl_reserveBanks','_adl_getNumChips','_adl_getNumChipsObtained','_adl_getVolumeRangeModel','_adl_setRunAtPcmRate','_adl_rt_bankChange','_adl_rt_bankChangeMSB','_adl_rt_bankChangeLSB','_adl_rt_noteAfterTouch','_adl_rt_channelAfterTouch','_adl_metaMusicTitle','_adl_metaMusicCopyright','_adl_linkedLibraryVersion','_adl_linkedVersion','_malloc','_free']"
+EMCC_EXPORT_FUNCS="['_adl_init','_adl_close','_adl_generate','_adl_generateFormat','_adl_play','_adl_playFormat','_adl_rt_noteOn','_adl_rt_noteOff','_adl_rt_pitchBend','_adl_rt_pitchBendML','_adl_rt_controllerChange','_adl_rt_patchChange','_adl_rt_resetState','_adl_panic','_adl_openData','_adl_openBankData','_adl_openBankFile','_adl_setBank','_adl_getBanksCount','_adl_getBankNames','_adl_reset','_adl_setNumChips','_adl_setNumFourOpsChn','_adl_getNumFourOpsChn','_adl_setVolumeRangeModel','_adl_switchEmulator','_adl_chipEmulatorName','_adl_setLoopEnabled','_adl_setLoopCount','_adl_setChannelEnabled','_adl_setPercMode','_adl_setHVibrato','_adl_setHTremolo','_adl_getHVibrato','_adl_getHTremolo','_adl_setScaleModulators','_adl_setFullRangeBrightness','_adl_setAutoArpeggio','_adl_getAutoArpeggio','_adl_setChannelAllocMode','_adl_getChannelAllocMode','_adl_setSoftPanEnabled','_adl_setTempo','_adl_totalTimeLength','_adl_positionTell','_adl_positionSeek','_adl_positionRewind','_adl_atEnd','_adl_errorString','_adl_errorInfo','_adl_getBank','_adl_getBankId','_adl_getFirstBank','_adl_getNextBank','_adl_getInstrument','_adl_setInstrument','_adl_loadEmbeddedBank','_adl_reserveBanks','_adl_getNumChips','_adl_getNumChipsObtained','_adl_getNumFourOpsChnObtained','_adl_describeChannels','_adl_getVolumeRangeModel','_adl_setRunAtPcmRate','_adl_rt_bankChange','_adl_rt_bankChangeMSB','_adl_rt_bankChangeLSB','_adl_rt_noteAfterTouch','_adl_rt_channelAfterTouch','_adl_rt_systemExclusive','_adl_metaMusicTitle','_adl_metaMusicCopyright','_adl_metaTrackTitleCount','_adl_metaTrackTitle','_adl_metaMarkerCount','_adl_metaMarker','_adl_loopStartTime','_adl_loopEndTime','_adl_getSongsCount','_adl_selectSongNum','_adl_trackCount','_adl_setTrackOptions','_adl_setRawEventHook','_adl_linkedLibraryVersion','_adl_linkedVersion','_malloc','_free']"
 
-EMCC_RUNTIME_METHODS="['ccall','cwrap','getValue','setValue','HEAP8','HEAP16','HEAP32','HEAPU8','HEAPU16','HEAPU32','UTF8ToString']"
+EMCC_RUNTIME_METHODS="['ccall','cwrap','getValue','setValue','HEAP8','HEAP16','HEAP32','HEAPU8','HEAPU16','HEAPU32','UTF8ToString','addFunction','removeFunction']"
 
 # Emulator profiles: "Name | CMake flags"
 EMULATOR_PROFILES=(
@@ -70,7 +70,7 @@ build_profile() {
 
     echo '>>> Linking BUNDLED version...'
     emcc -Oz -flto -s WASM=1 -s SINGLE_FILE=1 -s BINARYEN_ASYNC_COMPILATION=0 \
-        -s ALLOW_MEMORY_GROWTH=1 -s MODULARIZE=1 -s EXPORT_ES6=1 \
+        -s ALLOW_MEMORY_GROWTH=1 -s ALLOW_TABLE_GROWTH=1 -s MODULARIZE=1 -s EXPORT_ES6=1 \
         -s ENVIRONMENT=web,worker -s TEXTDECODER=1 \
         -s EXPORT_NAME=createADLMIDI \
         -s EXPORTED_FUNCTIONS="$EXPORTS" \
@@ -79,7 +79,7 @@ build_profile() {
 
     echo '>>> Linking SPLIT version (browser-only, for processor bundles)...'
     emcc -Oz -flto -s WASM=1 -s SINGLE_FILE=0 \
-        -s ALLOW_MEMORY_GROWTH=1 -s MODULARIZE=1 -s EXPORT_ES6=1 \
+        -s ALLOW_MEMORY_GROWTH=1 -s ALLOW_TABLE_GROWTH=1 -s MODULARIZE=1 -s EXPORT_ES6=1 \
         -s ENVIRONMENT=web,worker -s TEXTDECODER=1 \
         -s EXPORT_NAME=createADLMIDI \
         -s EXPORTED_FUNCTIONS="$EXPORTS" \
@@ -88,7 +88,7 @@ build_profile() {
 
     echo '>>> Linking SPLIT version (with Node support, for AdlMidiCore)...'
     emcc -Oz -flto -s WASM=1 -s SINGLE_FILE=0 \
-        -s ALLOW_MEMORY_GROWTH=1 -s MODULARIZE=1 -s EXPORT_ES6=1 \
+        -s ALLOW_MEMORY_GROWTH=1 -s ALLOW_TABLE_GROWTH=1 -s MODULARIZE=1 -s EXPORT_ES6=1 \
         -s ENVIRONMENT=web,worker,node \
         -s EXPORT_NAME=createADLMIDI \
         -s EXPORTED_FUNCTIONS="$EXPORTS" \
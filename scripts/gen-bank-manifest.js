@@ -1,5 +1,6 @@
 // Generate manifest.json for fm_banks directory
-// Only includes WOPL files since that's the only format loadable at runtime
+// Only includes WOPL files: the synth loads WOPL directly, other formats
+// must be converted first (see src/utils/bankformats.js)
 import fs from 'fs';
 import path from 'path';
 
@@ -15,7 +16,7 @@ function walkDir(dir, basePath = '') {
             const subResult = walkDir(fullPath, relativePath);
             Object.assign(result, subResult);
         } else if (entry.name.endsWith('.wopl')) {
-            // Only include WOPL files - the only format loadable at runtime
+            // Only include WOPL files - the format loadBank() takes
             const topDir = relativePath.split('/')[0];
             if (!result[topDir]) result[topDir] = [];
             result[topDir].push(relativePath);
@@ -0,0 +1,39 @@
+// Generate src/utils/embeddedbanks.js, the table getEmbeddedBanks() reads.
+// Summarizing the banks means loading each one on a player, which is too slow
+// to do on the audio thread, so it is done once here against a built core.
+// Every profile embeds the same banks; any non-slim core will do.
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { describeEmbeddedBanks } from '../src/utils/banks.js';
+
+const OUTPUT = 'src/utils/embeddedbanks.js';
+
+const corePath = process.argv[2] ?? fs.readdirSync('dist')
+    .filter(name => /^libadlmidi\.\w+\.core\.js$/.test(name))
+    .sort((a, b) => Number(b.includes('.nuked.')) - Number(a.includes('.nuked.')))
+    .map(name => path.join('dist', name))[0];
+
+if (!corePath) {
+    console.error('No non-slim core build in dist/; run npm run build:wasm first');
+    process.exit(1);
+}
+
+const { default: createADLMIDI } = await import(pathToFileURL(path.resolve(corePath)).href);
+const banks = describeEmbeddedBanks(await createADLMIDI());
+
+const content = `/**
+ * Embedded bank summaries, by bank number
+ * Generated by scripts/gen-embedded-banks.js from ${path.basename(corePath)} - do not edit
+ *
+ * @module utils/embeddedbanks
+ */
+
+/** @type {import('./banks.js').EmbeddedBankInfo[]} */
+export const EMBEDDED_BANKS = [
+${banks.map(bank => `    ${JSON.stringify(bank)},`).join('\n')}
+];
+`;
+
+fs.writeFileSync(OUTPUT, content);
+console.log(`Generated ${OUTPUT} (${banks.length} banks from ${corePath})`);
@@ -12,9 +12,228 @@ import {
     SIZEOF_ADL_INSTRUMENT,
     SIZEOF_ADL_BANK_ID,
     SIZEOF_ADL_BANK,
+    SIZEOF_ADL_MARKER_ENTRY,
+    decodeMarkerEntry,
     decodeInstrument,
+    defaultInstrument,
     encodeInstrument,
+    interpolateInstrument,
+    serializeWopl,
 } from './utils/struct.js';
+import { MORPH_BANK_ID, getEmbeddedBanks, listPlayerBanks, readPlayerWoplBank, readWoplNames } from './utils/banks.js';
+import { createMidiParserState, decodeSequencerEvent, parseMidiBytes } from './utils/midi.js';
+import { encodeWav } from './utils/wav.js';
+import { getTempoMap, getTrackNames, tryReadMidiFile, writeMidiFile } from './utils/midifile.js';
+import { VOICES_PER_CHIP, decodeChannelStates } from './utils/channels.js';
+
+/** @typedef {import('./utils/channels.js').ChipState} ChipState */
+/** @typedef {import('./utils/channels.js').VoiceState} VoiceState */
+/** @typedef {import('./utils/midifile.js').TempoChange} TempoChange */
+/** @typedef {import('./utils/banks.js').BankInfo} BankInfo */
+
+/**
+ * A marker meta event of the loaded song
+ * @typedef {Object} MusicMarker
+ * @property {string} label - Marker text
+ * @property {number} time - Song position in seconds
+ * @property {number} ticks - Song position in ticks
+ */
+
+/**
+ * Metadata of the loaded song
+ * @typedef {Object} MusicInfo
+ * @property {string} title - Song title, or empty
+ * @property {string} copyright - Copyright notice, or empty
+ * @property {string[]} trackTitles - Track names, in track order
+ * @property {MusicMarker[]} markers - Markers in song order
+ * @property {number|null} loopStart - Loop start in seconds, null if the song has no loop points
+ * @property {number|null} loopEnd - Loop end in seconds, null if the song has no loop points
+ * @property {TempoChange[]} tempoChanges - Tempo changes (Standard MIDI Files only; empty for other formats)
+ */
+
+/**
+ * MIDI event sent by the file player, with its position in the song in seconds
+ * @typedef {import('./utils/midi.js').MidiMessage & {time: number}} MidiEvent
+ */
+
+/** General MIDI percussion channel (channel 10, zero-based) */
+const PERCUSSION_CHANNEL = 9;
+
+/** ADLMIDI_TrackOptions values for adl_setTrackOptions() */
+const TRACK_OPTION_ON = 1;
+const TRACK_OPTION_OFF = 2;
+
+/**
+ * A track of the loaded song
+ * @typedef {Object} TrackInfo
+ * @property {number} track - Track number, as taken by setTrackEnabled()
+ * @property {string} name - Track name (Standard MIDI Files only), or empty
+ * @property {boolean} enabled - False if the track is muted
+ */
+
+/**
+ * Sample encodings for generate() and play() output.
+ * Values match libADLMIDI's ADLMIDI_SampleType.
+ * @readonly
+ * @enum {number}
+ */
+export const SampleFormat = Object.freeze({
+    /** Signed 16-bit integer (Int16Array) */
+    S16: 0,
+    /** 32-bit float, -1 to +1 (Float32Array) */
+    F32: 2,
+    /** 64-bit float, -1 to +1 (Float64Array) */
+    F64: 3,
+    /** Signed 32-bit integer (Int32Array) */
+    S32: 5,
+});
+
+/**
+ * Bytes per sample and output array type for each SampleFormat
+ * @type {Record<number, {size: number, ArrayType: Int16ArrayConstructor|Int32ArrayConstructor|Float32ArrayConstructor|Float64ArrayConstructor}>}
+ */
+const SAMPLE_FORMAT_INFO = {
+    [SampleFormat.S16]: { size: 2, ArrayType: Int16Array },
+    [SampleFormat.F32]: { size: 4, ArrayType: Float32Array },
+    [SampleFormat.F64]: { size: 8, ArrayType: Float64Array },
+    [SampleFormat.S32]: { size: 4, ArrayType: Int32Array },
+};
+
+/** sizeof(ADLMIDI_AudioFormat): type, containerSize, sampleOffset */
+const SIZEOF_ADL_AUDIO_FORMAT = 12;
+
+/** Float32 formats used internally and by the *Into methods */
+const F32_INTERLEAVED = Object.freeze({ sampleFormat: SampleFormat.F32, planar: false });
+const F32_PLANAR = Object.freeze({ sampleFormat: SampleFormat.F32, planar: true });
+
+/**
+ * Output format for generate() and play().
+ * @typedef {Object} OutputFormat
+ * @property {SampleFormat} [sampleFormat=SampleFormat.F32] - Sample encoding
+ * @property {boolean} [planar=false] - Return all left samples followed by all right samples
+ *                                      instead of interleaving them
+ */
+
+/**
+ * Audio returned by generate() and play(); the array type follows the output format.
+ * @typedef {Int16Array|Int32Array|Float32Array|Float64Array} AudioSamples
+ */
+
+/**
+ * Options for AdlMidiCore.create()
+ * @typedef {Object} CoreOptions
+ * @property {string} corePath - Path to the .core.js WASM loader module
+ * @property {ArrayBuffer} [wasmBinary] - Pre-loaded WASM binary (optional)
+ * @property {OutputFormat} [outputFormat] - Format of generate()/play() output (default: interleaved F32)
+ */
+
+/**
+ * One rendered stem.
+ * @typedef {Object} Stem
+ * @property {number} channel - MIDI channel (0-15)
+ * @property {number} [key] - Drum key, for percussion stems split by key
+ * @property {Float32Array} samples - Stereo interleaved audio (-1 to +1)
+ */
+
+/**
+ * Find the channels that play notes, and the drum keys used on the percussion channel.
+ * @param {import('./utils/midifile.js').MidiFile} smf
+ * @returns {{channels: number[], drumKeys: number[]}} Both sorted ascending
+ */
+function findNoteUsage(smf) {
+    const channels = new Set();
+    const drumKeys = new Set();
+    for (const track of smf.tracks) {
+        for (const event of track.events) {
+            if ((event.status & 0xF0) === 0x90 && event.data[1] > 0) {
+                const channel = event.status & 0x0F;
+                channels.add(channel);
+                if (channel === PERCUSSION_CHANNEL) {
+                    drumKeys.add(event.data[0]);
+                }
+            }
+        }
+    }
+    const ascending = (/** @type {number} */ a, /** @type {number} */ b) => a - b;
+    return { channels: [...channels].sort(ascending), drumKeys: [...drumKeys].sort(ascending) };
+}
+
+/**
+ * Rewrite a MIDI file so the percussion channel only plays one key.
+ * @param {import('./utils/midifile.js').MidiFile} smf
+ * @param {number} key - Drum key to keep
+ * @returns {Uint8Array} SMF data
+ */
+function filterDrumKey(smf, key) {
+    const isOtherDrumNote = (/** @type {import('./utils/midifile.js').MidiFileEvent} */ event) => {
+        const command = event.status & 0xF0;
+        return (event.status & 0x0F) === PERCUSSION_CHANNEL && event.status < 0xF0 &&
+            (command === 0x80 || command === 0x90 || command === 0xA0) && event.data[0] !== key;
+    };
+    return writeMidiFile({
+        ...smf,
+        tracks: smf.tracks.map(track => ({ events: track.events.filter(e => !isOtherDrumNote(e)) })),
+    });
+}
+
+/**
+ * Strip leading and trailing frames that would be silent in 16-bit output.
+ * @param {Float32Array} samples - Stereo interleaved samples
+ * @returns {Float32Array}
+ */
+function trimSilence(samples) {
+    const threshold = 1 / 32768;
+    const audible = (/** @type {number} */ frame) =>
+        Math.abs(samples[frame * 2]) >= threshold || Math.abs(samples[frame * 2 + 1]) >= threshold;
+
+    const frames = samples.length / 2;
+    let start = 0;
+    while (start < frames && !audible(start)) start++;
+    let end = frames;
+    while (end > start && !audible(end - 1)) end--;
+
+    return samples.slice(start * 2, end * 2);
+}
+
+/**
+ * Options for morphInstrument()
+ * @typedef {Object} MorphOptions
+ * @property {{percussive: boolean, msb: number, lsb: number}} [bankId] - Bank holding the morphed instrument
+ *     (default: melodic bank MSB 100, LSB 0, which MIDI files do not select, so loaded banks are left alone)
+ * @property {number} [program] - Program slot the morph writes to (default: the channel number,
+ *     so morphs on different channels do not share a slot)
+ * @property {number} [threshold=0.5] - Position (0-1) at which discrete fields switch, see interpolateInstrument()
+ */
+
+/**
+ * Player settings set through AdlMidiCore that libADLMIDI cannot report back
+ * @typedef {Object} PlayerSettings
+ * @property {number} [emulator]
+ * @property {boolean} [runAtPcmRate]
+ * @property {boolean} [scaleModulators]
+ * @property {boolean} [fullRangeBrightness]
+ * @property {boolean} [softPan]
+ * @property {number} [tempo]
+ */
+
+/**
+ * A morph in progress
+ * @typedef {Object} Morph
+ * @property {import('./utils/struct.js').Instrument} from
+ * @property {import('./utils/struct.js').Instrument} to
+ * @property {{percussive: boolean, msb: number, lsb: number}} bankId
+ * @property {number} program
+ * @property {number} frames - Length in frames
+ * @property {number} elapsed - Frames rendered since the start
+ * @property {import('./utils/struct.js').Instrument} inst - Blended instrument, reused every block
+ * @property {{threshold: number, into: import('./utils/struct.js').Instrument}} blendOptions - interpolateInstrument() options
+ * @property {Uint8Array} bytes - Encoded instrument, reused every block
+ */
+
+/**
+ * An embedded bank and the settings it was made for.
+ * @typedef {import('./utils/banks.js').EmbeddedBankInfo} EmbeddedBankInfo
+ */
 
 /**
  * Low-level OPL3 synthesis interface.
@@ -45,9 +264,7 @@ export class AdlMidiCore {
     /**
      * Create a new AdlMidiCore instance.
      *
-     * @param {Object} options
-     * @param {string} options.corePath - Path to the .core.js WASM loader module
-     * @param {ArrayBuffer} [options.wasmBinary] - Pre-loaded WASM binary (optional)
+     * @param {CoreOptions} options
      * @returns {Promise<AdlMidiCore>}
      */
     static async create(options) {
@@ -68,8 +285,15 @@ export class AdlMidiCore {
         core._module = await createADLMIDI(moduleConfig);
         core._player = null;
         core._sampleRate = 44100;
-        core._audioBuffer = null;
         core._audioBufferPtr = null;
+        core._audioBufferSize = 0;
+        core._formatPtr = null;
+        core._heapF32 = null;
+        if (options.outputFormat) {
+            core.setOutputFormat(options.outputFormat);
+        }
+        core._midiParserState = createMidiParserState();
+        core._midiData = null;
 
         return core;
     }
@@ -81,10 +305,44 @@ export class AdlMidiCore {
         this._player = null;
         /** @private @type {number} */
         this._sampleRate = 44100;
-        /** @private @type {Float32Array|null} */
-        this._audioBuffer = null;
         /** @private @type {number|null} */
         this._audioBufferPtr = null;
+        /** @private @type {number} */
+        this._audioBufferSize = 0;
+        /** @private @type {number|null} */
+        this._formatPtr = null;
+        /** @private @type {Float32Array|null} */
+        this._heapF32 = null;
+        /** @private @type {Required<OutputFormat>} */
+        this._outputFormat = { sampleFormat: SampleFormat.F32, planar: false };
+        /** @private @type {import('./utils/midi.js').MidiParserState} */
+        this._midiParserState = createMidiParserState();
+        /** @private @type {Uint8Array|null} */
+        this._midiData = null;
+        /** @type {Map<string, import('./utils/banks.js').BankNames>} Names from the last loaded WOPL bank */
+        this._bankNames = new Map();
+        /** @private @type {Map<number, Morph>} Morphs in progress, by channel */
+        this._morphs = new Map();
+        /** @private @type {number|null} ADL_BankId, ADL_Bank and ADL_Instrument reused by _advanceMorphs() */
+        this._morphPtr = null;
+        /** @private @type {Set<(events: MidiEvent[]) => void>} */
+        this._midiEventHandlers = new Set();
+        /** @private @type {MidiEvent[]} Events collected during the current render */
+        this._midiEvents = [];
+        /** @private @type {number|null} Raw event hook in the WASM function table */
+        this._rawEventHookPtr = null;
+        /** @private @type {number} Muted file player channels, one bit per channel */
+        this._channelMuteMask = 0;
+        /** @private @type {Set<number>} Muted tracks of the loaded song */
+        this._mutedTracks = new Set();
+        /** @private @type {boolean} Loop setting from setLooping() */
+        this._looping = false;
+        /** @private @type {number} Song of the loaded file chosen with selectSong() */
+        this._song = 0;
+        /** @private @type {PlayerSettings} Settings libADLMIDI has no getter for, as last set */
+        this._playerSettings = {};
+        /** @private @type {boolean} Set while renderToWav() or renderStems() runs */
+        this._renderingSong = false;
     }
 
     /**
@@ -100,10 +358,16 @@ export class AdlMidiCore {
 
         this._sampleRate = sampleRate;
         this._player = this._module._adl_init(sampleRate);
+        this._looping = false;
+        this._playerSettings = {};
 
         if (!this._player) {
             throw new Error('Failed to initialize ADL MIDI player');
         }
+        if (this._rawEventHookPtr) {
+            this._module._adl_setRawEventHook(this._player, this._rawEventHookPtr, 0);
+        }
+        this._applyMutes();
 
         return true;
     }
@@ -115,13 +379,27 @@ export class AdlMidiCore {
         if (this._audioBufferPtr) {
             this._module._free(this._audioBufferPtr);
             this._audioBufferPtr = null;
-            this._audioBuffer = null;
+            this._audioBufferSize = 0;
         }
 
+        if (this._formatPtr) {
+            this._module._free(this._formatPtr);
+            this._formatPtr = null;
+        }
+
+        if (this._morphPtr) {
+            this._module._free(this._morphPtr);
+            this._morphPtr = null;
+        }
+
+        this._midiEventHandlers.clear();
+        this._removeRawEventHook();
+
         if (this._player) {
             this._module._adl_close(this._player);
             this._player = null;
         }
+        this._morphs.clear();
     }
 
     /**
@@ -160,7 +438,11 @@ export class AdlMidiCore {
      */
     setBank(bank) {
         this._ensurePlayer();
-        return this._module._adl_setBank(this._player, bank) === 0;
+        const ok = this._module._adl_setBank(this._player, bank) === 0;
+        if (ok) {
+            this._bankNames = new Map();
+        }
+        return ok;
     }
 
     /**
@@ -172,6 +454,14 @@ export class AdlMidiCore {
     loadBankData(data) {
         this._ensurePlayer();
         const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+        /** @type {Map<string, import('./utils/banks.js').BankNames>} */
+        let names;
+        try {
+            names = readWoplNames(bytes);
+        } catch {
+            // The player decides whether the data is a bank; names stay unknown
+            names = new Map();
+        }
 
         const ptr = this._module._malloc(bytes.length);
         this._module.HEAPU8.set(bytes, ptr);
@@ -179,6 +469,9 @@ export class AdlMidiCore {
         const result = this._module._adl_openBankData(this._player, ptr, bytes.length);
 
         this._module._free(ptr);
+        if (result === 0) {
+            this._bankNames = names;
+        }
         return result === 0;
     }
 
@@ -192,22 +485,18 @@ export class AdlMidiCore {
     }
 
     /**
-     * Get list of embedded banks with their names.
+     * Get the embedded banks with their names and the settings they were made for.
      *
-     * @returns {{id: number, name: string}[]} Array of bank info objects
+     * Banks are read from a table generated at build time, so the current
+     * player is not touched and `init()` is not required.
+     *
+     * @returns {EmbeddedBankInfo[]} Embedded banks, by bank number
+     * @example
+     * const fourOpBanks = core.getEmbeddedBanks().filter(b => b.fourOp);
+     * core.setBank(fourOpBanks[0].id);
      */
     getEmbeddedBanks() {
-        const count = this._module._adl_getBanksCount();
-        const namesPtr = this._module._adl_getBankNames();
-        const banks = [];
-
-        for (let i = 0; i < count; i++) {
-            const strPtr = this._module.getValue(namesPtr + i * 4, 'i32');
-            const name = strPtr ? this._module.UTF8ToString(strPtr) : `Bank ${i}`;
-            banks.push({ id: i, name });
-        }
-
-        return banks;
+        return getEmbeddedBanks(this._module);
     }
 
     /**
@@ -250,6 +539,7 @@ export class AdlMidiCore {
     setScaleModulators(enabled) {
         this._ensurePlayer();
         this._module._adl_setScaleModulators(this._player, enabled ? 1 : 0);
+        this._playerSettings.scaleModulators = enabled;
     }
 
     /**
@@ -260,6 +550,7 @@ export class AdlMidiCore {
     setFullRangeBrightness(enabled) {
         this._ensurePlayer();
         this._module._adl_setFullRangeBrightness(this._player, enabled ? 1 : 0);
+        this._playerSettings.fullRangeBrightness = enabled;
     }
 
     /**
@@ -310,6 +601,7 @@ export class AdlMidiCore {
     setSoftPan(enabled) {
         this._ensurePlayer();
         this._module._adl_setSoftPanEnabled(this._player, enabled ? 1 : 0);
+        this._playerSettings.softPan = enabled;
     }
 
     /**
@@ -340,7 +632,11 @@ export class AdlMidiCore {
      */
     switchEmulator(emulator) {
         this._ensurePlayer();
-        return this._module._adl_switchEmulator(this._player, emulator) === 0;
+        const ok = this._module._adl_switchEmulator(this._player, emulator) === 0;
+        if (ok) {
+            this._playerSettings.emulator = emulator;
+        }
+        return ok;
     }
 
     /**
@@ -398,6 +694,37 @@ export class AdlMidiCore {
         return this._module._adl_getNumChipsObtained(this._player);
     }
 
+    /**
+     * Describe what every OPL3 voice is doing right now.
+     *
+     * One entry per chip in use, each with its 23 voices: whether a note is
+     * sounding, which MIDI channel it belongs to, and 4-op pairing.
+     *
+     * @returns {ChipState[]}
+     * @example
+     * const busy = core.getChannelStates()
+     *     .flatMap(chip => chip.voices.filter(v => v.state !== 'off').map(v => [chip.chip, v.voice, v.midiChannel]));
+     */
+    getChannelStates() {
+        this._ensurePlayer();
+        const numChips = this._module._adl_getNumChipsObtained(this._player);
+        const size = numChips * VOICES_PER_CHIP + 1;
+        const textPtr = this._module._malloc(size * 2);
+        const attrPtr = textPtr + size;
+
+        try {
+            this._module._adl_describeChannels(this._player, textPtr, attrPtr, size);
+            return decodeChannelStates(
+                this._module.HEAPU8.subarray(textPtr, textPtr + size),
+                this._module.HEAPU8.subarray(attrPtr, attrPtr + size),
+                numChips,
+                this._module._adl_getNumFourOpsChnObtained(this._player)
+            );
+        } finally {
+            this._module._free(textPtr);
+        }
+    }
+
     /**
      * Get the volume range model.
      *
@@ -426,7 +753,11 @@ export class AdlMidiCore {
      */
     setRunAtPcmRate(enabled) {
         this._ensurePlayer();
-        return this._module._adl_setRunAtPcmRate(this._player, enabled ? 1 : 0) === 0;
+        const ok = this._module._adl_setRunAtPcmRate(this._player, enabled ? 1 : 0) === 0;
+        if (ok) {
+            this._playerSettings.runAtPcmRate = enabled;
+        }
+        return ok;
     }
 
     // =========================================================================
@@ -547,37 +878,93 @@ export class AdlMidiCore {
     }
 
     /**
-     * Generate audio samples (real-time synthesis).
+     * Send a System Exclusive message.
      *
-     * @param {number} frames - Number of stereo frames to generate
-     * @returns {Float32Array} Stereo interleaved audio samples (-1 to +1)
+     * Supports the GM/GS/XG resets, master volume and the other messages
+     * understood by libADLMIDI.
+     *
+     * @param {Uint8Array|number[]} data - Complete message including F0 and F7
+     * @returns {boolean} True if the message was recognized and applied
      */
-    generate(frames) {
+    systemExclusive(data) {
         this._ensurePlayer();
+        const bytes = Uint8Array.from(data);
 
-        const samples = frames * 2; // Stereo
-        const bytes = samples * 2;  // Int16
+        const ptr = this._module._malloc(bytes.length);
+        this._module.HEAPU8.set(bytes, ptr);
 
-        // Allocate/reuse buffer
-        if (!this._audioBufferPtr || !this._audioBuffer || this._audioBuffer.length < samples) {
-            if (this._audioBufferPtr) {
-                this._module._free(this._audioBufferPtr);
-            }
-            this._audioBufferPtr = this._module._malloc(bytes);
-            this._audioBuffer = new Float32Array(samples);
-        }
+        const result = this._module._adl_rt_systemExclusive(this._player, ptr, bytes.length);
 
-        // Generate audio (Int16 output)
-        this._module._adl_generate(this._player, samples, this._audioBufferPtr);
+        this._module._free(ptr);
+        return result > 0;
+    }
 
-        // Convert Int16 to Float32
-        const heap16 = this._module.HEAP16;
-        const offset = /** @type {number} */ (this._audioBufferPtr) >> 1; // Byte offset to Int16 offset
-        for (let i = 0; i < samples; i++) {
-            /** @type {Float32Array} */ (this._audioBuffer)[i] = heap16[offset + i] / 32768;
+    /**
+     * Send raw MIDI bytes.
+     *
+     * Accepts any mix of channel messages (with running status) and SysEx.
+     * Running status and unfinished messages carry over to the next call.
+     *
+     * @param {Uint8Array|number[]} data - Raw MIDI bytes
+     */
+    sendMidi(data) {
+        this._ensurePlayer();
+        for (const message of parseMidiBytes(data, this._midiParserState)) {
+            this._dispatchMidiMessage(message);
+        }
+    }
+
+    /**
+     * Set the format of generate() and play() output.
+     *
+     * libADLMIDI writes the requested format directly, so float output keeps
+     * the headroom that 16-bit output would clip.
+     *
+     * @param {OutputFormat} format
+     */
+    setOutputFormat(format) {
+        const sampleFormat = format.sampleFormat ?? SampleFormat.F32;
+        if (!(sampleFormat in SAMPLE_FORMAT_INFO)) {
+            throw new Error(`Unsupported sample format: ${sampleFormat}`);
         }
+        this._outputFormat = { sampleFormat, planar: format.planar ?? false };
+    }
+
+    /**
+     * Get the format of generate() and play() output.
+     *
+     * @returns {Required<OutputFormat>}
+     */
+    getOutputFormat() {
+        return { ...this._outputFormat };
+    }
 
-        return /** @type {Float32Array} */ (this._audioBuffer).slice(0, samples);
+    /**
+     * Generate audio samples (real-time synthesis).
+     *
+     * @param {number} frames - Number of stereo frames to generate
+     * @returns {AudioSamples} Stereo audio in the output format (interleaved Float32Array by default)
+     */
+    generate(frames) {
+        this._ensurePlayer();
+        return this._render(this._module._adl_generateFormat, frames, this._outputFormat);
+    }
+
+    /**
+     * Generate audio into a caller-supplied buffer (real-time synthesis).
+     *
+     * Allocates nothing per call, so it is safe to use from audio callbacks.
+     * The target holds `target.length / 2` stereo frames.
+     *
+     * @param {Float32Array} target - Destination for samples (-1 to +1)
+     * @param {Object} [options]
+     * @param {boolean} [options.planar=false] - Write left samples to the first half
+     *                                           and right samples to the second half
+     * @returns {number} Number of frames written
+     */
+    generateInto(target, options) {
+        this._ensurePlayer();
+        return this._renderInto(this._module._adl_generateFormat, target, options?.planar ?? false);
     }
 
     // =========================================================================
@@ -594,13 +981,13 @@ export class AdlMidiCore {
         this._ensurePlayer();
         const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
 
-        const ptr = this._module._malloc(bytes.length);
-        this._module.HEAPU8.set(bytes, ptr);
-
-        const result = this._module._adl_openData(this._player, ptr, bytes.length);
-
-        this._module._free(ptr);
-        return result === 0;
+        // The song number outlives the file; start new files at their first song
+        this._module._adl_selectSongNum(this._player, 0);
+        this._song = 0;
+        this._mutedTracks.clear();
+        const ok = this._openMidi(bytes);
+        this._midiData = ok ? new Uint8Array(bytes) : null;
+        return ok;
     }
 
     /**
@@ -626,34 +1013,230 @@ export class AdlMidiCore {
     }
 
     /**
-     * Play MIDI file and generate audio.
+     * Get the metadata of the loaded MIDI file: titles, markers, loop
+     * points and tempo changes.
      *
-     * @param {number} frames - Number of stereo frames to generate
-     * @returns {Float32Array} Stereo interleaved audio samples (-1 to +1)
+     * @returns {MusicInfo}
+     * @example
+     * synth.loadMidi(midiData);
+     * const { markers, loopStart } = synth.getMusicInfo();
+     * for (const m of markers) console.log(m.time.toFixed(2), m.label);
      */
-    play(frames) {
+    getMusicInfo() {
         this._ensurePlayer();
+        const module = this._module;
 
-        const samples = frames * 2;
-        const bytes = samples * 2;
+        const trackTitles = [];
+        const trackCount = module._adl_metaTrackTitleCount(this._player);
+        for (let i = 0; i < trackCount; i++) {
+            const ptr = module._adl_metaTrackTitle(this._player, i);
+            trackTitles.push(ptr ? module.UTF8ToString(ptr) : '');
+        }
 
-        if (!this._audioBufferPtr || !this._audioBuffer || this._audioBuffer.length < samples) {
-            if (this._audioBufferPtr) {
-                this._module._free(this._audioBufferPtr);
+        /** @type {MusicMarker[]} */
+        const markers = [];
+        const markerCount = module._adl_metaMarkerCount(this._player);
+        const entryPtr = module._malloc(SIZEOF_ADL_MARKER_ENTRY);
+        try {
+            for (let i = 0; i < markerCount; i++) {
+                // Struct return: the entry is written through a hidden first argument
+                module._adl_metaMarker(entryPtr, this._player, i);
+                const { labelPtr, time, ticks } = decodeMarkerEntry(module.HEAPU8.subarray(entryPtr, entryPtr + SIZEOF_ADL_MARKER_ENTRY));
+                markers.push({ label: labelPtr ? module.UTF8ToString(labelPtr) : '', time, ticks });
             }
-            this._audioBufferPtr = this._module._malloc(bytes);
-            this._audioBuffer = new Float32Array(samples);
+        } finally {
+            module._free(entryPtr);
+        }
+
+        const loopStart = module._adl_loopStartTime(this._player);
+        const loopEnd = module._adl_loopEndTime(this._player);
+        const smf = this._midiData && tryReadMidiFile(this._midiData);
+
+        return {
+            title: this.getMusicTitle(),
+            copyright: this.getMusicCopyright(),
+            trackTitles,
+            markers,
+            loopStart: loopStart >= 0 ? loopStart : null,
+            loopEnd: loopEnd >= 0 ? loopEnd : null,
+            tempoChanges: smf ? getTempoMap(smf) : []
+        };
+    }
+
+    /**
+     * Get the number of songs in the loaded file. XMI files can hold
+     * several; other formats have one.
+     *
+     * @returns {number} Song count, 0 if no file is loaded
+     */
+    getSongCount() {
+        this._ensurePlayer();
+        if (!this._midiData) return 0;
+        return Math.max(1, this._module._adl_getSongsCount(this._player));
+    }
+
+    /**
+     * Switch to another song of the loaded file. The file is reopened,
+     * so playback restarts at the beginning of the new song.
+     *
+     * @param {number} song - Song number (0 to getSongCount() - 1)
+     * @returns {boolean} True if successful
+     * @example
+     * synth.loadMidi(readFileSync('music.xmi'));
+     * for (let song = 0; song < synth.getSongCount(); song++) {
+     *     synth.selectSong(song);
+     *     writeFileSync(`cue-${song}.wav`, synth.renderToWav());
+     * }
+     */
+    selectSong(song) {
+        this._ensurePlayer();
+        if (!this._midiData) return false;
+        if (!Number.isInteger(song) || song < 0 || song >= this.getSongCount()) {
+            throw new Error(`Song number out of range: ${song}`);
+        }
+
+        this._module._adl_selectSongNum(this._player, song);
+        this._song = song;
+        this._midiEvents = [];
+        this._mutedTracks.clear();
+        return this._openMidi(this._midiData);
+    }
+
+    // =========================================================================
+    // Mute and Solo
+    // =========================================================================
+
+    /**
+     * Mute or unmute a MIDI channel of the file player. Channel mutes are
+     * kept when another file is loaded; real-time input is not affected.
+     *
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {boolean} enabled - False to mute the channel
+     * @returns {boolean} True if successful
+     */
+    setChannelEnabled(channel, enabled) {
+        this._ensurePlayer();
+        if (!Number.isInteger(channel) || channel < 0 || channel > 15) return false;
+
+        const bit = 1 << channel;
+        this._channelMuteMask = enabled ? this._channelMuteMask & ~bit : this._channelMuteMask | bit;
+        return this._module._adl_setChannelEnabled(this._player, channel, enabled ? 1 : 0) === 0;
+    }
+
+    /**
+     * Mute every file player channel but one, or unmute them all.
+     *
+     * @param {number|null} channel - Channel to solo (0-15), or null to clear the solo
+     * @returns {boolean} True if successful
+     * @example
+     * synth.soloChannel(1);     // Bass only
+     * synth.soloChannel(null);  // Everything again
+     */
+    soloChannel(channel) {
+        this._ensurePlayer();
+        if (channel !== null && (!Number.isInteger(channel) || channel < 0 || channel > 15)) return false;
+
+        this._channelMuteMask = channel === null ? 0 : 0xFFFF & ~(1 << channel);
+        this._applyMutes();
+        return true;
+    }
+
+    /**
+     * Get the muted file player channels.
+     *
+     * @returns {number} Bit mask with bit n set when channel n is muted
+     */
+    getChannelMuteMask() {
+        return this._channelMuteMask;
+    }
+
+    /**
+     * Mute or unmute a track of the loaded song. Track mutes are cleared
+     * when a file is loaded or another song is selected.
+     *
+     * @param {number} track - Track number (0 to getTracks().length - 1)
+     * @param {boolean} enabled - False to mute the track
+     * @returns {boolean} True if successful
+     */
+    setTrackEnabled(track, enabled) {
+        this._ensurePlayer();
+        if (!this._isTrack(track)) return false;
+
+        if (enabled) {
+            this._mutedTracks.delete(track);
+        } else {
+            this._mutedTracks.add(track);
         }
+        const option = enabled ? TRACK_OPTION_ON : TRACK_OPTION_OFF;
+        return this._module._adl_setTrackOptions(this._player, track, option) === 0;
+    }
 
-        this._module._adl_play(this._player, samples, this._audioBufferPtr);
+    /**
+     * Mute every track of the loaded song but one, or unmute them all.
+     *
+     * @param {number|null} track - Track to solo, or null to clear the solo
+     * @returns {boolean} True if successful
+     */
+    soloTrack(track) {
+        this._ensurePlayer();
+        if (track !== null && !this._isTrack(track)) return false;
 
-        const heap16 = this._module.HEAP16;
-        const offset = /** @type {number} */ (this._audioBufferPtr) >> 1;
-        for (let i = 0; i < samples; i++) {
-            /** @type {Float32Array} */ (this._audioBuffer)[i] = heap16[offset + i] / 32768;
+        const count = this._module._adl_trackCount(this._player);
+        this._mutedTracks.clear();
+        for (let i = 0; i < count; i++) {
+            if (track !== null && i !== track) this._mutedTracks.add(i);
         }
+        this._applyMutes();
+        return true;
+    }
+
+    /**
+     * List the tracks of the loaded song.
+     *
+     * @returns {TrackInfo[]}
+     */
+    getTracks() {
+        this._ensurePlayer();
+        if (!this._midiData) return [];
+
+        const count = this._module._adl_trackCount(this._player);
+        const smf = tryReadMidiFile(this._midiData);
+        const names = smf ? getTrackNames(smf) : [];
+        return Array.from({ length: count }, (_, track) => ({
+            track,
+            name: names[track] ?? '',
+            enabled: !this._mutedTracks.has(track)
+        }));
+    }
+
+    /**
+     * Play MIDI file and generate audio.
+     *
+     * Returns fewer frames than requested when the song ends.
+     *
+     * @param {number} frames - Number of stereo frames to generate
+     * @returns {AudioSamples} Stereo audio in the output format (interleaved Float32Array by default)
+     */
+    play(frames) {
+        this._ensurePlayer();
+        return this._render(this._module._adl_playFormat, frames, this._outputFormat);
+    }
 
-        return /** @type {Float32Array} */ (this._audioBuffer).slice(0, samples);
+    /**
+     * Play MIDI file into a caller-supplied buffer.
+     *
+     * Allocates nothing per call. When the song ends, fewer frames than the
+     * target holds are written; the rest of the target is left untouched.
+     *
+     * @param {Float32Array} target - Destination for samples (-1 to +1)
+     * @param {Object} [options]
+     * @param {boolean} [options.planar=false] - Write left samples to the first half
+     *                                           and right samples to the second half
+     * @returns {number} Number of frames written
+     */
+    playInto(target, options) {
+        this._ensurePlayer();
+        return this._renderInto(this._module._adl_playFormat, target, options?.planar ?? false);
     }
 
     /**
@@ -684,6 +1267,8 @@ export class AdlMidiCore {
     seek(seconds) {
         this._ensurePlayer();
         this._module._adl_positionSeek(this._player, seconds);
+        // Events passed over while seeking were not heard
+        this._midiEvents = [];
     }
 
     /**
@@ -711,6 +1296,7 @@ export class AdlMidiCore {
      */
     setLooping(enabled) {
         this._ensurePlayer();
+        this._looping = enabled;
         this._module._adl_setLoopEnabled(this._player, enabled ? 1 : 0);
     }
 
@@ -722,6 +1308,201 @@ export class AdlMidiCore {
     setTempo(tempo) {
         this._ensurePlayer();
         this._module._adl_setTempo(this._player, tempo);
+        this._playerSettings.tempo = tempo;
+    }
+
+    /**
+     * Receive the MIDI events the file player sends to the synth.
+     *
+     * Events are collected while `play()` or `playInto()` renders and passed
+     * to `handler` in one batch after each call, in playback order. Only
+     * channel voice messages are reported (notes, controllers, programs,
+     * aftertouch and pitch bend). Renders by `renderToWav()` and
+     * `renderStems()` report nothing.
+     *
+     * @param {(events: MidiEvent[]) => void} handler - Called with each batch
+     * @returns {() => void} Unsubscribe function
+     * @example
+     * const held = new Set();
+     * core.onMidiEvent(events => {
+     *     for (const e of events) {
+     *         if (e.type === 'noteOn') held.add(`${e.channel}:${e.note}`);
+     *         if (e.type === 'noteOff') held.delete(`${e.channel}:${e.note}`);
+     *     }
+     * });
+     */
+    onMidiEvent(handler) {
+        this._ensurePlayer();
+        this._midiEventHandlers.add(handler);
+
+        if (!this._rawEventHookPtr) {
+            this._rawEventHookPtr = this._module.addFunction(
+                /** @type {(userData: number, type: number, subtype: number, channel: number, data: number, length: number) => void} */
+                (_userData, type, _subtype, channel, data, length) => {
+                    if (this._renderingSong) return;
+                    const message = decodeSequencerEvent(type, channel, this._module.HEAPU8.subarray(data, data + length));
+                    if (message) {
+                        this._midiEvents.push({ ...message, time: this._module._adl_positionTell(this._player) });
+                    }
+                },
+                'viiiiii'
+            );
+            this._module._adl_setRawEventHook(this._player, this._rawEventHookPtr, 0);
+        }
+
+        return () => {
+            if (this._midiEventHandlers.delete(handler) && this._midiEventHandlers.size === 0) {
+                this._removeRawEventHook();
+            }
+        };
+    }
+
+    /**
+     * Render the loaded song to a complete WAV file.
+     *
+     * Rewinds the song, plays it through (repeating its loop `loops` times),
+     * then keeps the synth running for `tail` seconds so releases can ring
+     * out. The playback position and loop setting are restored afterwards.
+     *
+     * A `sampleRate` other than the one passed to init() renders on a
+     * temporary player at that rate, set up with this one's banks, settings,
+     * song and mutes, and freed afterwards.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.sampleRate] - Output sample rate (default: the init() rate)
+     * @param {import('./utils/wav.js').WavBitDepth} [options.bitDepth=16] - 16/24-bit PCM or 32-bit float
+     * @param {number} [options.loops=0] - Times to repeat the song's loop (0 = play once)
+     * @param {number} [options.tail=0] - Seconds to keep rendering after the song ends
+     * @param {number} [options.fadeOut=0] - Seconds of linear fade-out at the end
+     * @param {boolean} [options.trimSilence=false] - Strip leading and trailing silence
+     * @param {(progress: number) => void} [options.onProgress] - Called with 0..1 as rendering proceeds
+     * @returns {Uint8Array} WAV file data
+     * @example
+     * synth.loadMidi(midiData);
+     * const wav = synth.renderToWav({ loops: 2, fadeOut: 5, bitDepth: 24 });
+     */
+    renderToWav(options = {}) {
+        this._ensurePlayer();
+
+        const sampleRate = options.sampleRate ?? this._sampleRate;
+        if (!(sampleRate > 0)) {
+            throw new Error(`Invalid sample rate: ${sampleRate}`);
+        }
+        const render = () => this._renderSong(options.loops ?? 0, options.tail ?? 0, options.onProgress);
+        let samples = sampleRate === this._sampleRate
+            ? this._restoringPlayback(render)
+            : this._renderingAt(sampleRate, render);
+
+        if (options.trimSilence) {
+            samples = trimSilence(samples);
+        }
+
+        const fadeFrames = Math.min(Math.round((options.fadeOut ?? 0) * sampleRate), samples.length / 2);
+        const fadeStart = samples.length / 2 - fadeFrames;
+        for (let i = 0; i < fadeFrames; i++) {
+            const gain = 1 - (i + 1) / fadeFrames;
+            samples[(fadeStart + i) * 2] *= gain;
+            samples[(fadeStart + i) * 2 + 1] *= gain;
+        }
+
+        options.onProgress?.(1);
+        return encodeWav(samples, sampleRate, { bitDepth: options.bitDepth });
+    }
+
+    /**
+     * Render each MIDI channel of the loaded song to its own stereo buffer.
+     *
+     * The song is rendered once per stem with every other channel muted, so
+     * all stems share the timing of the full mix and have the same length.
+     * libADLMIDI mixes every channel inside the emulated chips and has no
+     * per-channel output, so a single pass cannot be split. Each stem gets
+     * the chip voices to itself and starts from the chip state the previous
+     * render left, so the stems do not add up exactly to the mix.
+     * For Standard MIDI Files only channels that play notes are returned;
+     * for other formats, silent channels are dropped after rendering.
+     *
+     * Muted tracks stay muted. Channel mutes are set aside while rendering
+     * and restored afterwards, as are the playback position and loop setting.
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.splitPercussion=false] - Render each drum key of channel 10 separately (SMF only)
+     * @param {number} [options.loops=0] - Times to repeat the song's loop (0 = play once)
+     * @param {number} [options.tail=0] - Seconds to keep rendering after the song ends
+     * @param {(progress: number) => void} [options.onProgress] - Called with 0..1 as rendering proceeds
+     * @returns {Stem[]} Stems ordered by channel, then drum key
+     * @example
+     * synth.loadMidi(midiData);
+     * for (const stem of synth.renderStems({ splitPercussion: true })) {
+     *     const name = stem.key === undefined ? `ch${stem.channel + 1}` : `drum${stem.key}`;
+     *     writeFileSync(`${name}.wav`, encodeWav(stem.samples, 44100));
+     * }
+     */
+    renderStems(options = {}) {
+        this._ensurePlayer();
+        if (!this._midiData) {
+            throw new Error('No MIDI file loaded');
+        }
+
+        const original = this._midiData;
+        const smf = tryReadMidiFile(original);
+        if (options.splitPercussion && !smf) {
+            throw new Error('Splitting percussion requires a Standard MIDI File');
+        }
+
+        /** @type {{channel: number, key?: number, midi: Uint8Array}[]} */
+        const jobs = [];
+        if (smf) {
+            const { channels, drumKeys } = findNoteUsage(smf);
+            for (const channel of channels) {
+                if (channel === PERCUSSION_CHANNEL && options.splitPercussion) {
+                    for (const key of drumKeys) {
+                        jobs.push({ channel, key, midi: filterDrumKey(smf, key) });
+                    }
+                } else {
+                    jobs.push({ channel, midi: original });
+                }
+            }
+        } else {
+            for (let channel = 0; channel < 16; channel++) {
+                jobs.push({ channel, midi: original });
+            }
+        }
+
+        /** @type {Stem[]} */
+        const stems = [];
+        this._restoringPlayback(() => {
+            try {
+                jobs.forEach((job, index) => {
+                    this._openMidi(job.midi);
+                    // Track mutes still apply; the channel mask is restored by the final reopen
+                    for (let channel = 0; channel < 16; channel++) {
+                        this._module._adl_setChannelEnabled(this._player, channel, channel === job.channel ? 1 : 0);
+                    }
+                    const samples = this._renderSong(options.loops ?? 0, options.tail ?? 0,
+                        (progress) => options.onProgress?.((index + progress) / jobs.length));
+                    if (smf || samples.some(s => s !== 0)) {
+                        stems.push(job.key === undefined
+                            ? { channel: job.channel, samples }
+                            : { channel: job.channel, key: job.key, samples });
+                    }
+                });
+            } finally {
+                this._openMidi(original);
+            }
+        });
+
+        // Stems normally match already; pad in case a render ended a chunk early
+        const length = stems.reduce((max, stem) => Math.max(max, stem.samples.length), 0);
+        for (const stem of stems) {
+            if (stem.samples.length < length) {
+                const padded = new Float32Array(length);
+                padded.set(stem.samples);
+                stem.samples = padded;
+            }
+        }
+
+        options.onProgress?.(1);
+        return stems;
     }
 
     // =========================================================================
@@ -732,7 +1513,7 @@ export class AdlMidiCore {
      * Get an instrument from a bank.
      *
      * @param {Object} bankId - Bank identifier
-     * @param {number} bankId.percussive - 0 for melodic, 1 for percussion
+     * @param {boolean|number} bankId.percussive - True (or 1) for percussion, false (or 0) for melodic
      * @param {number} bankId.msb - Bank MSB
      * @param {number} bankId.lsb - Bank LSB
      * @param {number} program - Program number (0-127)
@@ -743,7 +1524,7 @@ export class AdlMidiCore {
 
         // Allocate bank ID struct
         const bankIdPtr = this._module._malloc(SIZEOF_ADL_BANK_ID);
-        this._module.HEAPU8[bankIdPtr] = bankId.percussive || 0;
+        this._module.HEAPU8[bankIdPtr] = bankId.percussive ? 1 : 0;
         this._module.HEAPU8[bankIdPtr + 1] = bankId.msb || 0;
         this._module.HEAPU8[bankIdPtr + 2] = bankId.lsb || 0;
 
@@ -783,7 +1564,7 @@ export class AdlMidiCore {
      * Set an instrument in a bank.
      *
      * @param {Object} bankId - Bank identifier
-     * @param {number} bankId.percussive - 0 for melodic, 1 for percussion
+     * @param {boolean|number} bankId.percussive - True (or 1) for percussion, false (or 0) for melodic
      * @param {number} bankId.msb - Bank MSB
      * @param {number} bankId.lsb - Bank LSB
      * @param {number} program - Program number (0-127)
@@ -795,7 +1576,7 @@ export class AdlMidiCore {
 
         // Allocate bank ID struct
         const bankIdPtr = this._module._malloc(SIZEOF_ADL_BANK_ID);
-        this._module.HEAPU8[bankIdPtr] = bankId.percussive || 0;
+        this._module.HEAPU8[bankIdPtr] = bankId.percussive ? 1 : 0;
         this._module.HEAPU8[bankIdPtr + 1] = bankId.msb || 0;
         this._module.HEAPU8[bankIdPtr + 2] = bankId.lsb || 0;
 
@@ -829,6 +1610,116 @@ export class AdlMidiCore {
         return success;
     }
 
+    /**
+     * Sweep a channel's instrument from one patch to another.
+     *
+     * The channel is switched to the morph's program slot, which is then
+     * rewritten with `interpolateInstrument(from, to, t)` as audio is rendered:
+     * once per `generate()`/`play()` call (and their `Into` variants), so
+     * smaller blocks give a smoother sweep. The slot holds `to` when the morph ends.
+     *
+     * libADLMIDI reads the instrument at note-on, so notes started during
+     * the morph take the patch of that moment; notes already sounding keep theirs.
+     *
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {import('./utils/struct.js').Instrument} from - Instrument at the start
+     * @param {import('./utils/struct.js').Instrument} to - Instrument at the end
+     * @param {number} duration - Length of the sweep in seconds
+     * @param {MorphOptions} [options]
+     * @returns {boolean} True if the starting instrument was set
+     * @example
+     * core.morphInstrument(0, pluck, pad, 2);
+     * for (let i = 0; i < 16; i++) {
+     *     core.noteOn(0, 60, 100);
+     *     out.push(core.generate(4410));   // 100 ms per note, 20 steps in all
+     *     core.noteOff(0, 60);
+     *     out.push(core.generate(4410));
+     * }
+     */
+    morphInstrument(channel, from, to, duration, options = {}) {
+        this._ensurePlayer();
+        if (!(duration >= 0)) {
+            throw new Error(`Invalid morph duration: ${duration}`);
+        }
+
+        const bankId = options.bankId ?? MORPH_BANK_ID;
+        const program = options.program ?? channel;
+        if (!this.setInstrument(bankId, program, from)) {
+            return false;
+        }
+        if (!bankId.percussive) {
+            this.bankChangeMSB(channel, bankId.msb);
+            this.bankChangeLSB(channel, bankId.lsb);
+            this.programChange(channel, program);
+        }
+
+        if (!this._morphPtr) {
+            this._morphPtr = this._module._malloc(SIZEOF_ADL_BANK_ID + SIZEOF_ADL_BANK + SIZEOF_ADL_INSTRUMENT);
+        }
+
+        const inst = defaultInstrument();
+        this._morphs.set(channel, {
+            from, to, bankId, program,
+            frames: Math.round(duration * this._sampleRate),
+            elapsed: 0,
+            inst,
+            blendOptions: { threshold: options.threshold ?? 0.5, into: inst },
+            bytes: new Uint8Array(SIZEOF_ADL_INSTRUMENT)
+        });
+        return true;
+    }
+
+    /**
+     * Stop a morph, leaving the channel's instrument where the morph had got to.
+     *
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {boolean} True if a morph was running on the channel
+     */
+    cancelMorph(channel) {
+        return this._morphs.delete(channel);
+    }
+
+    /**
+     * List the banks currently held by the player, with the name and
+     * blank state of every program.
+     *
+     * Names are only known for banks loaded with `loadBankData()`; embedded
+     * banks and banks created by `setInstrument()` list empty names. The bank
+     * `morphInstrument()` uses by default (melodic MSB 100) is not listed.
+     *
+     * @returns {BankInfo[]} Melodic banks, then percussion banks, by bank number
+     * @example
+     * for (const bank of core.listBanks()) {
+     *     const used = bank.instruments.filter(i => !i.isBlank).length;
+     *     console.log(bank.id, bank.name, `${used} instruments`);
+     * }
+     */
+    listBanks() {
+        this._ensurePlayer();
+        return listPlayerBanks(this._module, /** @type {number} */ (this._player), this._bankNames);
+    }
+
+    /**
+     * Export every bank currently held by the player as a WOPL file.
+     *
+     * Includes instruments changed with `setInstrument()`, the deep
+     * tremolo/vibrato flags and the volume model, so loading the result with
+     * `loadBankData()` restores the same sound. Bank and instrument names are
+     * kept for banks loaded with `loadBankData()` and written empty otherwise.
+     * The bank `morphInstrument()` uses by default is left out, as in `listBanks()`.
+     * The 4-op channel count is a player setting with no WOPL field;
+     * per-instrument 4-op flags are kept.
+     *
+     * @returns {Uint8Array} WOPL bank data
+     * @example
+     * core.setInstrument({ percussive: 0, msb: 0, lsb: 0 }, 0, inst);
+     * const wopl = core.exportBank();
+     */
+    exportBank() {
+        this._ensurePlayer();
+        return serializeWopl(readPlayerWoplBank(this._module, /** @type {number} */ (this._player), this._bankNames));
+    }
+
     // =========================================================================
     // Direct Module Access
     // =========================================================================
@@ -864,6 +1755,396 @@ export class AdlMidiCore {
     // Private
     // =========================================================================
 
+    /**
+     * Open MIDI data in the player without touching the stored song copy.
+     * @private
+     * @param {Uint8Array} bytes
+     * @returns {boolean} True if successful
+     */
+    _openMidi(bytes) {
+        const ptr = this._module._malloc(bytes.length);
+        this._module.HEAPU8.set(bytes, ptr);
+
+        const result = this._module._adl_openData(this._player, ptr, bytes.length);
+
+        this._module._free(ptr);
+        if (result === 0) {
+            this._applyMutes();
+        }
+        return result === 0;
+    }
+
+    /**
+     * Apply the channel and track mutes to the player, after it was created
+     * or opened a file.
+     * @private
+     */
+    _applyMutes() {
+        for (let channel = 0; channel < 16; channel++) {
+            const muted = this._channelMuteMask & (1 << channel);
+            this._module._adl_setChannelEnabled(this._player, channel, muted ? 0 : 1);
+        }
+        const count = this._module._adl_trackCount(this._player);
+        for (let track = 0; track < count; track++) {
+            const option = this._mutedTracks.has(track) ? TRACK_OPTION_OFF : TRACK_OPTION_ON;
+            this._module._adl_setTrackOptions(this._player, track, option);
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} track
+     * @returns {boolean} True if the loaded song has this track
+     */
+    _isTrack(track) {
+        return Number.isInteger(track) && track >= 0 && track < this._module._adl_trackCount(this._player);
+    }
+
+    /**
+     * Render the loaded song from the start.
+     * @private
+     * @param {number} loops - Times to repeat the song's loop (0 = play once)
+     * @param {number} tail - Seconds to keep rendering after the song ends
+     * @param {(progress: number) => void} [onProgress] - Called with 0..1 per chunk
+     * @returns {Float32Array} Stereo interleaved samples
+     */
+    _renderSong(loops, tail, onProgress) {
+        if (!(loops >= 0)) {
+            throw new Error('loops must be 0 or more');
+        }
+
+        const chunkFrames = 4096;
+        const tailFrames = Math.round(tail * this._sampleRate);
+        const estimatedFrames = Math.max(1, Math.ceil(this.duration * (loops + 1) * this._sampleRate) + tailFrames);
+
+        this._module._adl_setLoopEnabled(this._player, loops > 0 ? 1 : 0);
+        if (loops > 0) {
+            this._module._adl_setLoopCount(this._player, loops);
+        }
+        this._module._adl_positionRewind(this._player);
+
+        const format = F32_INTERLEAVED;
+        /** @type {Float32Array[]} */
+        const chunks = [];
+        let frames = 0;
+        const report = () => onProgress?.(Math.min(frames / estimatedFrames, 1));
+
+        while (!this.atEnd) {
+            const chunk = /** @type {Float32Array} */ (this._render(this._module._adl_playFormat, chunkFrames, format));
+            if (chunk.length === 0) break;
+            chunks.push(chunk);
+            frames += chunk.length / 2;
+            report();
+        }
+
+        for (let remaining = tailFrames; remaining > 0; remaining -= chunkFrames) {
+            const chunk = /** @type {Float32Array} */ (this._render(this._module._adl_generateFormat,
+                Math.min(chunkFrames, remaining), format));
+            chunks.push(chunk);
+            frames += chunk.length / 2;
+            report();
+        }
+
+        const samples = new Float32Array(frames * 2);
+        let offset = 0;
+        for (const chunk of chunks) {
+            samples.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return samples;
+    }
+
+    /**
+     * Run a whole-song render, then put back the playback position and the
+     * loop setting it changed. MIDI event handlers are not called meanwhile.
+     * @private
+     * @template T
+     * @param {() => T} render - Render to run
+     * @returns {T} Result of the render
+     */
+    _restoringPlayback(render) {
+        const position = this._module._adl_positionTell(this._player);
+        this._renderingSong = true;
+        try {
+            return render();
+        } finally {
+            this._module._adl_setLoopEnabled(this._player, this._looping ? 1 : 0);
+            this._module._adl_setLoopCount(this._player, -1);
+            this._module._adl_positionSeek(this._player, position);
+            this._renderingSong = false;
+        }
+    }
+
+    /**
+     * Run a whole-song render on a temporary player at another sample rate.
+     * The player gets this one's banks, settings, song and mutes, and is
+     * freed afterwards; this player is not touched.
+     * @private
+     * @template T
+     * @param {number} sampleRate
+     * @param {() => T} render - Renders with this._player and this._sampleRate
+     * @returns {T}
+     */
+    _renderingAt(sampleRate, render) {
+        const module = this._module;
+        const wopl = this.exportBank();
+        const player = module._adl_init(sampleRate);
+        if (!player) {
+            throw new Error(`Failed to create a player at ${sampleRate} Hz`);
+        }
+
+        const main = /** @type {number} */ (this._player);
+        const mainRate = this._sampleRate;
+        try {
+            const bankPtr = module._malloc(wopl.length);
+            module.HEAPU8.set(wopl, bankPtr);
+            const loaded = module._adl_openBankData(player, bankPtr, wopl.length) === 0;
+            module._free(bankPtr);
+            if (!loaded) {
+                throw new Error('Failed to copy the banks to a new player');
+            }
+            this._copySettings(main, player);
+
+            this._player = player;
+            this._sampleRate = sampleRate;
+            this._renderingSong = true;
+            if (this._midiData) {
+                module._adl_selectSongNum(player, this._song);
+                this._openMidi(this._midiData);
+            }
+            return render();
+        } finally {
+            this._player = main;
+            this._sampleRate = mainRate;
+            this._renderingSong = false;
+            module._adl_close(player);
+        }
+    }
+
+    /**
+     * Give another player this one's synth settings. Bank settings come with
+     * the bank, so the bank must be loaded first.
+     * @private
+     * @param {number} from - Player to copy from
+     * @param {number} to - Player to set up
+     */
+    _copySettings(from, to) {
+        const module = this._module;
+        const settings = this._playerSettings;
+
+        if (settings.emulator !== undefined) module._adl_switchEmulator(to, settings.emulator);
+        if (settings.runAtPcmRate !== undefined) module._adl_setRunAtPcmRate(to, settings.runAtPcmRate ? 1 : 0);
+        module._adl_setNumChips(to, module._adl_getNumChips(from));
+        module._adl_setNumFourOpsChn(to, module._adl_getNumFourOpsChn(from));
+        module._adl_setVolumeRangeModel(to, module._adl_getVolumeRangeModel(from));
+        module._adl_setHVibrato(to, module._adl_getHVibrato(from));
+        module._adl_setHTremolo(to, module._adl_getHTremolo(from));
+        module._adl_setAutoArpeggio(to, module._adl_getAutoArpeggio(from));
+        module._adl_setChannelAllocMode(to, module._adl_getChannelAllocMode(from));
+        if (settings.scaleModulators !== undefined) module._adl_setScaleModulators(to, settings.scaleModulators ? 1 : 0);
+        if (settings.fullRangeBrightness !== undefined) module._adl_setFullRangeBrightness(to, settings.fullRangeBrightness ? 1 : 0);
+        if (settings.softPan !== undefined) module._adl_setSoftPanEnabled(to, settings.softPan ? 1 : 0);
+        if (settings.tempo !== undefined) module._adl_setTempo(to, settings.tempo);
+    }
+
+    /**
+     * Render audio with adl_generateFormat or adl_playFormat.
+     * @private
+     * @param {Function} renderFn - libADLMIDI *Format render function
+     * @param {number} frames - Number of stereo frames to render
+     * @param {Required<OutputFormat>} format - Output format
+     * @returns {AudioSamples} Rendered samples (fewer frames if the song ended)
+     */
+    _render(renderFn, frames, format) {
+        const { size, ArrayType } = SAMPLE_FORMAT_INFO[format.sampleFormat];
+        const count = this._renderToHeap(renderFn, frames, format);
+
+        const ptr = /** @type {number} */ (this._audioBufferPtr);
+        const rightPtr = ptr + frames * size;
+
+        // Copy out of the heap (views are re-created in case memory grew)
+        const heap = this._module.HEAPU8.buffer;
+        if (!format.planar || count === frames * 2) {
+            return new ArrayType(heap, ptr, count).slice();
+        }
+
+        const rendered = count / 2;
+        const out = new ArrayType(count);
+        out.set(new ArrayType(heap, ptr, rendered), 0);
+        out.set(new ArrayType(heap, rightPtr, rendered), rendered);
+        return out;
+    }
+
+    /**
+     * Render Float32 audio straight into a caller's buffer without allocating.
+     * @private
+     * @param {Function} renderFn - libADLMIDI *Format render function
+     * @param {Float32Array} target - Destination buffer
+     * @param {boolean} planar - Target layout
+     * @returns {number} Frames written
+     */
+    _renderInto(renderFn, target, planar) {
+        const frames = target.length >> 1;
+        const rendered = this._renderToHeap(renderFn, frames, planar ? F32_PLANAR : F32_INTERLEAVED) >> 1;
+
+        // Reuse one view of the heap until memory grows
+        if (!this._heapF32 || this._heapF32.buffer !== this._module.HEAPU8.buffer) {
+            this._heapF32 = new Float32Array(this._module.HEAPU8.buffer);
+        }
+        const heap = this._heapF32;
+        const base = /** @type {number} */ (this._audioBufferPtr) >> 2;
+
+        if (planar) {
+            for (let i = 0; i < rendered; i++) {
+                target[i] = heap[base + i];
+                target[frames + i] = heap[base + frames + i];
+            }
+        } else {
+            for (let i = 0, n = rendered * 2; i < n; i++) {
+                target[i] = heap[base + i];
+            }
+        }
+        return rendered;
+    }
+
+    /**
+     * Render into the shared WASM output buffer.
+     * @private
+     * @param {Function} renderFn - libADLMIDI *Format render function
+     * @param {number} frames - Number of stereo frames to render
+     * @param {Required<OutputFormat>} format - Output format; planar puts the
+     *                                          right channel `frames` samples after the left
+     * @returns {number} Samples rendered (both channels)
+     */
+    _renderToHeap(renderFn, frames, format) {
+        if (this._morphs.size > 0) {
+            this._advanceMorphs(frames);
+        }
+
+        const { size } = SAMPLE_FORMAT_INFO[format.sampleFormat];
+        const bytes = frames * 2 * size;
+
+        if (!this._audioBufferPtr || this._audioBufferSize < bytes) {
+            if (this._audioBufferPtr) {
+                this._module._free(this._audioBufferPtr);
+            }
+            this._audioBufferPtr = this._module._malloc(bytes);
+            this._audioBufferSize = bytes;
+        }
+        if (!this._formatPtr) {
+            this._formatPtr = this._module._malloc(SIZEOF_ADL_AUDIO_FORMAT);
+        }
+
+        const ptr = /** @type {number} */ (this._audioBufferPtr);
+        // Planar: left block then right block; interleaved: L R L R ...
+        const rightPtr = format.planar ? ptr + frames * size : ptr + size;
+        const step = format.planar ? size : size * 2;
+
+        const formatWords = /** @type {number} */ (this._formatPtr) >> 2;
+        this._module.HEAPU32[formatWords] = format.sampleFormat;
+        this._module.HEAPU32[formatWords + 1] = size;
+        this._module.HEAPU32[formatWords + 2] = step;
+
+        const count = Math.max(0, renderFn(this._player, frames * 2, ptr, rightPtr, this._formatPtr));
+        if (this._midiEvents.length > 0) {
+            this._flushMidiEvents();
+        }
+        return count;
+    }
+
+    /**
+     * Pass the events collected during a render to the onMidiEvent() handlers
+     * @private
+     */
+    _flushMidiEvents() {
+        const events = this._midiEvents;
+        this._midiEvents = [];
+        for (const handler of this._midiEventHandlers) {
+            handler(events);
+        }
+    }
+
+    /**
+     * Detach the raw event hook from the player and free its table slot
+     * @private
+     */
+    _removeRawEventHook() {
+        if (!this._rawEventHookPtr) return;
+        if (this._player) {
+            this._module._adl_setRawEventHook(this._player, 0, 0);
+        }
+        this._module.removeFunction(this._rawEventHookPtr);
+        this._rawEventHookPtr = null;
+        this._midiEvents = [];
+    }
+
+    /**
+     * Write each morph's instrument for the block about to be rendered.
+     * Works in the morph's own buffers and the preallocated morph structs,
+     * so rendering still allocates nothing.
+     * @private
+     * @param {number} frames - Block length
+     */
+    _advanceMorphs(frames) {
+        const module = this._module;
+        const bankIdPtr = /** @type {number} */ (this._morphPtr);
+        const bankPtr = bankIdPtr + SIZEOF_ADL_BANK_ID;
+        const instPtr = bankPtr + SIZEOF_ADL_BANK;
+
+        for (const [channel, morph] of this._morphs) {
+            const t = morph.frames > 0 ? morph.elapsed / morph.frames : 1;
+            interpolateInstrument(morph.from, morph.to, t, morph.blendOptions);
+            encodeInstrument(morph.inst, morph.bytes);
+
+            module.HEAPU8[bankIdPtr] = morph.bankId.percussive ? 1 : 0;
+            module.HEAPU8[bankIdPtr + 1] = morph.bankId.msb || 0;
+            module.HEAPU8[bankIdPtr + 2] = morph.bankId.lsb || 0;
+            if (module._adl_getBank(this._player, bankIdPtr, 1, bankPtr) === 0) {
+                module.HEAPU8.set(morph.bytes, instPtr);
+                module._adl_setInstrument(this._player, bankPtr, morph.program, instPtr);
+            }
+
+            morph.elapsed += frames;
+            if (t >= 1) {
+                this._morphs.delete(channel);
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @param {import('./utils/midi.js').MidiMessage} message
+     */
+    _dispatchMidiMessage(message) {
+        const m = /** @type {Required<import('./utils/midi.js').MidiMessage>} */ (message);
+        switch (m.type) {
+            case 'noteOn':
+                this._module._adl_rt_noteOn(this._player, m.channel, m.note, m.velocity);
+                break;
+            case 'noteOff':
+                this._module._adl_rt_noteOff(this._player, m.channel, m.note);
+                break;
+            case 'noteAfterTouch':
+                this._module._adl_rt_noteAfterTouch(this._player, m.channel, m.note, m.pressure);
+                break;
+            case 'controlChange':
+                this._module._adl_rt_controllerChange(this._player, m.channel, m.controller, m.value);
+                break;
+            case 'programChange':
+                this._module._adl_rt_patchChange(this._player, m.channel, m.program);
+                break;
+            case 'channelAfterTouch':
+                this._module._adl_rt_channelAfterTouch(this._player, m.channel, m.pressure);
+                break;
+            case 'pitchBend':
+                this._module._adl_rt_pitchBendML(this._player, m.channel, m.msb, m.lsb);
+                break;
+            case 'systemExclusive':
+                this.systemExclusive(m.data);
+                break;
+        }
+    }
+
     /** @private */
     _ensurePlayer() {
         if (!this._player) {
@@ -15,6 +15,9 @@
  * ```
  */
 
+import { readWoplNames } from './utils/banks.js';
+import { getTempoMap, getTrackNames, tryReadMidiFile } from './utils/midifile.js';
+
 /**
  * Bank identifier for instrument access
  * @typedef {Object} BankId
@@ -23,6 +26,88 @@
  * @property {number} lsb - Bank LSB (0-127)
  */
 
+/**
+ * A bank currently held by the synth
+ * @typedef {Object} BankInfo
+ * @property {BankId} id - Bank identifier, as taken by getInstrument()
+ * @property {string} name - Bank name from the loaded WOPL file, or empty
+ * @property {{program: number, name: string, isBlank: boolean}[]} instruments - All 128 programs (keys for percussion banks)
+ */
+
+/**
+ * An embedded bank and the settings it was made for
+ * @typedef {import('./utils/banks.js').EmbeddedBankInfo} EmbeddedBankInfo
+ */
+
+/**
+ * One OPL3 voice (libADLMIDI "chip channel")
+ * @typedef {Object} VoiceState
+ * @property {number} voice - Voice on its chip (0-22; 18-22 are the rhythm-mode percussion voices)
+ * @property {'off'|'on'|'arpeggio'} state - `arpeggio` when several notes share the voice
+ * @property {number|null} midiChannel - MIDI channel (0-15) of the note on the voice, null when off
+ * @property {'first'|'second'|null} fourOp - Half of a 4-op pair the voice is reserved as, if any
+ * @property {number|null} pairedVoice - Other half of the 4-op pair
+ * @property {boolean} rhythm - One of the rhythm-mode percussion voices
+ */
+
+/**
+ * MIDI event sent by the file player
+ * @typedef {Object} MidiEvent
+ * @property {'noteOn'|'noteOff'|'noteAfterTouch'|'controlChange'|'programChange'|'channelAfterTouch'|'pitchBend'} type
+ * @property {number} channel - MIDI channel (0-15)
+ * @property {number} time - AudioContext time at which the event is heard
+ * @property {number} [note] - Note number (0-127)
+ * @property {number} [velocity] - Note velocity (0-127)
+ * @property {number} [pressure] - Aftertouch pressure (0-127)
+ * @property {number} [controller] - Controller number (0-127)
+ * @property {number} [value] - Controller value (0-127)
+ * @property {number} [program] - Program number (0-127)
+ * @property {number} [lsb] - Pitch bend LSB (0-127)
+ * @property {number} [msb] - Pitch bend MSB (0-127)
+ */
+
+/**
+ * A tempo change of the loaded song
+ * @typedef {Object} TempoChange
+ * @property {number} tick - Absolute time in ticks
+ * @property {number} time - Song position in seconds
+ * @property {number} microsecondsPerQuarter - Tempo as stored in the file
+ * @property {number} bpm - Quarter notes per minute
+ */
+
+/**
+ * Metadata of the loaded song
+ * @typedef {Object} MusicInfo
+ * @property {string} title - Song title, or empty
+ * @property {string} copyright - Copyright notice, or empty
+ * @property {string[]} trackTitles - Track names, in track order
+ * @property {{label: string, time: number, ticks: number}[]} markers - Markers in song order, positions in seconds and ticks
+ * @property {number|null} loopStart - Loop start in seconds, null if the song has no loop points
+ * @property {number|null} loopEnd - Loop end in seconds, null if the song has no loop points
+ * @property {TempoChange[]} tempoChanges - Tempo changes (Standard MIDI Files only; empty for other formats)
+ */
+
+/**
+ * A song of a multi-song file (XMI)
+ * @typedef {Object} SongInfo
+ * @property {number} song - Song number, as taken by selectSong()
+ * @property {number|null} duration - Length in seconds, or null for songs not yet selected
+ */
+
+/**
+ * A track of the loaded song
+ * @typedef {Object} TrackInfo
+ * @property {number} track - Track number, as taken by setTrackEnabled()
+ * @property {string} name - Track name (Standard MIDI Files only), or empty
+ * @property {boolean} enabled - False if the track is muted
+ */
+
+/**
+ * @typedef {Object} ChipState
+ * @property {number} chip - Chip index
+ * @property {VoiceState[]} voices - The chip's 23 voices
+ */
+
 /**
  * OPL3 operator parameters  
  * @typedef {Object} Operator
@@ -73,6 +158,24 @@
  * @property {boolean} [deepTremolo] - Enable deep tremolo
  */
 
+/**
+ * Scheduling options for real-time MIDI events
+ * @typedef {Object} EventOptions
+ * @property {number} [time] - AudioContext time (seconds) at which the event takes effect.
+ *                             Omit to apply it as soon as the processor receives it.
+ */
+
+/**
+ * Options for morphInstrument()
+ * @typedef {Object} MorphOptions
+ * @property {BankId} [bankId] - Bank holding the morphed instrument (default: melodic bank MSB 100, LSB 0,
+ *                               which MIDI files do not select, so loaded banks are left alone)
+ * @property {number} [program] - Program slot the morph writes to (default: the channel number,
+ *                                so morphs on different channels do not share a slot)
+ * @property {number} [threshold=0.5] - Position (0-1) at which discrete fields switch, see interpolateInstrument()
+ * @property {number} [time] - AudioContext time (seconds) at which the morph starts. Omit to start now.
+ */
+
 /**
  * Available OPL3 emulator cores.
  * Use with switchEmulator() to change the synthesis engine at runtime.
@@ -105,19 +208,52 @@ export const Emulator = Object.freeze({
     NUKED_OPL3_LLE: 10,
 });
 
+/**
+ * Options for the AdlMidi constructor
+ * @typedef {Object} AdlMidiOptions
+ * @property {number} [requestTimeout=5000] - Milliseconds to wait for the processor to answer a request
+ */
+
+/**
+ * Error thrown when the processor does not answer a request in time
+ */
+export class AdlMidiTimeoutError extends Error {
+    /**
+     * @param {string} requestType - Type of the request that timed out
+     * @param {number} timeout - Timeout that elapsed, in milliseconds
+     */
+    constructor(requestType, timeout) {
+        super(`Timeout waiting for reply to '${requestType}' after ${timeout}ms`);
+        this.name = 'AdlMidiTimeoutError';
+        /** @type {string} */
+        this.requestType = requestType;
+        /** @type {number} */
+        this.timeout = timeout;
+    }
+}
+
 export class AdlMidi {
     /** @type {boolean} */
     #ready = false;
     /** @type {Map<string, Set<Function>>} */
     #messageHandlers = new Map();
+    /** @type {Map<number, {resolve: Function, reject: Function, timer: ReturnType<typeof setTimeout>}>} */
+    #pendingRequests = new Map();
+    /** @type {number} */
+    #nextRequestId = 1;
+    /** @type {TempoChange[]} Tempo map of the loaded file, added to the processor's MusicInfo */
+    #tempoChanges = [];
 
     /**
      * Create a new AdlMidi instance
      * @param {AudioContext} [context] - Optional AudioContext to use. Creates one if not provided.
+     * @param {AdlMidiOptions} [options] - Optional settings
      */
-    constructor(context) {
+    constructor(context, options = {}) {
         this.ctx = context || null;
         this.node = null;
+        /** @type {number} */
+        this.requestTimeout = options.requestTimeout ?? 5000;
     }
 
     /**
@@ -184,7 +320,7 @@ export class AdlMidi {
         // Wait for the processor to be ready
         return new Promise((resolve, reject) => {
             const timeout = setTimeout(() => {
-                reject(new Error('Timeout waiting for WASM initialization'));
+                reject(new AdlMidiTimeoutError('ready', 10000));
             }, 10000);
 
             this.#onceMessage('ready', () => {
@@ -202,9 +338,19 @@ export class AdlMidi {
 
     /**
      * Internal message handler
-     * @param {{type: string}} msg - Message from processor
+     * @param {{type: string, id?: number}} msg - Message from processor
      */
     #handleMessage(msg) {
+        // Replies carry the ID of the request that caused them
+        if (msg.id !== undefined) {
+            const pending = this.#pendingRequests.get(msg.id);
+            if (pending) {
+                clearTimeout(pending.timer);
+                this.#pendingRequests.delete(msg.id);
+                pending.resolve(msg);
+            }
+        }
+
         const handlers = this.#messageHandlers.get(msg.type);
         if (handlers) {
             handlers.forEach(/** @param {Function} handler */ handler => handler(msg));
@@ -240,34 +386,69 @@ export class AdlMidi {
         }
     }
 
+    /**
+     * Send a real-time MIDI event, scheduled if a time is given
+     * @param {{type: string, [key: string]: any}} msg - Event message
+     * @param {EventOptions} [options] - Scheduling options
+     */
+    #sendEvent(msg, options) {
+        if (options?.time !== undefined) {
+            this.#send({ ...msg, time: options.time });
+        } else {
+            this.#send(msg);
+        }
+    }
+
+    /**
+     * Send a request to the processor and wait for the matching reply
+     * @param {{type: string, [key: string]: any}} msg - Request message
+     * @returns {Promise<any>} Resolves with the reply message
+     */
+    #request(msg) {
+        return new Promise((resolve, reject) => {
+            const id = this.#nextRequestId++;
+            const timeout = this.requestTimeout;
+            const timer = setTimeout(() => {
+                this.#pendingRequests.delete(id);
+                reject(new AdlMidiTimeoutError(msg.type, timeout));
+            }, timeout);
+
+            this.#pendingRequests.set(id, { resolve, reject, timer });
+            this.#send({ ...msg, id });
+        });
+    }
+
     /**
      * Play a note
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} note - MIDI note number (0-127)
      * @param {number} velocity - Note velocity (0-127)
+     * @param {EventOptions} [options] - Scheduling options
      */
-    noteOn(channel, note, velocity) {
-        this.#send({ type: 'noteOn', channel, note, velocity });
+    noteOn(channel, note, velocity, options) {
+        this.#sendEvent({ type: 'noteOn', channel, note, velocity }, options);
     }
 
     /**
      * Stop a note
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} note - MIDI note number (0-127)
+     * @param {EventOptions} [options] - Scheduling options
      */
-    noteOff(channel, note) {
-        this.#send({ type: 'noteOff', channel, note });
+    noteOff(channel, note, options) {
+        this.#sendEvent({ type: 'noteOff', channel, note }, options);
     }
 
     /**
      * Set pitch bend
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} value - Pitch bend value (0-16383, 8192 = center)
+     * @param {EventOptions} [options] - Scheduling options
      */
-    pitchBend(channel, value) {
+    pitchBend(channel, value, options) {
         const lsb = value & 0x7F;
         const msb = (value >> 7) & 0x7F;
-        this.#send({ type: 'pitchBend', channel, lsb, msb });
+        this.#sendEvent({ type: 'pitchBend', channel, lsb, msb }, options);
     }
 
     /**
@@ -275,18 +456,20 @@ export class AdlMidi {
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} controller - Controller number (0-127)
      * @param {number} value - Controller value (0-127)
+     * @param {EventOptions} [options] - Scheduling options
      */
-    controlChange(channel, controller, value) {
-        this.#send({ type: 'controlChange', channel, controller, value });
+    controlChange(channel, controller, value, options) {
+        this.#sendEvent({ type: 'controlChange', channel, controller, value }, options);
     }
 
     /**
      * Change program (instrument)
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} program - Program number (0-127)
+     * @param {EventOptions} [options] - Scheduling options
      */
-    programChange(channel, program) {
-        this.#send({ type: 'programChange', channel, program });
+    programChange(channel, program, options) {
+        this.#sendEvent({ type: 'programChange', channel, program }, options);
     }
 
     /**
@@ -294,45 +477,87 @@ export class AdlMidi {
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} note - Note number (0-127)
      * @param {number} pressure - Pressure (0-127)
+     * @param {EventOptions} [options] - Scheduling options
      */
-    noteAfterTouch(channel, note, pressure) {
-        this.#send({ type: 'noteAfterTouch', channel, note, pressure });
+    noteAfterTouch(channel, note, pressure, options) {
+        this.#sendEvent({ type: 'noteAfterTouch', channel, note, pressure }, options);
     }
 
     /**
      * Send channel aftertouch
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} pressure - Pressure (0-127)
+     * @param {EventOptions} [options] - Scheduling options
      */
-    channelAfterTouch(channel, pressure) {
-        this.#send({ type: 'channelAfterTouch', channel, pressure });
+    channelAfterTouch(channel, pressure, options) {
+        this.#sendEvent({ type: 'channelAfterTouch', channel, pressure }, options);
     }
 
     /**
      * Change bank (16-bit)
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} bank - Bank number
+     * @param {EventOptions} [options] - Scheduling options
      */
-    bankChange(channel, bank) {
-        this.#send({ type: 'bankChange', channel, bank });
+    bankChange(channel, bank, options) {
+        this.#sendEvent({ type: 'bankChange', channel, bank }, options);
     }
 
     /**
      * Change bank MSB
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} msb - Bank MSB (0-127)
+     * @param {EventOptions} [options] - Scheduling options
      */
-    bankChangeMSB(channel, msb) {
-        this.#send({ type: 'bankChangeMSB', channel, msb });
+    bankChangeMSB(channel, msb, options) {
+        this.#sendEvent({ type: 'bankChangeMSB', channel, msb }, options);
     }
 
     /**
      * Change bank LSB
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} lsb - Bank LSB (0-127)
+     * @param {EventOptions} [options] - Scheduling options
+     */
+    bankChangeLSB(channel, lsb, options) {
+        this.#sendEvent({ type: 'bankChangeLSB', channel, lsb }, options);
+    }
+
+    /**
+     * Send raw MIDI bytes (e.g. from Web MIDI or a WebSocket bridge)
+     *
+     * The processor parses running status and SysEx, so a stream may be
+     * split across calls at any byte.
+     * @param {Uint8Array | number[]} data - Raw MIDI bytes
+     * @param {EventOptions} [options] - Scheduling options
+     * @example
+     * input.onmidimessage = (e) => synth.sendMidi(e.data);
      */
-    bankChangeLSB(channel, lsb) {
-        this.#send({ type: 'bankChangeLSB', channel, lsb });
+    sendMidi(data, options) {
+        this.#sendEvent({ type: 'midi', data: Uint8Array.from(data) }, options);
+    }
+
+    /**
+     * Send a System Exclusive message (GM/GS/XG reset, master volume, ...)
+     *
+     * Applied immediately. Use {@link AdlMidi#sendMidi} with a `time` option
+     * to schedule SysEx alongside other events.
+     * @param {Uint8Array | number[]} data - Complete message including F0 and F7
+     * @returns {Promise<boolean>} True if the synth recognized the message
+     * @example
+     * await synth.systemExclusive([0xF0, 0x7E, 0x7F, 0x09, 0x01, 0xF7]); // GM System On
+     */
+    async systemExclusive(data) {
+        const msg = await this.#request({ type: 'systemExclusive', data: Uint8Array.from(data) });
+        return msg.success;
+    }
+
+    /**
+     * Drop all scheduled events that have not been applied yet
+     * @returns {void}
+     */
+    cancelScheduledEvents() {
+        this.#send({ type: 'cancelScheduledEvents' });
     }
 
     /**
@@ -344,7 +569,7 @@ export class AdlMidi {
     }
 
     /**
-     * Panic - stop all sounds immediately
+     * Panic - stop all sounds immediately and drop scheduled events
      * @returns {void}
      */
     panic() {
@@ -357,10 +582,7 @@ export class AdlMidi {
      * @returns {Promise<void>}
      */
     async configure(settings) {
-        return new Promise((resolve) => {
-            this.#onceMessage('configured', () => resolve());
-            this.#send({ type: 'configure', settings });
-        });
+        await this.#request({ type: 'configure', settings });
     }
 
     /**
@@ -369,17 +591,20 @@ export class AdlMidi {
      * @returns {Promise<void>}
      */
     async loadBank(arrayBuffer) {
-        return new Promise((resolve, reject) => {
-            this.#onceMessage('bankLoaded', /** @param {{success: boolean, error?: string}} msg */(msg) => {
-                if (msg.success) {
-                    resolve();
-                } else {
-                    reject(new Error(msg.error || 'Failed to load bank'));
-                }
-            });
-
-            this.#send({ type: 'loadBank', data: arrayBuffer });
-        });
+        // Names are read here so the audio thread only has to load the bank
+        /** @type {Map<string, import('./utils/banks.js').BankNames>} */
+        let names;
+        try {
+            names = readWoplNames(new Uint8Array(arrayBuffer));
+        } catch {
+            // The processor decides whether the data is a bank; names stay unknown
+            names = new Map();
+        }
+        /** @type {{success: boolean, error?: string}} */
+        const msg = await this.#request({ type: 'loadBank', data: arrayBuffer, names });
+        if (!msg.success) {
+            throw new Error(msg.error || 'Failed to load bank');
+        }
     }
 
     /**
@@ -388,17 +613,11 @@ export class AdlMidi {
      * @returns {Promise<void>}
      */
     async setBank(bank) {
-        return new Promise((resolve, reject) => {
-            this.#onceMessage('bankSet', /** @param {{success: boolean}} msg */(msg) => {
-                if (msg.success) {
-                    resolve();
-                } else {
-                    reject(new Error(`Failed to set bank ${bank}`));
-                }
-            });
-
-            this.#send({ type: 'setBank', bank });
-        });
+        /** @type {{success: boolean}} */
+        const msg = await this.#request({ type: 'setBank', bank });
+        if (!msg.success) {
+            throw new Error(`Failed to set bank ${bank}`);
+        }
     }
 
     /**
@@ -408,17 +627,12 @@ export class AdlMidi {
      * @returns {Promise<Instrument>} Instrument object with named properties
      */
     async getInstrument(bankId = { percussive: false, msb: 0, lsb: 0 }, programNumber = 0) {
-        return new Promise((resolve, reject) => {
-            this.#onceMessage('instrumentLoaded', /** @param {{success: boolean, instrument: Instrument, error?: string}} msg */(msg) => {
-                if (msg.success) {
-                    resolve(msg.instrument);
-                } else {
-                    reject(new Error(msg.error || 'Failed to get instrument'));
-                }
-            });
-
-            this.#send({ type: 'getInstrument', bankId, programNumber });
-        });
+        /** @type {{success: boolean, instrument: Instrument, error?: string}} */
+        const msg = await this.#request({ type: 'getInstrument', bankId, programNumber });
+        if (!msg.success) {
+            throw new Error(msg.error || 'Failed to get instrument');
+        }
+        return msg.instrument;
     }
 
     /**
@@ -429,17 +643,83 @@ export class AdlMidi {
      * @returns {Promise<void>}
      */
     async setInstrument(bankId = { percussive: false, msb: 0, lsb: 0 }, programNumber, instrument) {
-        return new Promise((resolve, reject) => {
-            this.#onceMessage('instrumentSet', /** @param {{success: boolean, error?: string}} msg */(msg) => {
-                if (msg.success) {
-                    resolve();
-                } else {
-                    reject(new Error(msg.error || 'Failed to set instrument'));
-                }
-            });
+        /** @type {{success: boolean, error?: string}} */
+        const msg = await this.#request({ type: 'setInstrument', bankId, programNumber, instrument });
+        if (!msg.success) {
+            throw new Error(msg.error || 'Failed to set instrument');
+        }
+    }
 
-            this.#send({ type: 'setInstrument', bankId, programNumber, instrument });
-        });
+    /**
+     * Sweep a channel's instrument from one patch to another.
+     *
+     * The processor switches the channel to the morph's program slot and
+     * rewrites it with `interpolateInstrument(from, to, t)` every render
+     * quantum the result changes. The slot holds `to` when the morph ends.
+     * Notes take the patch of the moment they start; notes already sounding keep theirs.
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {Instrument} from - Instrument at the start
+     * @param {Instrument} to - Instrument at the end
+     * @param {number} duration - Length of the sweep in seconds
+     * @param {MorphOptions} [options]
+     * @returns {void}
+     * @example
+     * synth.morphInstrument(0, pluck, pad, 4);
+     * const id = setInterval(() => synth.noteOn(0, 60, 100), 250);
+     * setTimeout(() => clearInterval(id), 4000);
+     */
+    morphInstrument(channel, from, to, duration, options = {}) {
+        if (!(duration >= 0)) {
+            throw new Error(`Invalid morph duration: ${duration}`);
+        }
+        this.#send({ type: 'morphInstrument', channel, from, to, duration, ...options });
+    }
+
+    /**
+     * Stop a morph, leaving the channel's instrument where the morph had got to
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {void}
+     */
+    cancelMorph(channel) {
+        this.#send({ type: 'cancelMorph', channel });
+    }
+
+    /**
+     * List the banks currently in the synth, with the name and blank state
+     * of every program. Names are only known for banks loaded with `loadBank()`.
+     * The bank `morphInstrument()` uses by default (melodic MSB 100) is not listed.
+     * @returns {Promise<BankInfo[]>} Melodic banks, then percussion banks, by bank number
+     * @example
+     * const banks = await synth.listBanks();
+     * const drums = banks.filter(b => b.id.percussive);
+     */
+    async listBanks() {
+        /** @type {{success: boolean, banks: BankInfo[], error?: string}} */
+        const msg = await this.#request({ type: 'listBanks' });
+        if (!msg.success) {
+            throw new Error(msg.error || 'Failed to list banks');
+        }
+        return msg.banks;
+    }
+
+    /**
+     * Export all banks currently in the synth as a WOPL file, including
+     * instruments changed with `setInstrument()`. Bank and instrument names
+     * are kept for banks loaded with `loadBank()` and written empty otherwise.
+     * The bank `morphInstrument()` uses by default is left out, as in `listBanks()`.
+     * @returns {Promise<Uint8Array>} WOPL bank data
+     * @example
+     * await synth.setInstrument({ percussive: false, msb: 0, lsb: 0 }, 0, inst);
+     * const wopl = await synth.exportBank();
+     * await synth.loadBank(wopl.buffer);
+     */
+    async exportBank() {
+        /** @type {{success: boolean, data: Uint8Array, error?: string}} */
+        const msg = await this.#request({ type: 'exportBank' });
+        if (!msg.success) {
+            throw new Error(msg.error || 'Failed to export bank');
+        }
+        return msg.data;
     }
 
     /**
@@ -463,12 +743,9 @@ export class AdlMidi {
      * @returns {Promise<number>}
      */
     async getNumFourOpChannels() {
-        return new Promise((resolve) => {
-            this.#onceMessage('numFourOpChannels', /** @param {{channels: number}} msg */(msg) => {
-                resolve(msg.channels);
-            });
-            this.#send({ type: 'getNumFourOpChannels' });
-        });
+        /** @type {{channels: number}} */
+        const msg = await this.#request({ type: 'getNumFourOpChannels' });
+        return msg.channels;
     }
 
     /**
@@ -500,12 +777,9 @@ export class AdlMidi {
      * @returns {Promise<boolean>}
      */
     async getAutoArpeggio() {
-        return new Promise((resolve) => {
-            this.#onceMessage('autoArpeggio', /** @param {{enabled: boolean}} msg */(msg) => {
-                resolve(msg.enabled);
-            });
-            this.#send({ type: 'getAutoArpeggio' });
-        });
+        /** @type {{enabled: boolean}} */
+        const msg = await this.#request({ type: 'getAutoArpeggio' });
+        return msg.enabled;
     }
 
     /**
@@ -521,12 +795,9 @@ export class AdlMidi {
      * @returns {Promise<number>}
      */
     async getChannelAllocMode() {
-        return new Promise((resolve) => {
-            this.#onceMessage('channelAllocMode', /** @param {{mode: number}} msg */(msg) => {
-                resolve(msg.mode);
-            });
-            this.#send({ type: 'getChannelAllocMode' });
-        });
+        /** @type {{mode: number}} */
+        const msg = await this.#request({ type: 'getChannelAllocMode' });
+        return msg.mode;
     }
 
     /**
@@ -585,16 +856,11 @@ export class AdlMidi {
      * await synth.switchEmulator(Emulator.DOSBOX);
      */
     async switchEmulator(emulator) {
-        return new Promise((resolve, reject) => {
-            this.#onceMessage('emulatorSwitched', /** @param {{success: boolean, emulator: number}} msg */(msg) => {
-                if (msg.success) {
-                    resolve();
-                } else {
-                    reject(new Error(`Failed to switch to emulator ${emulator}. It may not be available in this build profile.`));
-                }
-            });
-            this.#send({ type: 'switchEmulator', emulator });
-        });
+        /** @type {{success: boolean, emulator: number}} */
+        const msg = await this.#request({ type: 'switchEmulator', emulator });
+        if (!msg.success) {
+            throw new Error(`Failed to switch to emulator ${emulator}. It may not be available in this build profile.`);
+        }
     }
 
     /**
@@ -605,12 +871,9 @@ export class AdlMidi {
      * console.log(`Using: ${name}`);
      */
     async getEmulatorName() {
-        return new Promise((resolve) => {
-            this.#onceMessage('emulatorName', /** @param {{name: string}} msg */(msg) => {
-                resolve(msg.name);
-            });
-            this.#send({ type: 'getEmulatorName' });
-        });
+        /** @type {{name: string}} */
+        const msg = await this.#request({ type: 'getEmulatorName' });
+        return msg.name;
     }
 
     /**
@@ -618,12 +881,9 @@ export class AdlMidi {
      * @returns {Promise<string>}
      */
     async getLibraryVersion() {
-        return new Promise((resolve) => {
-            this.#onceMessage('libraryVersion', /** @param {{version: string}} msg */(msg) => {
-                resolve(msg.version);
-            });
-            this.#send({ type: 'getLibraryVersion' });
-        });
+        /** @type {{version: string}} */
+        const msg = await this.#request({ type: 'getLibraryVersion' });
+        return msg.version;
     }
 
     /**
@@ -631,12 +891,9 @@ export class AdlMidi {
      * @returns {Promise<{major: number, minor: number, patch: number}>}
      */
     async getVersion() {
-        return new Promise((resolve) => {
-            this.#onceMessage('version', /** @param {{version: {major: number, minor: number, patch: number}}} msg */(msg) => {
-                resolve(msg.version);
-            });
-            this.#send({ type: 'getVersion' });
-        });
+        /** @type {{version: {major: number, minor: number, patch: number}}} */
+        const msg = await this.#request({ type: 'getVersion' });
+        return msg.version;
     }
 
     /**
@@ -644,12 +901,9 @@ export class AdlMidi {
      * @returns {Promise<number>}
      */
     async getNumChips() {
-        return new Promise((resolve) => {
-            this.#onceMessage('numChips', /** @param {{chips: number}} msg */(msg) => {
-                resolve(msg.chips);
-            });
-            this.#send({ type: 'getNumChips' });
-        });
+        /** @type {{chips: number}} */
+        const msg = await this.#request({ type: 'getNumChips' });
+        return msg.chips;
     }
 
     /**
@@ -657,12 +911,9 @@ export class AdlMidi {
      * @returns {Promise<number>}
      */
     async getNumChipsObtained() {
-        return new Promise((resolve) => {
-            this.#onceMessage('numChipsObtained', /** @param {{chips: number}} msg */(msg) => {
-                resolve(msg.chips);
-            });
-            this.#send({ type: 'getNumChipsObtained' });
-        });
+        /** @type {{chips: number}} */
+        const msg = await this.#request({ type: 'getNumChipsObtained' });
+        return msg.chips;
     }
 
     /**
@@ -670,29 +921,68 @@ export class AdlMidi {
      * @returns {Promise<number>}
      */
     async getVolumeModel() {
-        return new Promise((resolve) => {
-            this.#onceMessage('volumeModel', /** @param {{model: number}} msg */(msg) => {
-                resolve(msg.model);
-            });
-            this.#send({ type: 'getVolumeModel' });
-        });
+        /** @type {{model: number}} */
+        const msg = await this.#request({ type: 'getVolumeModel' });
+        return msg.model;
     }
 
     /**
-     * Get list of embedded banks available in this build
+     * Get list of embedded banks available in this build, with the settings
+     * each bank was made for
      * Note: Slim builds have no embedded banks and will return an empty array
-     * @returns {Promise<{id: number, name: string}[]>} Array of bank info objects
+     * @returns {Promise<EmbeddedBankInfo[]>} Array of bank info objects
      * @example
      * const banks = await synth.getEmbeddedBanks();
-     * banks.forEach(b => console.log(`${b.id}: ${b.name}`));
+     * banks.forEach(b => console.log(`${b.id}: ${b.driver} - ${b.origin}${b.fourOp ? ' (4-op)' : ''}`));
      */
     async getEmbeddedBanks() {
-        return new Promise((resolve) => {
-            this.#onceMessage('embeddedBanks', /** @param {{banks: {id: number, name: string}[]}} msg */(msg) => {
-                resolve(msg.banks);
-            });
-            this.#send({ type: 'getEmbeddedBanks' });
-        });
+        /** @type {{success: boolean, banks: EmbeddedBankInfo[], error?: string}} */
+        const msg = await this.#request({ type: 'getEmbeddedBanks' });
+        if (!msg.success) {
+            throw new Error(msg.error || 'Failed to read embedded banks');
+        }
+        return msg.banks;
+    }
+
+    /**
+     * Describe what every OPL3 voice is doing right now
+     * @returns {Promise<ChipState[]>} One entry per chip in use, each with its 23 voices
+     */
+    async getChannelStates() {
+        /** @type {{success: boolean, chips: ChipState[], error?: string}} */
+        const msg = await this.#request({ type: 'getChannelStates' });
+        if (!msg.success) {
+            throw new Error(msg.error || 'Failed to read channel states');
+        }
+        return msg.chips;
+    }
+
+    /**
+     * Receive voice states periodically, e.g. to drive a visualizer.
+     * The processor only collects them while at least one handler is registered;
+     * the latest `interval` given applies to all handlers.
+     * @param {function({chips: ChipState[], time: number}): void} handler - Called with the states
+     *     and the AudioContext time they were taken at
+     * @param {Object} [options]
+     * @param {number} [options.interval=0.05] - Seconds between updates
+     * @returns {function(): void} Unsubscribe function
+     * @example
+     * const stop = synth.onChannelStates(({ chips }) => drawVoices(chips), { interval: 1 / 30 });
+     */
+    onChannelStates(handler, options = {}) {
+        if (!this.#messageHandlers.has('channelStatesUpdate')) {
+            this.#messageHandlers.set('channelStatesUpdate', new Set());
+        }
+        const handlers = /** @type {Set<Function>} */ (this.#messageHandlers.get('channelStatesUpdate'));
+        handlers.add(handler);
+        this.#send({ type: 'setChannelStatesInterval', interval: options.interval ?? 0.05 });
+
+        // Return unsubscribe function
+        return () => {
+            if (handlers.delete(handler) && handlers.size === 0) {
+                this.#send({ type: 'setChannelStatesInterval', interval: 0 });
+            }
+        };
     }
 
     /**
@@ -708,20 +998,115 @@ export class AdlMidi {
     /**
      * Load a MIDI file for playback
      * @param {ArrayBuffer} arrayBuffer - MIDI file data
-     * @returns {Promise<{duration: number}>} Resolves with file info when loaded
+     * @returns {Promise<{duration: number, info: MusicInfo, songs: SongInfo[]}>} Resolves when loaded with the
+     *     first song's length and metadata, and every song in the file. Only the first song's length is
+     *     known: measuring a song means parsing it, which selectSong() does.
+     * @example
+     * const { duration, info } = await synth.loadMidi(midiData);
+     * console.log(info.title, info.trackTitles, info.markers);
      */
     async loadMidi(arrayBuffer) {
-        return new Promise((resolve, reject) => {
-            this.#onceMessage('midiLoaded', /** @param {{success: boolean, duration: number, error?: string}} msg */(msg) => {
-                if (msg.success) {
-                    resolve({ duration: msg.duration });
-                } else {
-                    reject(new Error(msg.error || 'Failed to parse MIDI data'));
-                }
-            });
+        // Standard MIDI Files are parsed here rather than on the audio thread
+        const smf = tryReadMidiFile(arrayBuffer);
+        /** @type {{success: boolean, duration: number, info: MusicInfo, songs: SongInfo[], error?: string}} */
+        const msg = await this.#request({ type: 'loadMidi', data: arrayBuffer, trackNames: smf ? getTrackNames(smf) : [] });
+        if (!msg.success) {
+            throw new Error(msg.error || 'Failed to parse MIDI data');
+        }
+        this.#tempoChanges = smf ? getTempoMap(smf) : [];
+        return { duration: msg.duration, info: { ...msg.info, tempoChanges: this.#tempoChanges }, songs: msg.songs };
+    }
 
-            this.#send({ type: 'loadMidi', data: arrayBuffer });
-        });
+    /**
+     * Get the number of songs in the loaded file. XMI files can hold
+     * several; other formats have one.
+     * @returns {Promise<number>} Song count, 0 if no file is loaded
+     */
+    async getSongCount() {
+        /** @type {{count: number}} */
+        const msg = await this.#request({ type: 'getSongCount' });
+        return msg.count;
+    }
+
+    /**
+     * Switch to another song of the loaded file. Playback restarts at the
+     * beginning of the new song.
+     * @param {number} song - Song number (0 to getSongCount() - 1)
+     * @returns {Promise<{duration: number, info: MusicInfo}>} The new song's length and metadata
+     * @example
+     * const { songs } = await synth.loadMidi(xmiData);
+     * const { duration } = await synth.selectSong(songs.length - 1);
+     */
+    async selectSong(song) {
+        /** @type {{success: boolean, duration: number, info: MusicInfo, error?: string}} */
+        const msg = await this.#request({ type: 'selectSong', song });
+        if (!msg.success) {
+            throw new Error(msg.error || 'Failed to select song');
+        }
+        return { duration: msg.duration, info: { ...msg.info, tempoChanges: this.#tempoChanges } };
+    }
+
+    /**
+     * Mute or unmute a MIDI channel of the file player. Channel mutes are
+     * kept when another file is loaded; real-time input is not affected.
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {boolean} enabled - False to mute the channel
+     * @returns {void}
+     */
+    setChannelEnabled(channel, enabled) {
+        this.#send({ type: 'setChannelEnabled', channel, enabled });
+    }
+
+    /**
+     * Mute every file player channel but one, or unmute them all
+     * @param {number|null} channel - Channel to solo (0-15), or null to clear the solo
+     * @returns {void}
+     * @example
+     * synth.soloChannel(1);     // Bass only
+     * synth.soloChannel(null);  // Everything again
+     */
+    soloChannel(channel) {
+        this.#send({ type: 'soloChannel', channel });
+    }
+
+    /**
+     * Get the muted file player channels
+     * @returns {Promise<number>} Bit mask with bit n set when channel n is muted
+     */
+    async getChannelMuteMask() {
+        /** @type {{mask: number}} */
+        const msg = await this.#request({ type: 'getChannelMuteMask' });
+        return msg.mask;
+    }
+
+    /**
+     * Mute or unmute a track of the loaded song. Track mutes are cleared
+     * when a file is loaded or another song is selected.
+     * @param {number} track - Track number
+     * @param {boolean} enabled - False to mute the track
+     * @returns {void}
+     */
+    setTrackEnabled(track, enabled) {
+        this.#send({ type: 'setTrackEnabled', track, enabled });
+    }
+
+    /**
+     * Mute every track of the loaded song but one, or unmute them all
+     * @param {number|null} track - Track to solo, or null to clear the solo
+     * @returns {void}
+     */
+    soloTrack(track) {
+        this.#send({ type: 'soloTrack', track });
+    }
+
+    /**
+     * List the tracks of the loaded song
+     * @returns {Promise<TrackInfo[]>}
+     */
+    async getTracks() {
+        /** @type {{tracks: TrackInfo[]}} */
+        const msg = await this.#request({ type: 'getTracks' });
+        return msg.tracks;
     }
 
     /**
@@ -729,12 +1114,9 @@ export class AdlMidi {
      * @returns {Promise<string>}
      */
     async getMusicTitle() {
-        return new Promise((resolve) => {
-            this.#onceMessage('musicTitle', /** @param {{title: string}} msg */(msg) => {
-                resolve(msg.title);
-            });
-            this.#send({ type: 'getMusicTitle' });
-        });
+        /** @type {{title: string}} */
+        const msg = await this.#request({ type: 'getMusicTitle' });
+        return msg.title;
     }
 
     /**
@@ -742,12 +1124,9 @@ export class AdlMidi {
      * @returns {Promise<string>}
      */
     async getMusicCopyright() {
-        return new Promise((resolve) => {
-            this.#onceMessage('musicCopyright', /** @param {{copyright: string}} msg */(msg) => {
-                resolve(msg.copyright);
-            });
-            this.#send({ type: 'getMusicCopyright' });
-        });
+        /** @type {{copyright: string}} */
+        const msg = await this.#request({ type: 'getMusicCopyright' });
+        return msg.copyright;
     }
 
     /**
@@ -798,18 +1177,14 @@ export class AdlMidi {
      * @returns {Promise<{position: number, duration: number, atEnd: boolean, playMode: string}>}
      */
     async getPlaybackState() {
-        return new Promise((resolve) => {
-            this.#onceMessage('state', /** @param {{position: number, duration: number, atEnd: boolean, playMode: string}} msg */(msg) => {
-                resolve({
-                    position: msg.position,
-                    duration: msg.duration,
-                    atEnd: msg.atEnd,
-                    playMode: msg.playMode
-                });
-            });
-
-            this.#send({ type: 'getState' });
-        });
+        /** @type {{position: number, duration: number, atEnd: boolean, playMode: string}} */
+        const msg = await this.#request({ type: 'getState' });
+        return {
+            position: msg.position,
+            duration: msg.duration,
+            atEnd: msg.atEnd,
+            playMode: msg.playMode
+        };
     }
 
     /**
@@ -847,11 +1222,52 @@ export class AdlMidi {
         };
     }
 
+    /**
+     * Receive the MIDI events the file player sends while play() runs, e.g. to
+     * highlight sounding notes. Only channel voice messages are reported.
+     * Events arrive in batches, one per render quantum, ahead of when they are
+     * heard: compare each event's `time` with `audioContext.currentTime`.
+     * The processor only collects events while at least one handler is registered.
+     * @param {function(MidiEvent[]): void} handler - Called with each batch, in playback order
+     * @returns {function(): void} Unsubscribe function
+     * @example
+     * synth.onMidiEvent(events => {
+     *     for (const e of events) {
+     *         if (e.type === 'noteOn') setTimeout(() => highlight(e.channel, e.note), (e.time - ctx.currentTime) * 1000);
+     *     }
+     * });
+     */
+    onMidiEvent(handler) {
+        if (!this.#messageHandlers.has('midiEvents')) {
+            this.#messageHandlers.set('midiEvents', new Set());
+        }
+        const handlers = /** @type {Set<Function>} */ (this.#messageHandlers.get('midiEvents'));
+        /** @param {{events: MidiEvent[]}} msg */
+        const wrappedHandler = (msg) => handler(msg.events);
+        handlers.add(wrappedHandler);
+        if (handlers.size === 1) {
+            this.#send({ type: 'setMidiEventsEnabled', enabled: true });
+        }
+
+        // Return unsubscribe function
+        return () => {
+            if (handlers.delete(wrappedHandler) && handlers.size === 0) {
+                this.#send({ type: 'setMidiEventsEnabled', enabled: false });
+            }
+        };
+    }
+
     /**
      * Close the synthesizer and release resources
      * @returns {void}
      */
     close() {
+        for (const [id, pending] of this.#pendingRequests) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error('AdlMidi closed before the request completed'));
+            this.#pendingRequests.delete(id);
+        }
+
         if (this.node) {
             this.node.disconnect();
             this.node = null;
@@ -14,16 +14,54 @@ import {
     SIZEOF_ADL_INSTRUMENT,
     SIZEOF_ADL_BANK,
     SIZEOF_ADL_BANK_ID,
+    SIZEOF_ADL_MARKER_ENTRY,
+    decodeMarkerEntry,
     decodeOperator,
     encodeOperator,
     defaultOperator,
     decodeInstrument,
     encodeInstrument,
+    interpolateInstrument,
+    serializeWopl,
 } from './utils/struct.js';
+import { MORPH_BANK_ID, getEmbeddedBanks, listPlayerBanks, readPlayerWoplBank } from './utils/banks.js';
+import { createMidiParserState, decodeSequencerEvent, parseMidiBytes } from './utils/midi.js';
+import { VOICES_PER_CHIP, decodeChannelStates } from './utils/channels.js';
 
 const SAMPLE_RATE = 44100;
 const CHANNELS = 2;
-const BYTES_PER_SAMPLE = 2; // Int16
+const BYTES_PER_SAMPLE = 4; // Float32
+const FRAMES = 128; // AudioWorklet render quantum
+const ADLMIDI_SAMPLE_TYPE_F32 = 2;
+const SIZEOF_ADL_AUDIO_FORMAT = 12; // type, containerSize, sampleOffset
+
+// ADLMIDI_TrackOptions values for adl_setTrackOptions()
+const TRACK_OPTION_ON = 1;
+const TRACK_OPTION_OFF = 2;
+
+// Real-time MIDI messages that may carry a `time` for sample-accurate scheduling
+const MIDI_EVENT_TYPES = new Set([
+    'noteOn',
+    'noteOff',
+    'pitchBend',
+    'controlChange',
+    'programChange',
+    'noteAfterTouch',
+    'channelAfterTouch',
+    'bankChange',
+    'bankChangeMSB',
+    'bankChangeLSB',
+]);
+
+/**
+ * Compare two byte arrays of the same length
+ */
+function bytesEqual(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
 
 class AdlMidiProcessor extends AudioWorkletProcessor {
     constructor(options) {
@@ -31,11 +69,26 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
 
         this.adl = null;
         this.midi = null;
-        this.bufferPtr = null;
+        this.bufferPtr = null; // Planar Float32 output: left block, then right block
+        this.formatPtr = null; // ADLMIDI_AudioFormat for adl_*Format calls
+        this.morphPtr = null; // ADL_BankId, ADL_Bank and ADL_Instrument reused by writeMorphInstrument()
         this.ready = false;
         this.playMode = 'realtime'; // 'realtime' or 'file'
+        this.midiData = null; // Loaded song file, kept to reopen it at another song
+        this.trackNames = []; // Track names of the loaded file, read by AdlMidi.loadMidi() on the main thread
+        this.songDurations = []; // Lengths of the loaded file's songs, null until a song has been opened
+        this.channelMuteMask = 0; // Muted file player channels, one bit per channel
+        this.mutedTracks = new Set(); // Muted tracks of the loaded song
         this.sampleRate = options.processorOptions?.sampleRate || SAMPLE_RATE;
-        this.cachedHeapBuffer = null; // Track heap buffer for view caching
+        this.eventQueue = []; // Scheduled MIDI events as { frame, msg }, sorted by frame
+        this.midiParserState = createMidiParserState(); // Running status for raw MIDI input
+        this.bankNames = new Map(); // Names from the last loaded WOPL bank, keyed by bankKey()
+        this.morphs = new Map(); // Instrument morphs in progress, by channel
+        this.channelStatesInterval = 0; // Frames between channel state pushes (0 = off)
+        this.channelStatesCountdown = 0; // Frames left until the next push
+        this.rawEventHook = 0; // Raw event hook in the WASM function table (0 = not installed)
+        this.midiEvents = []; // File player events collected during this render quantum
+        this.midiEventTime = 0; // AudioContext time of the frames being played
 
         // Synth settings with defaults (can be overridden via processorOptions or messages)
         this.settings = {
@@ -80,17 +133,24 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
             // Apply initial settings (can be overridden via messages)
             this.applySettings(this.settings);
 
-            // Allocate buffer for audio generation
-            // AudioWorklet uses 128 frames per block
-            const FRAMES = 128;
+            // Allocate planar Float32 buffers for audio generation
             this.bufferSize = FRAMES * CHANNELS * BYTES_PER_SAMPLE;
             this.bufferPtr = this.adl._malloc(this.bufferSize);
 
-            // Verify HEAP16 is available (required for audio output)
-            if (!this.adl.HEAP16) {
-                throw new Error('HEAP16 is not available after initialization');
+            // Verify the heap views are available (required for audio output)
+            if (!this.adl.HEAPU8 || !this.adl.HEAPU32) {
+                throw new Error('WASM heap is not available after initialization');
             }
 
+            // Non-interleaved float: each channel's samples are contiguous
+            this.formatPtr = this.adl._malloc(SIZEOF_ADL_AUDIO_FORMAT);
+            this.adl.HEAPU32[this.formatPtr >> 2] = ADLMIDI_SAMPLE_TYPE_F32;
+            this.adl.HEAPU32[(this.formatPtr >> 2) + 1] = BYTES_PER_SAMPLE;
+            this.adl.HEAPU32[(this.formatPtr >> 2) + 2] = BYTES_PER_SAMPLE;
+
+            // Morphs rewrite an instrument every render quantum, so their structs are allocated once
+            this.morphPtr = this.adl._malloc(SIZEOF_ADL_BANK_ID + SIZEOF_ADL_BANK + SIZEOF_ADL_INSTRUMENT);
+
             this.ready = true;
             this.port.postMessage({ type: 'ready' });
         } catch (error) {
@@ -111,7 +171,9 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
             this.adl._adl_setNumFourOpsChn(this.midi, settings.numFourOpChannels);
         }
         if (settings.bank !== undefined) {
-            this.adl._adl_setBank(this.midi, settings.bank);
+            if (this.adl._adl_setBank(this.midi, settings.bank) === 0) {
+                this.bankNames = new Map();
+            }
         }
         if (settings.softPan !== undefined) {
             this.adl._adl_setSoftPanEnabled(this.midi, settings.softPan ? 1 : 0);
@@ -224,7 +286,7 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
     /**
      * Set instrument in bank
      */
-    setInstrument(bankId, programNumber, instrument) {
+    setInstrument(bankId, programNumber, instrument, reset = true) {
         try {
             // Allocate ADL_BankId struct
             const bankIdPtr = this.adl._malloc(4);
@@ -252,7 +314,7 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
             const setResult = this.adl._adl_setInstrument(this.midi, bankPtr, programNumber, instPtr);
 
             // Per libADLMIDI docs: "Is recommended to call adl_reset() to apply changes to real-time"
-            if (setResult === 0) {
+            if (setResult === 0 && reset) {
                 this.adl._adl_reset(this.midi);
             }
 
@@ -270,14 +332,140 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
         }
     }
 
-    handleMessage(msg) {
-        if (!this.ready && msg.type !== 'ping') return;
+    /**
+     * List banks held by the player with per-program names and blank state
+     */
+    listBanks() {
+        try {
+            return { success: true, banks: listPlayerBanks(this.adl, this.midi, this.bankNames) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
 
-        switch (msg.type) {
-            case 'ping':
-                this.port.postMessage({ type: 'pong', ready: this.ready });
-                break;
+    /**
+     * Export all banks held by the player as WOPL data
+     */
+    exportBank() {
+        try {
+            return { success: true, data: serializeWopl(readPlayerWoplBank(this.adl, this.midi, this.bankNames)) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Queue an instrument morph. It starts at msg.time (AudioContext seconds),
+     * or at the next render quantum.
+     */
+    startMorph(msg) {
+        const startFrame = msg.time !== undefined ? Math.round(msg.time * this.sampleRate) : currentFrame;
+        const inst = {};
+        this.morphs.set(msg.channel, {
+            from: msg.from,
+            to: msg.to,
+            bankId: msg.bankId ?? MORPH_BANK_ID,
+            program: msg.program ?? msg.channel,
+            startFrame,
+            frames: Math.round(msg.duration * this.sampleRate),
+            started: false,
+            // Reused every quantum: the blended instrument, its bytes and the bytes last written
+            inst,
+            blendOptions: { threshold: msg.threshold ?? 0.5, into: inst },
+            bytes: new Uint8Array(SIZEOF_ADL_INSTRUMENT),
+            lastBytes: new Uint8Array(SIZEOF_ADL_INSTRUMENT),
+            written: false
+        });
+    }
+
+    /**
+     * Write each running morph's instrument for the coming render quantum.
+     * The bank is only touched when the interpolated instrument changes, and
+     * without the adl_reset() setInstrument() does, so sounding notes carry on.
+     */
+    updateMorphs() {
+        for (const [channel, morph] of this.morphs) {
+            const elapsed = currentFrame - morph.startFrame;
+            if (elapsed < 0) continue;
+
+            const t = morph.frames > 0 ? elapsed / morph.frames : 1;
+            interpolateInstrument(morph.from, morph.to, t, morph.blendOptions);
+            encodeInstrument(morph.inst, morph.bytes);
+            if (!morph.written || !bytesEqual(morph.bytes, morph.lastBytes)) {
+                if (!this.writeMorphInstrument(morph)) {
+                    this.morphs.delete(channel);
+                    this.port.postMessage({ type: 'processingError', error: 'Failed to set morph instrument' });
+                    continue;
+                }
+                morph.lastBytes.set(morph.bytes);
+                morph.written = true;
+            }
+
+            if (!morph.started) {
+                morph.started = true;
+                if (!morph.bankId.percussive) {
+                    this.adl._adl_rt_bankChangeMSB(this.midi, channel, morph.bankId.msb);
+                    this.adl._adl_rt_bankChangeLSB(this.midi, channel, morph.bankId.lsb);
+                    this.adl._adl_rt_patchChange(this.midi, channel, morph.program);
+                }
+            }
+            if (t >= 1) {
+                this.morphs.delete(channel);
+            }
+        }
+    }
+
+    /**
+     * Write a morph's encoded instrument into its bank slot through the
+     * preallocated morph structs
+     * @returns {boolean} True if the instrument was set
+     */
+    writeMorphInstrument(morph) {
+        const bankIdPtr = this.morphPtr;
+        const bankPtr = bankIdPtr + SIZEOF_ADL_BANK_ID;
+        const instPtr = bankPtr + SIZEOF_ADL_BANK;
+
+        this.adl.HEAPU8[bankIdPtr] = morph.bankId.percussive ? 1 : 0;
+        this.adl.HEAPU8[bankIdPtr + 1] = morph.bankId.msb || 0;
+        this.adl.HEAPU8[bankIdPtr + 2] = morph.bankId.lsb || 0;
+        if (this.adl._adl_getBank(this.midi, bankIdPtr, 1, bankPtr) !== 0) {
+            return false;
+        }
+        this.adl.HEAPU8.set(morph.bytes, instPtr);
+        return this.adl._adl_setInstrument(this.midi, bankPtr, morph.program, instPtr) === 0;
+    }
+
+    /**
+     * Post a reply to a request, echoing its correlation ID
+     * @param {{id?: number}} request - Message being answered
+     * @param {Object} message - Reply message
+     */
+    reply(request, message) {
+        this.port.postMessage({ ...message, id: request.id });
+    }
+
+    /**
+     * Queue a timestamped MIDI event for the render quantum it falls in
+     * @param {{time: number}} msg - MIDI event message with AudioContext time in seconds
+     */
+    scheduleEvent(msg) {
+        const frame = Math.round(msg.time * this.sampleRate);
+
+        // Events usually arrive in order, so search from the end.
+        // Equal frames keep their arrival order.
+        let i = this.eventQueue.length;
+        while (i > 0 && this.eventQueue[i - 1].frame > frame) {
+            i--;
+        }
+        this.eventQueue.splice(i, 0, { frame, msg });
+    }
 
+    /**
+     * Apply a real-time MIDI event to the synth
+     * @param {Object} msg - MIDI event message
+     */
+    applyMidiEvent(msg) {
+        switch (msg.type) {
             case 'noteOn':
                 this.adl._adl_rt_noteOn(this.midi, msg.channel, msg.note, msg.velocity);
                 break;
@@ -318,11 +506,74 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                 this.adl._adl_rt_bankChangeLSB(this.midi, msg.channel, msg.lsb);
                 break;
 
+            case 'systemExclusive':
+                this.systemExclusive(msg.data);
+                break;
+        }
+    }
+
+    /**
+     * Send a SysEx message to the synth
+     * @param {Uint8Array} data - Complete message including F0 and F7
+     * @returns {boolean} True if the message was recognized and applied
+     */
+    systemExclusive(data) {
+        const ptr = this.adl._malloc(data.length);
+        this.adl.HEAPU8.set(data, ptr);
+        const result = this.adl._adl_rt_systemExclusive(this.midi, ptr, data.length);
+        this.adl._free(ptr);
+        return result > 0;
+    }
+
+    /**
+     * Parse raw MIDI bytes and apply or schedule the resulting events
+     * @param {{data: Uint8Array, time?: number}} msg - Raw MIDI message
+     */
+    handleMidiBytes(msg) {
+        for (const event of parseMidiBytes(msg.data, this.midiParserState)) {
+            if (msg.time !== undefined) {
+                this.scheduleEvent({ ...event, time: msg.time });
+            } else {
+                this.applyMidiEvent(event);
+            }
+        }
+    }
+
+    handleMessage(msg) {
+        if (!this.ready && msg.type !== 'ping') return;
+
+        if (MIDI_EVENT_TYPES.has(msg.type)) {
+            if (msg.time !== undefined) {
+                this.scheduleEvent(msg);
+            } else {
+                this.applyMidiEvent(msg);
+            }
+            return;
+        }
+
+        switch (msg.type) {
+            case 'ping':
+                this.reply(msg, { type: 'pong', ready: this.ready });
+                break;
+
+            case 'midi':
+                this.handleMidiBytes(msg);
+                break;
+
+            case 'systemExclusive':
+                this.reply(msg, { type: 'sysExApplied', success: this.systemExclusive(msg.data) });
+                break;
+
+            case 'cancelScheduledEvents':
+                this.eventQueue = [];
+                break;
+
             case 'resetState':
                 this.adl._adl_rt_resetState(this.midi);
                 break;
 
             case 'panic':
+                this.eventQueue = [];
                 this.adl._adl_panic(this.midi);
                 break;
 
@@ -330,28 +581,51 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                 // Update settings at runtime
                 Object.assign(this.settings, msg.settings);
                 this.applySettings(msg.settings);
-                this.port.postMessage({ type: 'configured' });
+                this.reply(msg, { type: 'configured' });
                 break;
 
             case 'loadBank':
-                this.loadBank(msg.data);
+                this.loadBank(msg);
                 break;
 
             case 'setBank': {
                 const result = this.adl._adl_setBank(this.midi, msg.bank);
-                this.port.postMessage({ type: 'bankSet', success: result === 0, bank: msg.bank });
+                if (result === 0) {
+                    this.bankNames = new Map();
+                }
+                this.reply(msg, { type: 'bankSet', success: result === 0, bank: msg.bank });
                 break;
             }
 
             case 'getInstrument': {
                 const getResult = this.getInstrument(msg.bankId, msg.programNumber);
-                this.port.postMessage({ type: 'instrumentLoaded', ...getResult });
+                this.reply(msg, { type: 'instrumentLoaded', ...getResult });
                 break;
             }
 
             case 'setInstrument': {
                 const setResult = this.setInstrument(msg.bankId, msg.programNumber, msg.instrument);
-                this.port.postMessage({ type: 'instrumentSet', ...setResult });
+                this.reply(msg, { type: 'instrumentSet', ...setResult });
+                break;
+            }
+
+            case 'morphInstrument':
+                this.startMorph(msg);
+                break;
+
+            case 'cancelMorph':
+                this.morphs.delete(msg.channel);
+                break;
+
+            case 'listBanks': {
+                const listResult = this.listBanks();
+                this.reply(msg, { type: 'bankList', ...listResult });
+                break;
+            }
+
+            case 'exportBank': {
+                const exportResult = this.exportBank();
+                this.reply(msg, { type: 'bankExported', ...exportResult });
                 break;
             }
 
@@ -364,7 +638,7 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                 break;
 
             case 'getNumFourOpChannels':
-                this.port.postMessage({ type: 'numFourOpChannels', channels: this.adl._adl_getNumFourOpsChn(this.midi) });
+                this.reply(msg, { type: 'numFourOpChannels', channels: this.adl._adl_getNumFourOpsChn(this.midi) });
                 break;
 
             case 'setScaleModulators':
@@ -380,7 +654,7 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                 break;
 
             case 'getAutoArpeggio':
-                this.port.postMessage({ type: 'autoArpeggio', enabled: this.adl._adl_getAutoArpeggio(this.midi) !== 0 });
+                this.reply(msg, { type: 'autoArpeggio', enabled: this.adl._adl_getAutoArpeggio(this.midi) !== 0 });
                 break;
 
             case 'setChannelAllocMode':
@@ -388,7 +662,7 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                 break;
 
             case 'getChannelAllocMode':
-                this.port.postMessage({ type: 'channelAllocMode', mode: this.adl._adl_getChannelAllocMode(this.midi) });
+                this.reply(msg, { type: 'channelAllocMode', mode: this.adl._adl_getChannelAllocMode(this.midi) });
                 break;
 
             case 'setVolumeModel':
@@ -414,21 +688,21 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
             case 'switchEmulator': {
                 // Note: adl_switchEmulator internally calls partialReset(), so no extra reset needed
                 const result = this.adl._adl_switchEmulator(this.midi, msg.emulator);
-                this.port.postMessage({ type: 'emulatorSwitched', success: result === 0, emulator: msg.emulator });
+                this.reply(msg, { type: 'emulatorSwitched', success: result === 0, emulator: msg.emulator });
                 break;
             }
 
             case 'getEmulatorName': {
                 const namePtr = this.adl._adl_chipEmulatorName(this.midi);
                 const name = namePtr ? this.adl.UTF8ToString(namePtr) : 'Unknown';
-                this.port.postMessage({ type: 'emulatorName', name });
+                this.reply(msg, { type: 'emulatorName', name });
                 break;
             }
 
             case 'getLibraryVersion': {
                 const ptr = this.adl._adl_linkedLibraryVersion();
                 const version = ptr ? this.adl.UTF8ToString(ptr) : 'Unknown';
-                this.port.postMessage({ type: 'libraryVersion', version });
+                this.reply(msg, { type: 'libraryVersion', version });
                 break;
             }
 
@@ -439,44 +713,90 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                     minor: this.adl.getValue(ptr + 2, 'i16'),
                     patch: this.adl.getValue(ptr + 4, 'i16')
                 } : null;
-                this.port.postMessage({ type: 'version', version });
+                this.reply(msg, { type: 'version', version });
                 break;
             }
 
             case 'getNumChips':
-                this.port.postMessage({ type: 'numChips', chips: this.adl._adl_getNumChips(this.midi) });
+                this.reply(msg, { type: 'numChips', chips: this.adl._adl_getNumChips(this.midi) });
                 break;
 
             case 'getNumChipsObtained':
-                this.port.postMessage({ type: 'numChipsObtained', chips: this.adl._adl_getNumChipsObtained(this.midi) });
+                this.reply(msg, { type: 'numChipsObtained', chips: this.adl._adl_getNumChipsObtained(this.midi) });
                 break;
 
             case 'getVolumeModel':
-                this.port.postMessage({ type: 'volumeModel', model: this.adl._adl_getVolumeRangeModel(this.midi) });
+                this.reply(msg, { type: 'volumeModel', model: this.adl._adl_getVolumeRangeModel(this.midi) });
                 break;
 
             case 'getEmbeddedBanks': {
-                const banks = this.getEmbeddedBankList();
-                this.port.postMessage({ type: 'embeddedBanks', banks });
+                const result = this.getEmbeddedBankList();
+                this.reply(msg, { type: 'embeddedBanks', ...result });
                 break;
             }
 
+            case 'getChannelStates': {
+                const result = this.getChannelStates();
+                this.reply(msg, { type: 'channelStates', ...result });
+                break;
+            }
+
+            case 'setChannelStatesInterval':
+                // Interval in seconds; 0 stops the pushes
+                this.channelStatesInterval = Math.max(0, Math.round(msg.interval * this.sampleRate));
+                this.channelStatesCountdown = 0;
+                break;
+
             // MIDI file playback
             case 'loadMidi':
-                this.loadMidiData(msg.data);
+                this.loadMidiData(msg);
+                break;
+
+            case 'setChannelEnabled':
+                this.setChannelEnabled(msg.channel, msg.enabled);
+                break;
+
+            case 'soloChannel':
+                this.soloChannel(msg.channel);
+                break;
+
+            case 'getChannelMuteMask':
+                this.reply(msg, { type: 'channelMuteMask', mask: this.channelMuteMask });
+                break;
+
+            case 'setTrackEnabled':
+                this.setTrackEnabled(msg.track, msg.enabled);
+                break;
+
+            case 'soloTrack':
+                this.soloTrack(msg.track);
+                break;
+
+            case 'getTracks':
+                this.reply(msg, { type: 'tracks', tracks: this.getTracks() });
+                break;
+
+            case 'getSongCount': {
+                const count = this.midiData ? Math.max(1, this.adl._adl_getSongsCount(this.midi)) : 0;
+                this.reply(msg, { type: 'songCount', count });
+                break;
+            }
+
+            case 'selectSong':
+                this.reply(msg, { type: 'songSelected', ...this.selectSong(msg.song) });
                 break;
 
             case 'getMusicTitle': {
                 const ptr = this.adl._adl_metaMusicTitle(this.midi);
                 const title = ptr ? this.adl.UTF8ToString(ptr) : '';
-                this.port.postMessage({ type: 'musicTitle', title });
+                this.reply(msg, { type: 'musicTitle', title });
                 break;
             }
 
             case 'getMusicCopyright': {
                 const ptr = this.adl._adl_metaMusicCopyright(this.midi);
                 const copyright = ptr ? this.adl.UTF8ToString(ptr) : '';
-                this.port.postMessage({ type: 'musicCopyright', copyright });
+                this.reply(msg, { type: 'musicCopyright', copyright });
                 break;
             }
 
@@ -496,6 +816,12 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
 
             case 'seek':
                 this.adl._adl_positionSeek(this.midi, msg.position);
+                // Events passed over while seeking were not heard
+                this.midiEvents = [];
+                break;
+
+            case 'setMidiEventsEnabled':
+                this.setMidiEventsEnabled(msg.enabled);
                 break;
 
             case 'setLoop':
@@ -507,7 +833,7 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                 break;
 
             case 'getState':
-                this.port.postMessage({
+                this.reply(msg, {
                     type: 'state',
                     position: this.adl._adl_positionTell(this.midi),
                     duration: this.adl._adl_totalTimeLength(this.midi),
@@ -517,37 +843,49 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
                 break;
 
             case 'reset':
+                this.eventQueue = [];
+                this.morphs.clear();
                 this.adl._adl_reset(this.midi);
                 this.playMode = 'realtime';
                 break;
         }
     }
 
-    loadMidiData(arrayBuffer) {
+    loadMidiData(request) {
         try {
-            const data = new Uint8Array(arrayBuffer);
+            const data = new Uint8Array(request.data);
             const dataPtr = this.adl._malloc(data.length);
             this.adl.HEAPU8.set(data, dataPtr);
 
+            // The song number outlives the file; start new files at their first song
+            this.adl._adl_selectSongNum(this.midi, 0);
             const result = this.adl._adl_openData(this.midi, dataPtr, data.length);
             this.adl._free(dataPtr);
 
+            this.midiData = result === 0 ? data : null;
+            this.trackNames = result === 0 ? request.trackNames ?? [] : [];
+            this.songDurations = [];
+            this.mutedTracks.clear();
             if (result === 0) {
-                const duration = this.adl._adl_totalTimeLength(this.midi);
-                this.port.postMessage({
+                this.songDurations = new Array(Math.max(1, this.adl._adl_getSongsCount(this.midi))).fill(null);
+                this.songDurations[0] = this.adl._adl_totalTimeLength(this.midi);
+                this.applyMutes();
+                this.reply(request, {
                     type: 'midiLoaded',
                     success: true,
-                    duration: duration
+                    songs: this.listSongs(),
+                    duration: this.adl._adl_totalTimeLength(this.midi),
+                    info: this.getMusicInfo()
                 });
             } else {
-                this.port.postMessage({
+                this.reply(request, {
                     type: 'midiLoaded',
                     success: false,
                     error: 'Failed to parse MIDI data'
                 });
             }
         } catch (error) {
-            this.port.postMessage({
+            this.reply(request, {
                 type: 'midiLoaded',
                 success: false,
                 error: error.message
@@ -556,28 +894,229 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
     }
 
     /**
-     * Get list of embedded banks with their names
-     * @returns {{id: number, name: string}[]}
+     * Reopen the loaded file at another song
+     * @param {number} song - Song number
+     * @returns {boolean} True if the file opened
      */
-    getEmbeddedBankList() {
-        const count = this.adl._adl_getBanksCount();
-        const namesPtr = this.adl._adl_getBankNames();
-        const banks = [];
+    openSong(song) {
+        const dataPtr = this.adl._malloc(this.midiData.length);
+        this.adl.HEAPU8.set(this.midiData, dataPtr);
+        this.adl._adl_selectSongNum(this.midi, song);
+        const result = this.adl._adl_openData(this.midi, dataPtr, this.midiData.length);
+        this.adl._free(dataPtr);
+        this.midiEvents = [];
+        if (result === 0) {
+            this.songDurations[song] = this.adl._adl_totalTimeLength(this.midi);
+            this.applyMutes();
+        }
+        return result === 0;
+    }
 
-        // namesPtr points to an array of char* pointers
+    /**
+     * List the songs of the loaded file with the lengths known so far.
+     * Only opening a song tells its length, and parsing every song of a
+     * large file is too slow for the audio thread, so songs not yet
+     * selected have a null duration.
+     */
+    listSongs() {
+        return this.songDurations.map((duration, song) => ({ song, duration }));
+    }
+
+    selectSong(song) {
+        try {
+            if (!this.midiData) {
+                return { success: false, error: 'No MIDI file loaded' };
+            }
+            const count = Math.max(1, this.adl._adl_getSongsCount(this.midi));
+            if (!Number.isInteger(song) || song < 0 || song >= count) {
+                return { success: false, error: `Song number out of range: ${song}` };
+            }
+            this.mutedTracks.clear();
+            if (!this.openSong(song)) {
+                return { success: false, error: 'Failed to parse MIDI data' };
+            }
+            return {
+                success: true,
+                song,
+                duration: this.adl._adl_totalTimeLength(this.midi),
+                info: this.getMusicInfo()
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Apply the channel and track mutes to the player after a file is opened
+     */
+    applyMutes() {
+        for (let channel = 0; channel < 16; channel++) {
+            const muted = this.channelMuteMask & (1 << channel);
+            this.adl._adl_setChannelEnabled(this.midi, channel, muted ? 0 : 1);
+        }
+        const count = this.adl._adl_trackCount(this.midi);
+        for (let track = 0; track < count; track++) {
+            const option = this.mutedTracks.has(track) ? TRACK_OPTION_OFF : TRACK_OPTION_ON;
+            this.adl._adl_setTrackOptions(this.midi, track, option);
+        }
+    }
+
+    /**
+     * @param {number} track
+     * @returns {boolean} True if the loaded song has this track
+     */
+    isTrack(track) {
+        return Number.isInteger(track) && track >= 0 && track < this.adl._adl_trackCount(this.midi);
+    }
+
+    setChannelEnabled(channel, enabled) {
+        if (!Number.isInteger(channel) || channel < 0 || channel > 15) return;
+        const bit = 1 << channel;
+        this.channelMuteMask = enabled ? this.channelMuteMask & ~bit : this.channelMuteMask | bit;
+        this.adl._adl_setChannelEnabled(this.midi, channel, enabled ? 1 : 0);
+    }
+
+    soloChannel(channel) {
+        if (channel !== null && (!Number.isInteger(channel) || channel < 0 || channel > 15)) return;
+        this.channelMuteMask = channel === null ? 0 : 0xFFFF & ~(1 << channel);
+        this.applyMutes();
+    }
+
+    setTrackEnabled(track, enabled) {
+        if (!this.isTrack(track)) return;
+        if (enabled) {
+            this.mutedTracks.delete(track);
+        } else {
+            this.mutedTracks.add(track);
+        }
+        this.adl._adl_setTrackOptions(this.midi, track, enabled ? TRACK_OPTION_ON : TRACK_OPTION_OFF);
+    }
+
+    soloTrack(track) {
+        if (track !== null && !this.isTrack(track)) return;
+        const count = this.adl._adl_trackCount(this.midi);
+        this.mutedTracks.clear();
         for (let i = 0; i < count; i++) {
-            // Read the pointer at offset i (4 bytes per pointer in WASM32)
-            const strPtr = this.adl.getValue(namesPtr + i * 4, 'i32');
-            const name = strPtr ? this.adl.UTF8ToString(strPtr) : `Bank ${i}`;
-            banks.push({ id: i, name });
+            if (track !== null && i !== track) this.mutedTracks.add(i);
         }
+        this.applyMutes();
+    }
 
-        return banks;
+    /**
+     * List the tracks of the loaded song with their names and mute state
+     */
+    getTracks() {
+        if (!this.midiData) return [];
+        const count = this.adl._adl_trackCount(this.midi);
+        return Array.from({ length: count }, (_, track) => ({
+            track,
+            name: this.trackNames[track] ?? '',
+            enabled: !this.mutedTracks.has(track)
+        }));
     }
 
-    loadBank(arrayBuffer) {
+    /**
+     * Read the metadata of the loaded song. The tempo map is left to the
+     * main thread, which parses the file before sending it.
+     */
+    getMusicInfo() {
+        const readString = (ptr) => ptr ? this.adl.UTF8ToString(ptr) : '';
+
+        const trackTitles = [];
+        const trackCount = this.adl._adl_metaTrackTitleCount(this.midi);
+        for (let i = 0; i < trackCount; i++) {
+            trackTitles.push(readString(this.adl._adl_metaTrackTitle(this.midi, i)));
+        }
+
+        const markers = [];
+        const markerCount = this.adl._adl_metaMarkerCount(this.midi);
+        const entryPtr = this.adl._malloc(SIZEOF_ADL_MARKER_ENTRY);
+        try {
+            for (let i = 0; i < markerCount; i++) {
+                // Struct return: the entry is written through a hidden first argument
+                this.adl._adl_metaMarker(entryPtr, this.midi, i);
+                const { labelPtr, time, ticks } = decodeMarkerEntry(this.adl.HEAPU8.subarray(entryPtr, entryPtr + SIZEOF_ADL_MARKER_ENTRY));
+                markers.push({ label: readString(labelPtr), time, ticks });
+            }
+        } finally {
+            this.adl._free(entryPtr);
+        }
+
+        const loopStart = this.adl._adl_loopStartTime(this.midi);
+        const loopEnd = this.adl._adl_loopEndTime(this.midi);
+
+        return {
+            title: readString(this.adl._adl_metaMusicTitle(this.midi)),
+            copyright: readString(this.adl._adl_metaMusicCopyright(this.midi)),
+            trackTitles,
+            markers,
+            loopStart: loopStart >= 0 ? loopStart : null,
+            loopEnd: loopEnd >= 0 ? loopEnd : null
+        };
+    }
+
+    /**
+     * Install or remove libADLMIDI's raw event hook, which reports the
+     * MIDI events the file player sends to the synth
+     */
+    setMidiEventsEnabled(enabled) {
+        if (enabled && !this.rawEventHook) {
+            this.rawEventHook = this.adl.addFunction((_userData, type, _subtype, channel, data, length) => {
+                const message = decodeSequencerEvent(type, channel, this.adl.HEAPU8.subarray(data, data + length));
+                if (message) {
+                    this.midiEvents.push({ ...message, time: this.midiEventTime });
+                }
+            }, 'viiiiii');
+            this.adl._adl_setRawEventHook(this.midi, this.rawEventHook, 0);
+        } else if (!enabled && this.rawEventHook) {
+            this.adl._adl_setRawEventHook(this.midi, 0, 0);
+            this.adl.removeFunction(this.rawEventHook);
+            this.rawEventHook = 0;
+            this.midiEvents = [];
+        }
+    }
+
+    /**
+     * Get embedded banks with their names and the settings they were made for.
+     * Banks are read from a table generated at build time.
+     */
+    getEmbeddedBankList() {
+        try {
+            return { success: true, banks: getEmbeddedBanks(this.adl) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Describe every OPL3 voice: state, owning MIDI channel and 4-op pairing
+     */
+    getChannelStates() {
+        try {
+            const numChips = this.adl._adl_getNumChipsObtained(this.midi);
+            const size = numChips * VOICES_PER_CHIP + 1;
+            const textPtr = this.adl._malloc(size * 2);
+            const attrPtr = textPtr + size;
+            try {
+                this.adl._adl_describeChannels(this.midi, textPtr, attrPtr, size);
+                const chips = decodeChannelStates(
+                    this.adl.HEAPU8.subarray(textPtr, textPtr + size),
+                    this.adl.HEAPU8.subarray(attrPtr, attrPtr + size),
+                    numChips,
+                    this.adl._adl_getNumFourOpsChnObtained(this.midi)
+                );
+                return { success: true, chips };
+            } finally {
+                this.adl._free(textPtr);
+            }
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    loadBank(request) {
         try {
-            const data = new Uint8Array(arrayBuffer);
+            const data = new Uint8Array(request.data);
             const dataPtr = this.adl._malloc(data.length);
             this.adl.HEAPU8.set(data, dataPtr);
 
@@ -585,16 +1124,18 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
             this.adl._free(dataPtr);
 
             if (result === 0) {
-                this.port.postMessage({ type: 'bankLoaded', success: true });
+                // Read by AdlMidi.loadBank() on the main thread
+                this.bankNames = request.names ?? new Map();
+                this.reply(request, { type: 'bankLoaded', success: true });
             } else {
-                this.port.postMessage({
+                this.reply(request, {
                     type: 'bankLoaded',
                     success: false,
                     error: 'Failed to load bank data'
                 });
             }
         } catch (error) {
-            this.port.postMessage({
+            this.reply(request, {
                 type: 'bankLoaded',
                 success: false,
                 error: error.message
@@ -602,8 +1143,52 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
         }
     }
 
+    /**
+     * Render frames [start, end) of the current block into the output channels
+     * @param {Float32Array} left - Left output channel
+     * @param {Float32Array} right - Right output channel
+     * @param {number} start - First frame to write
+     * @param {number} end - Frame to stop before
+     */
+    renderFrames(left, right, start, end) {
+        // Generate audio straight into planar float buffers
+        const frames = end - start;
+        const sampleCount = frames * 2;
+        const leftPtr = this.bufferPtr;
+        const rightPtr = this.bufferPtr + FRAMES * BYTES_PER_SAMPLE;
+        let generated = sampleCount;
+
+        // Use adl_play for file playback mode, adl_generate for real-time
+        if (this.playMode === 'file') {
+            // Events raised during this call are stamped with the start of the range
+            this.midiEventTime = (currentFrame + start) / this.sampleRate;
+            generated = this.adl._adl_playFormat(this.midi, sampleCount, leftPtr, rightPtr, this.formatPtr);
+
+            // When song ends, silence notes and switch to realtime mode
+            if (this.adl._adl_atEnd(this.midi) !== 0) {
+                this.adl._adl_panic(this.midi);
+                this.playMode = 'realtime';
+                this.port.postMessage({ type: 'playbackEnded' });
+            }
+        } else {
+            this.adl._adl_generateFormat(this.midi, sampleCount, leftPtr, rightPtr, this.formatPtr);
+        }
+
+        // Views are created per call since the heap may have grown
+        const rendered = Math.max(0, generated >> 1);
+        const heap = this.adl.HEAPU8.buffer;
+        left.set(new Float32Array(heap, leftPtr, rendered), start);
+        right.set(new Float32Array(heap, rightPtr, rendered), start);
+
+        // The song ended part-way through: silence the rest of the range
+        if (rendered < frames) {
+            left.fill(0, start + rendered, end);
+            right.fill(0, start + rendered, end);
+        }
+    }
+
     process(_inputs, outputs, _parameters) {
-        if (!this.ready || !this.midi || !this.adl || !this.adl.HEAP16) return true;
+        if (!this.ready || !this.midi || !this.adl || !this.adl.HEAPU8) return true;
 
         const output = outputs[0];
         if (!output || output.length === 0) return true;
@@ -613,34 +1198,43 @@ class AdlMidiProcessor extends AudioWorkletProcessor {
         const frames = left.length;
 
         try {
-            // Generate audio (16-bit stereo interleaved)
-            const sampleCount = frames * 2;
+            if (this.morphs.size > 0) {
+                this.updateMorphs();
+            }
 
-            // Use adl_play for file playback mode, adl_generate for real-time
-            if (this.playMode === 'file') {
-                this.adl._adl_play(this.midi, sampleCount, this.bufferPtr);
+            // Split generation at each scheduled event that falls inside this block.
+            // Events already in the past are applied at the start of the block.
+            let offset = 0;
+            while (this.eventQueue.length > 0) {
+                const due = this.eventQueue[0].frame - currentFrame;
+                if (due >= frames) break;
 
-                // When song ends, silence notes and switch to realtime mode
-                if (this.adl._adl_atEnd(this.midi) !== 0) {
-                    this.adl._adl_panic(this.midi);
-                    this.playMode = 'realtime';
-                    this.port.postMessage({ type: 'playbackEnded' });
+                if (due > offset) {
+                    this.renderFrames(left, right, offset, due);
+                    offset = due;
                 }
-            } else {
-                this.adl._adl_generate(this.midi, sampleCount, this.bufferPtr);
+                this.applyMidiEvent(this.eventQueue.shift().msg);
+            }
+
+            if (offset < frames) {
+                this.renderFrames(left, right, offset, frames);
             }
 
-            // Convert from Int16 to Float32
-            // Cache the view - only recreate if WASM heap has grown
-            const currentBuffer = this.adl.HEAP16.buffer;
-            if (this.cachedHeapBuffer !== currentBuffer) {
-                this.cachedHeapBuffer = currentBuffer;
+            if (this.channelStatesInterval > 0) {
+                this.channelStatesCountdown -= frames;
+                if (this.channelStatesCountdown <= 0) {
+                    this.channelStatesCountdown += this.channelStatesInterval;
+                    const result = this.getChannelStates();
+                    if (result.success) {
+                        this.port.postMessage({ type: 'channelStatesUpdate', chips: result.chips, time: currentTime });
+                    }
+                }
             }
-            const heap16 = new Int16Array(currentBuffer, this.bufferPtr, sampleCount);
 
-            for (let i = 0; i < frames; i++) {
-                left[i] = heap16[i * 2] / 32768.0;
-                right[i] = heap16[i * 2 + 1] / 32768.0;
+            // One batch of file player events per render quantum
+            if (this.midiEvents.length > 0) {
+                this.port.postMessage({ type: 'midiEvents', events: this.midiEvents });
+                this.midiEvents = [];
             }
         } catch (e) {
             // Report errors to main thread instead of silently swallowing
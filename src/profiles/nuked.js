@@ -60,7 +60,7 @@ export class AdlMidiCore {
     /**
      * Create a new AdlMidiCore instance with this profile's WASM.
      * 
-     * @param {{corePath?: string}} [options] - Options (corePath is pre-configured)
+     * @param {Partial<import('../core.js').CoreOptions>} [options] - Options (corePath is pre-configured)
      * @returns {Promise<BaseAdlMidiCore>}
      */
     static async create(options = {}) {
@@ -78,5 +78,6 @@ export {
     defaultInstrument,
     encodeOperator,
     decodeOperator,
-    defaultOperator 
+    defaultOperator,
+    interpolateInstrument 
 } from '../utils/struct.js';
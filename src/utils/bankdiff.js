@@ -0,0 +1,318 @@
+/**
+ * Comparing and combining WOPL banks
+ * Works on parsed banks, so it runs anywhere parseWopl does
+ *
+ * @module utils/bankdiff
+ */
+
+import { parseWopl } from './struct.js';
+
+/** @typedef {import('./struct.js').Instrument} Instrument */
+/** @typedef {import('./struct.js').WoplInstrument} WoplInstrument */
+/** @typedef {import('./struct.js').WoplBank} WoplBank */
+/** @typedef {import('./struct.js').WoplBankSet} WoplBankSet */
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * One changed value. Instrument fields use the names from `decodeInstrument`;
+ * operator fields are written `operators[0].attack`.
+ * @typedef {Object} FieldChange
+ * @property {string} field - Field path
+ * @property {number|boolean|string|undefined} from - Value in the first bank
+ * @property {number|boolean|string|undefined} to - Value in the second bank
+ */
+
+/**
+ * A bank set (one MSB/LSB pair) present in only one bank, or renamed
+ * @typedef {Object} BankSetDiff
+ * @property {'added'|'removed'|'changed'} type
+ * @property {boolean} percussive
+ * @property {number} msb
+ * @property {number} lsb
+ * @property {string} name - Set name (from the second bank, unless removed)
+ * @property {FieldChange[]} changes - Changed set fields (`changed` only)
+ */
+
+/**
+ * An instrument that differs between the banks. Blank instruments count as
+ * absent: a blank slot that gains an instrument is `added`.
+ * @typedef {Object} InstrumentDiff
+ * @property {'added'|'removed'|'changed'} type
+ * @property {boolean} percussive
+ * @property {number} msb
+ * @property {number} lsb
+ * @property {number} program - Program, or key for percussion sets
+ * @property {string} name - Instrument name (from the second bank, unless removed)
+ * @property {FieldChange[]} changes - Changed fields (`changed` only)
+ */
+
+/**
+ * @typedef {Object} BankDiff
+ * @property {FieldChange[]} settings - Changed bank-wide settings (deepTremolo, deepVibrato, volumeModel)
+ * @property {BankSetDiff[]} sets - Added, removed and renamed sets
+ * @property {InstrumentDiff[]} instruments - Changed instruments, melodic first, by bank then program
+ */
+
+/**
+ * @typedef {Object} MergeOptions
+ * @property {boolean} [melodic=true] - Take melodic sets from the overlay
+ * @property {boolean} [percussion=true] - Take percussion sets from the overlay
+ * @property {boolean} [replaceSets=false] - Replace whole sets instead of merging instrument by instrument
+ * @property {'base'|'overlay'} [settings='base'] - Bank whose deepTremolo, deepVibrato and volumeModel are kept
+ * @property {(id: {percussive: boolean, msb: number, lsb: number}) => ({msb: number, lsb: number}|null)} [remap]
+ *     Where to put each overlay set; return null to skip the set
+ */
+
+/** @typedef {WoplBank|ArrayBuffer|Uint8Array} BankInput */
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Bank-wide settings compared by diffBanks() */
+const BANK_SETTINGS = /** @type {const} */ (['deepTremolo', 'deepVibrato', 'volumeModel']);
+
+/** Instrument fields skipped by diffInstrument(): file metadata, and operators (compared field by field) */
+const IGNORED_FIELDS = new Set(['version', 'isBlank', 'operators']);
+
+/**
+ * @param {BankInput} bank
+ * @returns {WoplBank}
+ */
+function toBank(bank) {
+    return bank instanceof ArrayBuffer || ArrayBuffer.isView(bank)
+        ? parseWopl(/** @type {ArrayBuffer|Uint8Array} */ (bank))
+        : bank;
+}
+
+/**
+ * @param {number} msb
+ * @param {number} lsb
+ * @returns {number} Sort key for a set
+ */
+function setOrder(msb, lsb) {
+    return msb * 128 + lsb;
+}
+
+/**
+ * @param {WoplBankSet[]} sets
+ * @returns {Map<number, WoplBankSet>} Sets keyed by setOrder()
+ */
+function indexSets(sets) {
+    return new Map(sets.map(set => [setOrder(set.msb, set.lsb), set]));
+}
+
+/**
+ * @param {WoplInstrument|undefined} inst
+ * @returns {boolean}
+ */
+function isPresent(inst) {
+    return !!inst && !inst.isBlank;
+}
+
+/**
+ * @param {WoplInstrument} inst
+ * @returns {WoplInstrument}
+ */
+function cloneInstrument(inst) {
+    return {
+        ...inst,
+        operators: /** @type {Instrument['operators']} */ (inst.operators.map(op => ({ ...op }))),
+    };
+}
+
+/**
+ * @param {WoplBankSet} set
+ * @returns {WoplBankSet}
+ */
+function cloneSet(set) {
+    return { ...set, instruments: set.instruments.map(cloneInstrument) };
+}
+
+/**
+ * Compare two instruments field by field
+ * @param {WoplInstrument} a
+ * @param {WoplInstrument} b
+ * @returns {FieldChange[]}
+ */
+function diffInstrument(a, b) {
+    /** @type {FieldChange[]} */
+    const changes = [];
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const field of fields) {
+        if (IGNORED_FIELDS.has(field)) continue;
+        const from = /** @type {any} */ (a)[field];
+        const to = /** @type {any} */ (b)[field];
+        if (from !== to) changes.push({ field, from, to });
+    }
+
+    for (let i = 0; i < 4; i++) {
+        const opA = a.operators[i];
+        const opB = b.operators[i];
+        for (const field of /** @type {(keyof import('./struct.js').Operator)[]} */ (Object.keys(opA))) {
+            if (opA[field] !== opB[field]) {
+                changes.push({ field: `operators[${i}].${field}`, from: opA[field], to: opB[field] });
+            }
+        }
+    }
+    return changes;
+}
+
+// =============================================================================
+// Diff
+// =============================================================================
+
+/**
+ * Compare two WOPL banks.
+ *
+ * Sets are matched by percussive flag, MSB and LSB; instruments by program
+ * (or key). A set missing from one bank counts as all blank, so its
+ * instruments are listed as added or removed.
+ *
+ * @param {BankInput} a - First bank, parsed or as WOPL data
+ * @param {BankInput} b - Second bank, parsed or as WOPL data
+ * @returns {BankDiff}
+ * @example
+ * const diff = diffBanks(readFileSync('house.wopl'), core.exportBank());
+ * for (const inst of diff.instruments) {
+ *     console.log(inst.type, inst.program, inst.name, inst.changes.map(c => c.field));
+ * }
+ */
+export function diffBanks(a, b) {
+    const bankA = toBank(a);
+    const bankB = toBank(b);
+
+    /** @type {BankDiff} */
+    const diff = { settings: [], sets: [], instruments: [] };
+
+    for (const field of BANK_SETTINGS) {
+        if (bankA[field] !== bankB[field]) {
+            diff.settings.push({ field, from: bankA[field], to: bankB[field] });
+        }
+    }
+
+    for (const percussive of [false, true]) {
+        const setsA = indexSets(percussive ? bankA.percussion : bankA.melodic);
+        const setsB = indexSets(percussive ? bankB.percussion : bankB.melodic);
+        const keys = [...new Set([...setsA.keys(), ...setsB.keys()])].sort((x, y) => x - y);
+
+        for (const key of keys) {
+            const setA = setsA.get(key);
+            const setB = setsB.get(key);
+            const { msb, lsb } = /** @type {WoplBankSet} */ (setB ?? setA);
+
+            if (!setA || !setB) {
+                diff.sets.push({
+                    type: setB ? 'added' : 'removed',
+                    percussive, msb, lsb,
+                    name: /** @type {WoplBankSet} */ (setB ?? setA).name,
+                    changes: []
+                });
+            } else if (setA.name !== setB.name) {
+                diff.sets.push({
+                    type: 'changed',
+                    percussive, msb, lsb,
+                    name: setB.name,
+                    changes: [{ field: 'name', from: setA.name, to: setB.name }]
+                });
+            }
+
+            const count = Math.max(setA?.instruments.length ?? 0, setB?.instruments.length ?? 0);
+            for (let program = 0; program < count; program++) {
+                const instA = setA?.instruments[program];
+                const instB = setB?.instruments[program];
+                const hasA = isPresent(instA);
+                const hasB = isPresent(instB);
+                if (!hasA && !hasB) continue;
+
+                const common = { percussive, msb, lsb, program };
+                if (!hasA || !hasB) {
+                    diff.instruments.push({
+                        type: hasB ? 'added' : 'removed',
+                        ...common,
+                        name: /** @type {WoplInstrument} */ (hasB ? instB : instA).name,
+                        changes: []
+                    });
+                    continue;
+                }
+
+                const changes = diffInstrument(/** @type {WoplInstrument} */ (instA), /** @type {WoplInstrument} */ (instB));
+                if (changes.length > 0) {
+                    diff.instruments.push({ type: 'changed', ...common, name: /** @type {WoplInstrument} */ (instB).name, changes });
+                }
+            }
+        }
+    }
+
+    return diff;
+}
+
+// =============================================================================
+// Merge
+// =============================================================================
+
+/**
+ * Lay one bank's sets over another's.
+ *
+ * By default every non-blank overlay instrument replaces the base instrument
+ * in the same set and slot, and blank overlay slots keep the base instrument.
+ * Overlay sets the base lacks are added. Neither input is modified.
+ *
+ * @param {BankInput} base - Bank to start from, parsed or as WOPL data
+ * @param {BankInput} overlay - Bank whose instruments win, parsed or as WOPL data
+ * @param {MergeOptions} [options]
+ * @returns {WoplBank} New bank; write it with `serializeWopl()`
+ * @example
+ * // House bank: embedded bank 72 with our own drum kit
+ * core.setBank(72);
+ * const house = mergeBanks(core.exportBank(), readFileSync('drums.wopl'), { melodic: false });
+ * core.loadBankData(serializeWopl(house));
+ */
+export function mergeBanks(base, overlay, options = {}) {
+    const baseBank = toBank(base);
+    const overlayBank = toBank(overlay);
+    const settings = options.settings === 'overlay' ? overlayBank : baseBank;
+
+    /**
+     * @param {boolean} percussive
+     * @returns {WoplBankSet[]}
+     */
+    const mergeSets = (percussive) => {
+        const sets = indexSets((percussive ? baseBank.percussion : baseBank.melodic).map(cloneSet));
+        if (options[percussive ? 'percussion' : 'melodic'] === false) {
+            return [...sets.values()];
+        }
+
+        for (const set of percussive ? overlayBank.percussion : overlayBank.melodic) {
+            const target = options.remap
+                ? options.remap({ percussive, msb: set.msb, lsb: set.lsb })
+                : { msb: set.msb, lsb: set.lsb };
+            if (!target) continue;
+
+            const key = setOrder(target.msb, target.lsb);
+            const existing = sets.get(key);
+            if (!existing || options.replaceSets) {
+                sets.set(key, { ...cloneSet(set), msb: target.msb, lsb: target.lsb });
+                continue;
+            }
+
+            set.instruments.forEach((inst, program) => {
+                if (isPresent(inst)) existing.instruments[program] = cloneInstrument(inst);
+            });
+            existing.name ||= set.name;
+        }
+
+        return [...sets.values()].sort((x, y) => setOrder(x.msb, x.lsb) - setOrder(y.msb, y.lsb));
+    };
+
+    return {
+        deepTremolo: settings.deepTremolo,
+        deepVibrato: settings.deepVibrato,
+        volumeModel: settings.volumeModel,
+        melodic: mergeSets(false),
+        percussion: mergeSets(true),
+    };
+}
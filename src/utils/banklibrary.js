@@ -0,0 +1,400 @@
+/**
+ * Runtime access to the bundled WOPL bank collection
+ * Reads the manifest written by `npm run build:banks` and fetches banks by name.
+ * Browser-safe; `banklibrary.node.js` adds local directories and a cache directory for Node.
+ *
+ * @module utils/banklibrary
+ */
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * One bank in the manifest
+ * @typedef {Object} BankEntry
+ * @property {string} category - Category ID (e.g. `dmx`)
+ * @property {string} name - Bank name (file name without `.wopl`)
+ * @property {string} path - Path relative to the library root (e.g. `dmx/GENMIDI.wopl`)
+ * @property {number} [size] - File size in bytes, if the manifest records it
+ */
+
+/**
+ * @typedef {Object} BankCategory
+ * @property {string} id - Category ID (e.g. `dmx`)
+ * @property {string} description - Human-readable description, may be empty
+ * @property {BankEntry[]} banks - Banks in manifest order
+ */
+
+/**
+ * Anything a bank can be loaded into: `AdlMidiCore` (`loadBankData`)
+ * or `AdlMidi` (`loadBank`)
+ * @typedef {{loadBankData(data: Uint8Array): boolean} | {loadBank(data: ArrayBuffer): Promise<void>}} BankTarget
+ */
+
+/**
+ * @typedef {Object} BankLibraryOptions
+ * @property {string} [baseUrl] - URL or directory of the bank collection
+ *     (the folder holding `manifest.json`). Defaults to `dist/fm_banks` next to this package.
+ * @property {boolean} [cache=true] - Keep downloaded banks in persistent storage
+ * @property {string} [cacheName='libadlmidi-banks'] - Cache API / IndexedDB store name (browsers)
+ * @property {BankCache|null} [store] - Persistent store to use instead of the Cache API / IndexedDB one
+ * @property {string} [cacheDir] - Cache directory (`libadlmidi-js/banklibrary/node`, remote `baseUrl` only).
+ *     Defaults to `libadlmidi-banks` in the OS temp directory.
+ * @property {typeof fetch} [fetch] - Fetch implementation, for environments without a global one
+ */
+
+// =============================================================================
+// Environment
+// =============================================================================
+
+const DEFAULT_CACHE_NAME = 'libadlmidi-banks';
+const IDB_STORE = 'banks';
+
+/**
+ * Join a base URL/directory and a relative path
+ * @param {string} base
+ * @param {string} path
+ * @returns {string}
+ */
+function joinPath(base, path) {
+    return base.replace(/\/+$/, '') + '/' + path;
+}
+
+// =============================================================================
+// Manifest
+// =============================================================================
+
+/**
+ * Normalize a bank manifest into categories.
+ *
+ * Accepts the `{categories: {id: {description, banks: [{name, file, size}]}}}`
+ * layout written by `scripts/copy-banks.js` and the flat
+ * `{id: ['id/file.wopl', ...]}` layout written by `scripts/gen-bank-manifest.js`.
+ *
+ * @param {any} manifest - Parsed manifest JSON
+ * @returns {BankCategory[]} Categories sorted by ID
+ * @throws {Error} If the manifest has neither layout
+ */
+export function parseBankManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        throw new Error('Invalid bank manifest');
+    }
+
+    /** @type {BankCategory[]} */
+    const categories = [];
+
+    if (manifest.categories && typeof manifest.categories === 'object') {
+        for (const [id, category] of Object.entries(manifest.categories)) {
+            if (!Array.isArray(category?.banks)) {
+                throw new Error(`Invalid bank manifest: category ${id} has no bank list`);
+            }
+            categories.push({
+                id,
+                description: typeof category.description === 'string' ? category.description : '',
+                banks: category.banks.map((/** @type {any} */ bank) => ({
+                    category: id,
+                    name: String(bank.name ?? bank.file.replace(/\.wopl$/i, '')),
+                    path: `${id}/${bank.file}`,
+                    ...(typeof bank.size === 'number' ? { size: bank.size } : {}),
+                })),
+            });
+        }
+    } else {
+        for (const [id, files] of Object.entries(manifest)) {
+            if (!Array.isArray(files)) {
+                throw new Error(`Invalid bank manifest: category ${id} has no bank list`);
+            }
+            categories.push({
+                id,
+                description: '',
+                banks: files.map((/** @type {string} */ path) => ({
+                    category: id,
+                    name: path.slice(path.lastIndexOf('/') + 1).replace(/\.wopl$/i, ''),
+                    path,
+                })),
+            });
+        }
+    }
+
+    return categories.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+// =============================================================================
+// Persistent caches
+// =============================================================================
+
+/**
+ * @typedef {Object} BankCache
+ * @property {(key: string) => Promise<Uint8Array|null>} get
+ * @property {(key: string, data: Uint8Array) => Promise<void>} put
+ * @property {() => Promise<void>} clear
+ */
+
+/**
+ * Cache API store, keyed by bank URL
+ * @param {string} name
+ * @returns {BankCache}
+ */
+function cacheApiStore(name) {
+    return {
+        async get(key) {
+            const response = await (await caches.open(name)).match(key);
+            return response ? new Uint8Array(await response.arrayBuffer()) : null;
+        },
+        async put(key, data) {
+            await (await caches.open(name)).put(key, new Response(/** @type {Uint8Array<ArrayBuffer>} */ (data)));
+        },
+        async clear() {
+            await caches.delete(name);
+        },
+    };
+}
+
+/**
+ * IndexedDB store, for contexts without the Cache API
+ * @param {string} name
+ * @returns {BankCache}
+ */
+function indexedDbStore(name) {
+    /** @type {Promise<IDBDatabase>|null} */
+    let dbPromise = null;
+    const open = () => {
+        dbPromise ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return dbPromise;
+    };
+    /**
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest} action
+     * @returns {Promise<any>}
+     */
+    const run = async (mode, action) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction(IDB_STORE, mode).objectStore(IDB_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    };
+
+    return {
+        async get(key) {
+            const value = await run('readonly', (store) => store.get(key));
+            return value ? new Uint8Array(value) : null;
+        },
+        async put(key, data) {
+            await run('readwrite', (store) => store.put(data.slice().buffer, key));
+        },
+        async clear() {
+            await run('readwrite', (store) => store.clear());
+        },
+    };
+}
+
+/**
+ * Pick the persistent store for the current environment
+ * @param {BankLibraryOptions} options
+ * @returns {BankCache|null}
+ */
+function createStore(options) {
+    if (options.cache === false) return null;
+    if (options.store !== undefined) return options.store;
+    const name = options.cacheName ?? DEFAULT_CACHE_NAME;
+    if (typeof caches !== 'undefined') return cacheApiStore(name);
+    if (typeof indexedDB !== 'undefined') return indexedDbStore(name);
+    return null;
+}
+
+// =============================================================================
+// BankLibrary
+// =============================================================================
+
+/**
+ * Catalogue of the WOPL banks shipped in `dist/fm_banks`.
+ *
+ * Banks are fetched on first use and kept both in memory and in persistent
+ * storage: the Cache API, or IndexedDB where it is missing. In Node, import
+ * `BankLibrary` from `libadlmidi-js/banklibrary/node` instead: it reads local
+ * directories directly and caches remote banks in a directory.
+ *
+ * Banks are named either `category/name` or just `name`; a bare name picks
+ * the first category (by ID) that has a bank of that name.
+ *
+ * @example
+ * const library = new BankLibrary({ baseUrl: '/node_modules/libadlmidi-js/dist/fm_banks' });
+ * await library.load();
+ * const names = library.list('dmx').map(bank => bank.name);
+ * await library.loadInto(synth, `dmx/${names[0]}`);
+ */
+export class BankLibrary {
+    /**
+     * @param {BankLibraryOptions} [options]
+     */
+    constructor(options = {}) {
+        /** @protected @type {string} */
+        this._baseUrl = options.baseUrl ?? new URL('../../dist/fm_banks', import.meta.url).href;
+        /** @private @type {typeof fetch|undefined} */
+        this._fetch = options.fetch;
+        /** @private @type {BankCache|null} */
+        this._store = createStore(options);
+        /** @private @type {BankCategory[]|null} */
+        this._categories = null;
+        /** @private @type {Promise<BankCategory[]>|null} */
+        this._loading = null;
+        /** @private @type {Map<string, Promise<Uint8Array>>} */
+        this._memory = new Map();
+    }
+
+    /**
+     * Read the manifest. Called automatically by the async methods; call it
+     * yourself before using `categories()`, `list()` or `find()`.
+     * @returns {Promise<BankCategory[]>}
+     */
+    async load() {
+        if (!this._loading) {
+            this._loading = this._read('manifest.json').then((data) => {
+                this._categories = parseBankManifest(JSON.parse(new TextDecoder().decode(data)));
+                return this._categories;
+            });
+            this._loading.catch(() => { this._loading = null; });
+        }
+        return this._loading;
+    }
+
+    /**
+     * Categories in the manifest, sorted by ID
+     * @returns {BankCategory[]}
+     * @throws {Error} If `load()` has not completed
+     */
+    categories() {
+        return this._loaded();
+    }
+
+    /**
+     * Banks in one category, or in all categories
+     * @param {string} [category] - Category ID; omit for every bank
+     * @returns {BankEntry[]}
+     * @throws {Error} If `load()` has not completed
+     */
+    list(category) {
+        const categories = this._loaded();
+        if (category === undefined) {
+            return categories.flatMap((c) => c.banks);
+        }
+        return categories.find((c) => c.id === category)?.banks ?? [];
+    }
+
+    /**
+     * Look up a bank by `category/name` or bare name
+     * @param {string} name
+     * @returns {BankEntry|null}
+     * @throws {Error} If `load()` has not completed
+     */
+    find(name) {
+        const slash = name.lastIndexOf('/');
+        if (slash >= 0) {
+            const category = name.slice(0, slash);
+            const bankName = name.slice(slash + 1);
+            return this.list(category).find((bank) => bank.name === bankName) ?? null;
+        }
+        return this.list().find((bank) => bank.name === name) ?? null;
+    }
+
+    /**
+     * Fetch a bank's WOPL data, from cache if possible
+     * @param {string|BankEntry} bank - Bank name or entry from `list()`
+     * @returns {Promise<Uint8Array>} WOPL data (a fresh copy on each call)
+     * @throws {Error} If the bank is not in the manifest or cannot be fetched
+     */
+    async fetchBank(bank) {
+        await this.load();
+        const entry = typeof bank === 'string' ? this.find(bank) : bank;
+        if (!entry) {
+            throw new Error(`Unknown bank: ${bank}`);
+        }
+
+        let pending = this._memory.get(entry.path);
+        if (!pending) {
+            pending = this._fetchCached(entry.path);
+            this._memory.set(entry.path, pending);
+            // Let a failed fetch be retried
+            pending.catch(() => this._memory.delete(entry.path));
+        }
+        return (await pending).slice();
+    }
+
+    /**
+     * Fetch a bank and load it into a synth
+     * @param {BankTarget} synth - `AdlMidiCore` or `AdlMidi` instance
+     * @param {string|BankEntry} bank - Bank name or entry from `list()`
+     * @returns {Promise<void>}
+     * @throws {Error} If the bank cannot be fetched or the synth rejects it
+     */
+    async loadInto(synth, bank) {
+        const data = await this.fetchBank(bank);
+        if ('loadBankData' in synth) {
+            if (!synth.loadBankData(data)) {
+                throw new Error(`Failed to load bank: ${typeof bank === 'string' ? bank : bank.path}`);
+            }
+        } else {
+            await synth.loadBank(/** @type {ArrayBuffer} */ (data.buffer));
+        }
+    }
+
+    /**
+     * Drop cached banks from memory and persistent storage
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        this._memory.clear();
+        await this._store?.clear();
+    }
+
+    /**
+     * @private
+     * @returns {BankCategory[]}
+     */
+    _loaded() {
+        if (!this._categories) {
+            throw new Error('Bank manifest not loaded. Call load() first.');
+        }
+        return this._categories;
+    }
+
+    /**
+     * @private
+     * @param {string} path
+     * @returns {Promise<Uint8Array>}
+     */
+    async _fetchCached(path) {
+        const url = joinPath(this._baseUrl, path);
+        const cached = await this._store?.get(url).catch(() => null);
+        if (cached) return cached;
+
+        const data = await this._read(path);
+        // A full or unavailable cache only costs a refetch later
+        await this._store?.put(url, data).catch(() => {});
+        return data;
+    }
+
+    /**
+     * Read a file relative to the library root
+     * @protected
+     * @param {string} path
+     * @returns {Promise<Uint8Array>}
+     */
+    async _read(path) {
+        const url = joinPath(this._baseUrl, path);
+        const fetchImpl = this._fetch ?? globalThis.fetch;
+        const response = await fetchImpl(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.status}`);
+        }
+        return new Uint8Array(await response.arrayBuffer());
+    }
+}
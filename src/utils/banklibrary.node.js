@@ -0,0 +1,91 @@
+/**
+ * BankLibrary for Node
+ * Reads local bank directories directly and caches remote banks in a directory
+ *
+ * @module utils/banklibrary.node
+ */
+
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { BankLibrary as BaseBankLibrary } from './banklibrary.js';
+
+export { parseBankManifest } from './banklibrary.js';
+
+/**
+ * Whether `base` is read over the network rather than from the local filesystem
+ * @param {string} base
+ * @returns {boolean}
+ */
+function isRemote(base) {
+    return /^(https?|blob|data):/i.test(base);
+}
+
+/**
+ * Filesystem store, one file per bank path
+ * @param {string} [dir]
+ * @returns {import('./banklibrary.js').BankCache}
+ */
+function fileStore(dir) {
+    const root = dir ?? join(tmpdir(), 'libadlmidi-banks');
+    // URLs become relative file names: scheme and host are a directory level
+    const toFile = (/** @type {string} */ key) => join(root, key.replace(/^[a-z]+:\/\//i, '').replace(/[^\w.\-/]/g, '_'));
+
+    return {
+        async get(key) {
+            try {
+                return new Uint8Array(await readFile(toFile(key)));
+            } catch {
+                return null;
+            }
+        },
+        async put(key, data) {
+            const file = toFile(key);
+            await mkdir(dirname(file), { recursive: true });
+            await writeFile(file, data);
+        },
+        async clear() {
+            await rm(root, { recursive: true, force: true });
+        },
+    };
+}
+
+/**
+ * Catalogue of the WOPL banks shipped in `dist/fm_banks`, for Node.
+ *
+ * `baseUrl` may be a local directory (or `file:` URL), which is read
+ * directly and not cached; it defaults to this package's `dist/fm_banks`.
+ * Remote banks are cached in `cacheDir`.
+ *
+ * @example
+ * const library = new BankLibrary();
+ * await library.loadInto(core, 'dmx/GENMIDI');
+ */
+export class BankLibrary extends BaseBankLibrary {
+    /**
+     * @param {import('./banklibrary.js').BankLibraryOptions} [options]
+     */
+    constructor(options = {}) {
+        const baseUrl = options.baseUrl ?? fileURLToPath(new URL('../../dist/fm_banks', import.meta.url));
+        super({
+            ...options,
+            baseUrl,
+            store: isRemote(baseUrl) ? (options.store ?? fileStore(options.cacheDir)) : null,
+        });
+    }
+
+    /**
+     * Read a file relative to the library root
+     * @protected
+     * @param {string} path
+     * @returns {Promise<Uint8Array>}
+     */
+    async _read(path) {
+        if (isRemote(this._baseUrl)) {
+            return super._read(path);
+        }
+        const base = this._baseUrl.startsWith('file:') ? fileURLToPath(this._baseUrl) : this._baseUrl;
+        return new Uint8Array(await readFile(join(base, path)));
+    }
+}
@@ -0,0 +1,325 @@
+/**
+ * Bookkeeping for the banks held by a player
+ * Shared between processor and core
+ *
+ * @module utils/banks
+ */
+
+import {
+    SIZEOF_ADL_BANK,
+    SIZEOF_ADL_BANK_ID,
+    SIZEOF_ADL_INSTRUMENT,
+    decodeInstrument,
+    defaultInstrument,
+    parseWopl,
+} from './struct.js';
+import { EMBEDDED_BANKS } from './embeddedbanks.js';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * Names from a WOPL file for one of its banks
+ * @typedef {Object} BankNames
+ * @property {string} name - Bank name
+ * @property {string[]} instruments - Instrument names, by program (melodic) or key (percussion)
+ */
+
+/**
+ * Bank identifier, as taken by getInstrument()
+ * @typedef {Object} PlayerBankId
+ * @property {boolean} percussive
+ * @property {number} msb
+ * @property {number} lsb
+ */
+
+/**
+ * A bank held by a player, with all 128 instruments
+ * @typedef {Object} PlayerBank
+ * @property {PlayerBankId} id
+ * @property {import('./struct.js').Instrument[]} instruments - Blank slots hold defaultInstrument()
+ */
+
+/**
+ * An embedded bank and the settings it was made for
+ * @typedef {Object} EmbeddedBankInfo
+ * @property {number} id - Bank number, as taken by setBank()
+ * @property {string} name - Full bank name
+ * @property {string} driver - Sound driver or author: the name up to the parenthesized part
+ * @property {string} origin - Games or software the bank comes from: the parenthesized part of the name, or empty
+ * @property {string[]} tags - `:TAG:` notes from the name, e.g. `MT-32`, `NON-GM`, `4op`, `p4op` (pseudo 4-op), `MISS-INS` (missing instruments) or `broken drums`
+ * @property {number} melodicCount - Non-blank melodic instruments, over all melodic banks
+ * @property {number} percussionCount - Non-blank percussion instruments, over all percussion banks
+ * @property {boolean} fourOp - Whether any instrument is a true 4-op voice (pseudo 4-op does not count)
+ * @property {number} volumeModel - Recommended volume model (see WoplVolumeModel)
+ * @property {boolean} deepTremolo - Default deep tremolo flag
+ * @property {boolean} deepVibrato - Default deep vibrato flag
+ */
+
+/**
+ * A bank held by a player, with the name and blank state of every program
+ * @typedef {Object} BankInfo
+ * @property {PlayerBankId} id - Bank identifier, as taken by getInstrument()
+ * @property {string} name - Bank name from the loaded WOPL file, or empty
+ * @property {{program: number, name: string, isBlank: boolean}[]} instruments - All 128 programs (keys for percussion banks)
+ */
+
+/**
+ * Bank morphInstrument() writes to when given none. Its MSB is one no GM, GS
+ * or XG file selects, so morphs leave the loaded banks alone.
+ * @type {Readonly<PlayerBankId>}
+ */
+export const MORPH_BANK_ID = Object.freeze({ percussive: false, msb: 100, lsb: 0 });
+
+// =============================================================================
+// Bank Names
+// =============================================================================
+
+/**
+ * Key a bank by its percussive flag and bank number
+ * @param {boolean|number} percussive
+ * @param {number} msb
+ * @param {number} lsb
+ * @returns {string} Key for a bank name map
+ */
+export function bankKey(percussive, msb, lsb) {
+    return `${percussive ? 1 : 0}:${msb}:${lsb}`;
+}
+
+/**
+ * Collect bank and instrument names from WOPL data. The player drops names
+ * when it loads a bank, so they are kept on the JS side.
+ * @param {Uint8Array} bytes - WOPL bank data
+ * @returns {Map<string, BankNames>} Names keyed by bankKey()
+ * @throws {Error} If the data is not a WOPL bank parseWopl() can read
+ */
+export function readWoplNames(bytes) {
+    const bank = parseWopl(bytes);
+    /** @type {Map<string, BankNames>} */
+    const names = new Map();
+    for (const [percussive, sets] of /** @type {const} */ ([[false, bank.melodic], [true, bank.percussion]])) {
+        for (const set of sets) {
+            names.set(bankKey(percussive, set.msb, set.lsb), {
+                name: set.name,
+                instruments: set.instruments.map(inst => inst.name)
+            });
+        }
+    }
+    return names;
+}
+
+// =============================================================================
+// Player Banks
+// =============================================================================
+
+/**
+ * Read every bank held by a player
+ * @param {any} adl - libADLMIDI Emscripten module
+ * @param {number} player - Player pointer
+ * @returns {PlayerBank[]} Melodic banks, then percussion banks, by bank number
+ */
+export function readPlayerBanks(adl, player) {
+    const bankPtr = adl._malloc(SIZEOF_ADL_BANK);
+    const bankIdPtr = adl._malloc(SIZEOF_ADL_BANK_ID);
+    const instPtr = adl._malloc(SIZEOF_ADL_INSTRUMENT);
+
+    /** @type {PlayerBank[]} */
+    const banks = [];
+    try {
+        let result = adl._adl_getFirstBank(player, bankPtr);
+        while (result === 0) {
+            adl._adl_getBankId(player, bankPtr, bankIdPtr);
+            const id = {
+                percussive: adl.HEAPU8[bankIdPtr] !== 0,
+                msb: adl.HEAPU8[bankIdPtr + 1],
+                lsb: adl.HEAPU8[bankIdPtr + 2]
+            };
+
+            const instruments = [];
+            for (let program = 0; program < 128; program++) {
+                instruments.push(adl._adl_getInstrument(player, bankPtr, program, instPtr) === 0
+                    ? decodeInstrument(adl.HEAPU8.slice(instPtr, instPtr + SIZEOF_ADL_INSTRUMENT))
+                    : defaultInstrument());
+            }
+
+            banks.push({ id, instruments });
+            result = adl._adl_getNextBank(player, bankPtr);
+        }
+    } finally {
+        adl._free(instPtr);
+        adl._free(bankIdPtr);
+        adl._free(bankPtr);
+    }
+
+    // The player's bank map has no defined order
+    const order = (/** @type {PlayerBankId} */ id) => (id.percussive ? 0x4000 : 0) + id.msb * 128 + id.lsb;
+    return banks.sort((a, b) => order(a.id) - order(b.id));
+}
+
+/**
+ * Read the banks a player holds for listing and export. The bank morphs
+ * write to by default is left out, so exports load back into the same banks,
+ * unless loaded WOPL data put a bank there.
+ * @param {any} adl - libADLMIDI Emscripten module
+ * @param {number} player - Player pointer
+ * @param {Map<string, BankNames>} bankNames - Names from the last loaded WOPL bank
+ * @returns {PlayerBank[]}
+ */
+function readListedBanks(adl, player, bankNames) {
+    const morphKey = bankKey(MORPH_BANK_ID.percussive, MORPH_BANK_ID.msb, MORPH_BANK_ID.lsb);
+    if (bankNames.has(morphKey)) {
+        return readPlayerBanks(adl, player);
+    }
+    return readPlayerBanks(adl, player).filter(({ id }) => bankKey(id.percussive, id.msb, id.lsb) !== morphKey);
+}
+
+/**
+ * List the banks held by a player with the name and blank state of every program
+ * @param {any} adl - libADLMIDI Emscripten module
+ * @param {number} player - Player pointer
+ * @param {Map<string, BankNames>} bankNames - Names from the last loaded WOPL bank
+ * @returns {BankInfo[]} Melodic banks, then percussion banks, by bank number
+ */
+export function listPlayerBanks(adl, player, bankNames) {
+    return readListedBanks(adl, player, bankNames).map(({ id, instruments }) => {
+        const names = bankNames.get(bankKey(id.percussive, id.msb, id.lsb));
+        return {
+            id,
+            name: names?.name ?? '',
+            instruments: instruments.map((inst, program) => ({
+                program,
+                name: names?.instruments[program] ?? '',
+                isBlank: !!inst.isBlank
+            }))
+        };
+    });
+}
+
+/**
+ * Collect the banks held by a player and its bank settings into a WOPL bank
+ * @param {any} adl - libADLMIDI Emscripten module
+ * @param {number} player - Player pointer
+ * @param {Map<string, BankNames>} bankNames - Names from the last loaded WOPL bank
+ * @returns {import('./struct.js').WoplBank} Bank for serializeWopl()
+ */
+export function readPlayerWoplBank(adl, player, bankNames) {
+    /** @type {import('./struct.js').WoplBank} */
+    const bank = {
+        deepTremolo: adl._adl_getHTremolo(player) > 0,
+        deepVibrato: adl._adl_getHVibrato(player) > 0,
+        // The player reports ADLMIDI_VolumeModel_* values, which start at 1 after AUTO
+        volumeModel: Math.max(0, adl._adl_getVolumeRangeModel(player) - 1),
+        melodic: [],
+        percussion: []
+    };
+
+    for (const { id, instruments } of readListedBanks(adl, player, bankNames)) {
+        const names = bankNames.get(bankKey(id.percussive, id.msb, id.lsb));
+        (id.percussive ? bank.percussion : bank.melodic).push({
+            name: names?.name ?? '',
+            lsb: id.lsb,
+            msb: id.msb,
+            instruments: instruments.map((inst, program) => ({ ...inst, name: names?.instruments[program] ?? '' }))
+        });
+    }
+    return bank;
+}
+
+// =============================================================================
+// Embedded Banks
+// =============================================================================
+
+/**
+ * Split an embedded bank name like `AIL (Syndicate) :MT-32:` into driver,
+ * origin and tags. Text after the parenthesized part is added to the origin.
+ * @param {string} name
+ * @returns {{driver: string, origin: string, tags: string[]}}
+ */
+export function splitBankName(name) {
+    /** @type {string[]} */
+    const tags = [];
+    const untagged = name.replace(/\s+:(\w[\w -]*?):(?=[\s)]|$)/g, (_, tag) => {
+        tags.push(tag);
+        return '';
+    });
+
+    const match = /^(.*?)\s*\((.*)\)\s*(.*)$/.exec(untagged);
+    if (!match || !match[1]) {
+        return { driver: untagged, origin: '', tags };
+    }
+    const origin = match[3] ? `${match[2]}, ${match[3]}` : match[2];
+    return { driver: match[1], origin, tags };
+}
+
+/**
+ * Load each embedded bank on a scratch player and summarize it. This takes a
+ * while, so scripts/gen-embedded-banks.js runs it at build time and the
+ * players read the generated table.
+ * @param {any} adl - libADLMIDI Emscripten module
+ * @returns {EmbeddedBankInfo[]} Embedded banks, by bank number
+ */
+export function describeEmbeddedBanks(adl) {
+    const count = adl._adl_getBanksCount();
+    const namesPtr = adl._adl_getBankNames();
+    const player = adl._adl_init(44100);
+    if (!player) {
+        throw new Error('Failed to create a player to inspect embedded banks');
+    }
+
+    /** @type {EmbeddedBankInfo[]} */
+    const banks = [];
+    try {
+        for (let i = 0; i < count; i++) {
+            // namesPtr points to an array of char* pointers, 4 bytes each in WASM32
+            const strPtr = adl.getValue(namesPtr + i * 4, 'i32');
+            const name = strPtr ? adl.UTF8ToString(strPtr) : `Bank ${i}`;
+            adl._adl_setBank(player, i);
+
+            let melodicCount = 0;
+            let percussionCount = 0;
+            let fourOp = false;
+            for (const { id, instruments } of readPlayerBanks(adl, player)) {
+                for (const inst of instruments) {
+                    if (inst.isBlank) continue;
+                    if (id.percussive) percussionCount++;
+                    else melodicCount++;
+                    if (inst.is4op && !inst.isPseudo4op) fourOp = true;
+                }
+            }
+
+            banks.push({
+                id: i,
+                name,
+                ...splitBankName(name),
+                melodicCount,
+                percussionCount,
+                fourOp,
+                // With the volume model on AUTO the player takes the bank's own model
+                volumeModel: Math.max(0, adl._adl_getVolumeRangeModel(player) - 1),
+                deepTremolo: adl._adl_getHTremolo(player) > 0,
+                deepVibrato: adl._adl_getHVibrato(player) > 0
+            });
+        }
+    } finally {
+        adl._adl_close(player);
+    }
+    return banks;
+}
+
+/**
+ * Look up the embedded banks of a module in the generated table
+ * @param {any} adl - libADLMIDI Emscripten module
+ * @returns {EmbeddedBankInfo[]} Embedded banks, by bank number (none for slim builds)
+ * @throws {Error} If the table was generated for another set of banks
+ */
+export function getEmbeddedBanks(adl) {
+    const count = adl._adl_getBanksCount();
+    if (count === 0) {
+        return [];
+    }
+    if (count !== EMBEDDED_BANKS.length) {
+        throw new Error(`The embedded bank table lists ${EMBEDDED_BANKS.length} banks but the module has ${count}; run npm run build:embedded-banks`);
+    }
+    return EMBEDDED_BANKS.map(bank => ({ ...bank, tags: [...bank.tags] }));
+}
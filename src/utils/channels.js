@@ -0,0 +1,99 @@
+/**
+ * Chip voice states from adl_describeChannels()
+ * Shared between processor and core
+ *
+ * @module utils/channels
+ */
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * One OPL3 voice (libADLMIDI "chip channel")
+ * @typedef {Object} VoiceState
+ * @property {number} voice - Voice on its chip (0-22; 18-22 are the rhythm-mode percussion voices)
+ * @property {'off'|'on'|'arpeggio'} state - `arpeggio` when several notes share the voice
+ * @property {number|null} midiChannel - MIDI channel (0-15) of the note on the voice, null when off
+ * @property {'first'|'second'|null} fourOp - Half of a 4-op pair the voice is reserved as, if any
+ * @property {number|null} pairedVoice - Other half of the 4-op pair
+ * @property {boolean} rhythm - One of the rhythm-mode percussion voices
+ */
+
+/**
+ * @typedef {Object} ChipState
+ * @property {number} chip - Chip index
+ * @property {VoiceState[]} voices - The chip's 23 voices
+ */
+
+// =============================================================================
+// Decoding
+// =============================================================================
+
+/** Voices per chip: 18 two-op voices and 5 rhythm-mode percussion voices */
+export const VOICES_PER_CHIP = 23;
+
+/** First rhythm-mode voice on a chip */
+const FIRST_RHYTHM_VOICE = 18;
+
+/** describeChannels() state characters */
+const STATE_OFF = 0x2D; // '-'
+const STATE_ARPEGGIO = 0x40; // '@'
+
+/**
+ * First halves of the six 4-op pairs on a chip, in the order libADLMIDI
+ * reserves them. The second half is always three voices higher.
+ */
+const FOUR_OP_FIRST_VOICES = [0, 1, 2, 9, 10, 11];
+
+/**
+ * Decode the text and attribute buffers filled by adl_describeChannels().
+ *
+ * The text holds one character per voice (`-` off, `+` on, `#` on as 4-op,
+ * `@` arpeggio, `r` rhythm percussion); the low nibble of each attribute
+ * byte is the MIDI channel playing on the voice. 4-op pairing is not in
+ * the buffers, so it is rebuilt from the 4-op voice count the way
+ * libADLMIDI assigns it: up to six pairs per chip, filling chips in order.
+ *
+ * @param {Uint8Array} text - Voice state characters, one per voice
+ * @param {Uint8Array} attr - Attribute bytes, one per voice
+ * @param {number} numChips - Chips in use
+ * @param {number} numFourOps - 4-op voice pairs in use
+ * @returns {ChipState[]}
+ */
+export function decodeChannelStates(text, attr, numChips, numFourOps) {
+    /** @type {ChipState[]} */
+    const chips = [];
+    let foursLeft = numFourOps;
+
+    for (let chip = 0; chip < numChips; chip++) {
+        const pairs = Math.max(0, Math.min(foursLeft, FOUR_OP_FIRST_VOICES.length));
+        foursLeft -= pairs;
+
+        /** @type {Map<number, {fourOp: 'first'|'second', pairedVoice: number}>} */
+        const fourOps = new Map();
+        for (const first of FOUR_OP_FIRST_VOICES.slice(0, pairs)) {
+            fourOps.set(first, { fourOp: 'first', pairedVoice: first + 3 });
+            fourOps.set(first + 3, { fourOp: 'second', pairedVoice: first });
+        }
+
+        /** @type {VoiceState[]} */
+        const voices = [];
+        for (let voice = 0; voice < VOICES_PER_CHIP; voice++) {
+            const index = chip * VOICES_PER_CHIP + voice;
+            const char = text[index];
+            const off = char === STATE_OFF || char === 0 || char === undefined;
+            voices.push({
+                voice,
+                state: off ? 'off' : char === STATE_ARPEGGIO ? 'arpeggio' : 'on',
+                midiChannel: off ? null : attr[index] & 0x0F,
+                fourOp: fourOps.get(voice)?.fourOp ?? null,
+                pairedVoice: fourOps.get(voice)?.pairedVoice ?? null,
+                rhythm: voice >= FIRST_RHYTHM_VOICE
+            });
+        }
+        chips.push({ chip, voices });
+    }
+
+    return chips;
+}
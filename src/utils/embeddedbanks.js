@@ -0,0 +1,89 @@
+/**
+ * Embedded bank summaries, by bank number
+ * Generated by scripts/gen-embedded-banks.js from libadlmidi.nuked.core.js - do not edit
+ *
+ * @module utils/embeddedbanks
+ */
+
+/** @type {import('./banks.js').EmbeddedBankInfo[]} */
+export const EMBEDDED_BANKS = [
+    {"id":0,"name":"AIL (The Fat Man 2op set, default AIL)","driver":"AIL","origin":"The Fat Man 2op set, default AIL","tags":[],"melodicCount":128,"percussionCount":53,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":1,"name":"Bisqwit (selection of 4op and 2op)","driver":"Bisqwit","origin":"selection of 4op and 2op","tags":[],"melodicCount":128,"percussionCount":127,"fourOp":true,"volumeModel":0,"deepTremolo":true,"deepVibrato":true},
+    {"id":2,"name":"HMI (Descent, Asterix)","driver":"HMI","origin":"Descent, Asterix","tags":[],"melodicCount":128,"percussionCount":61,"fourOp":false,"volumeModel":9,"deepTremolo":true,"deepVibrato":true},
+    {"id":3,"name":"HMI (Descent:: Int) :NON-GM:","driver":"HMI","origin":"Descent:: Int","tags":["NON-GM"],"melodicCount":49,"percussionCount":67,"fourOp":false,"volumeModel":9,"deepTremolo":true,"deepVibrato":true},
+    {"id":4,"name":"HMI (Descent:: Ham) :NON-GM:","driver":"HMI","origin":"Descent:: Ham","tags":["NON-GM"],"melodicCount":78,"percussionCount":86,"fourOp":false,"volumeModel":9,"deepTremolo":true,"deepVibrato":true},
+    {"id":5,"name":"HMI (Descent:: Rick) :NON-GM:","driver":"HMI","origin":"Descent:: Rick","tags":["NON-GM"],"melodicCount":74,"percussionCount":93,"fourOp":false,"volumeModel":9,"deepTremolo":true,"deepVibrato":true},
+    {"id":6,"name":"HMI (Descent 2) :NON-GM:","driver":"HMI","origin":"Descent 2","tags":["NON-GM"],"melodicCount":95,"percussionCount":103,"fourOp":false,"volumeModel":9,"deepTremolo":true,"deepVibrato":true},
+    {"id":7,"name":"HMI (Normality)","driver":"HMI","origin":"Normality","tags":[],"melodicCount":128,"percussionCount":128,"fourOp":false,"volumeModel":9,"deepTremolo":true,"deepVibrato":true},
+    {"id":8,"name":"HMI (Shattered Steel)","driver":"HMI","origin":"Shattered Steel","tags":[],"melodicCount":126,"percussionCount":89,"fourOp":false,"volumeModel":9,"deepTremolo":true,"deepVibrato":true},
+    {"id":9,"name":"HMI (Theme Park)","driver":"HMI","origin":"Theme Park","tags":[],"melodicCount":128,"percussionCount":36,"fourOp":false,"volumeModel":9,"deepTremolo":true,"deepVibrato":true},
+    {"id":10,"name":"HMI (MegaPatch by LoudMouth)","driver":"HMI","origin":"MegaPatch by LoudMouth","tags":[],"melodicCount":127,"percussionCount":60,"fourOp":false,"volumeModel":9,"deepTremolo":true,"deepVibrato":true},
+    {"id":11,"name":"HMI (MegaPatch - Aces of the Deep)","driver":"HMI","origin":"MegaPatch - Aces of the Deep","tags":[],"melodicCount":128,"percussionCount":60,"fourOp":false,"volumeModel":9,"deepTremolo":true,"deepVibrato":true},
+    {"id":12,"name":"HMI (MegaPatch - Earthsiege)","driver":"HMI","origin":"MegaPatch - Earthsiege","tags":[],"melodicCount":128,"percussionCount":61,"fourOp":false,"volumeModel":9,"deepTremolo":true,"deepVibrato":true},
+    {"id":13,"name":"HMI (Anvil of Dawn)","driver":"HMI","origin":"Anvil of Dawn","tags":[],"melodicCount":128,"percussionCount":128,"fourOp":false,"volumeModel":9,"deepTremolo":true,"deepVibrato":true},
+    {"id":14,"name":"DMX (Bobby Prince v2)","driver":"DMX","origin":"Bobby Prince v2","tags":[],"melodicCount":128,"percussionCount":42,"fourOp":false,"volumeModel":2,"deepTremolo":false,"deepVibrato":false},
+    {"id":15,"name":"DMX (Cygnus Studios, default DMX)","driver":"DMX","origin":"Cygnus Studios, default DMX","tags":[],"melodicCount":128,"percussionCount":42,"fourOp":false,"volumeModel":2,"deepTremolo":false,"deepVibrato":false},
+    {"id":16,"name":"DMX (Bobby Prince v1)","driver":"DMX","origin":"Bobby Prince v1","tags":[],"melodicCount":128,"percussionCount":42,"fourOp":false,"volumeModel":2,"deepTremolo":false,"deepVibrato":false},
+    {"id":17,"name":"AIL (Discworld, Grandest Fleet, etc.)","driver":"AIL","origin":"Discworld, Grandest Fleet, etc.","tags":[],"melodicCount":128,"percussionCount":53,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":18,"name":"AIL (Warcraft 2)","driver":"AIL","origin":"Warcraft 2","tags":[],"melodicCount":128,"percussionCount":53,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":19,"name":"AIL (Syndicate) :MT-32:","driver":"AIL","origin":"Syndicate","tags":["MT-32"],"melodicCount":128,"percussionCount":34,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":20,"name":"AIL (Guilty, Orion Conspiracy, TNSFC ::4op)","driver":"AIL","origin":"Guilty, Orion Conspiracy, TNSFC ::4op","tags":[],"melodicCount":128,"percussionCount":53,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":21,"name":"AIL (Magic Carpet 2) :MT-32:","driver":"AIL","origin":"Magic Carpet 2","tags":["MT-32"],"melodicCount":128,"percussionCount":34,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":22,"name":"AIL (Eric Heberling - Nemesis)","driver":"AIL","origin":"Eric Heberling - Nemesis","tags":[],"melodicCount":128,"percussionCount":57,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":23,"name":"AIL (Jagged Alliance) :MT-32:","driver":"AIL","origin":"Jagged Alliance","tags":["MT-32"],"melodicCount":158,"percussionCount":34,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":24,"name":"AIL (When Two Worlds War) :MT-32: :MISS-INS:","driver":"AIL","origin":"When Two Worlds War","tags":["MT-32","MISS-INS"],"melodicCount":5,"percussionCount":0,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":25,"name":"AIL (Bards Tale Construction) :MT-32: :MISS-INS:","driver":"AIL","origin":"Bards Tale Construction","tags":["MT-32","MISS-INS"],"melodicCount":41,"percussionCount":5,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":26,"name":"AIL (Return to Zork) :MT-32:","driver":"AIL","origin":"Return to Zork","tags":["MT-32"],"melodicCount":128,"percussionCount":34,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":27,"name":"AIL (Theme Hospital)","driver":"AIL","origin":"Theme Hospital","tags":[],"melodicCount":128,"percussionCount":61,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":28,"name":"AIL (MegaPatch - National Hockey League PA)","driver":"AIL","origin":"MegaPatch - National Hockey League PA","tags":[],"melodicCount":128,"percussionCount":60,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":29,"name":"AIL (Inherit The Earth) :MT-32:","driver":"AIL","origin":"Inherit The Earth","tags":["MT-32"],"melodicCount":96,"percussionCount":53,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":30,"name":"AIL (Inherit The Earth, file two) :MT-32:","driver":"AIL","origin":"Inherit The Earth, file two","tags":["MT-32"],"melodicCount":96,"percussionCount":53,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":31,"name":"AIL (Little Big Adventure) :4op:","driver":"AIL","origin":"Little Big Adventure","tags":["4op"],"melodicCount":128,"percussionCount":54,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":32,"name":"AIL (Heroes of Might and Magic II) :MT-32:","driver":"AIL","origin":"Heroes of Might and Magic II","tags":["MT-32"],"melodicCount":128,"percussionCount":40,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":33,"name":"AIL (Eric Heberling - Death Gate)","driver":"AIL","origin":"Eric Heberling - Death Gate","tags":[],"melodicCount":128,"percussionCount":57,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":34,"name":"AIL (FIFA International Soccer)","driver":"AIL","origin":"FIFA International Soccer","tags":[],"melodicCount":128,"percussionCount":67,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":35,"name":"AIL (Starship Invasion)","driver":"AIL","origin":"Starship Invasion","tags":[],"melodicCount":240,"percussionCount":57,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":36,"name":"AIL (Super Street Fighter 2 :4op:)","driver":"AIL","origin":"Super Street Fighter 2","tags":["4op"],"melodicCount":128,"percussionCount":53,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":37,"name":"AIL (Lords of the Realm) :MISS-INS:","driver":"AIL","origin":"Lords of the Realm","tags":["MISS-INS"],"melodicCount":22,"percussionCount":8,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":38,"name":"AIL (SimFarm, SimHealth) :4op:","driver":"AIL","origin":"SimFarm, SimHealth","tags":["4op"],"melodicCount":128,"percussionCount":53,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":39,"name":"AIL (SimFarm, Settlers, Serf City)","driver":"AIL","origin":"SimFarm, Settlers, Serf City","tags":[],"melodicCount":128,"percussionCount":53,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":40,"name":"AIL (Caesar 2) :p4op: :MISS-INS:","driver":"AIL","origin":"Caesar 2","tags":["p4op","MISS-INS"],"melodicCount":82,"percussionCount":24,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":41,"name":"AIL (Syndicate Wars) :MT-32:","driver":"AIL","origin":"Syndicate Wars","tags":["MT-32"],"melodicCount":128,"percussionCount":34,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":42,"name":"AIL (MegaPatch mod by Probe Ent.)","driver":"AIL","origin":"MegaPatch mod by Probe Ent.","tags":[],"melodicCount":128,"percussionCount":60,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":43,"name":"AIL (Warcraft) :NON-GM:","driver":"AIL","origin":"Warcraft","tags":["NON-GM"],"melodicCount":70,"percussionCount":64,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":44,"name":"AIL (Terra Nova Strike Force Centuri) :p4op:","driver":"AIL","origin":"Terra Nova Strike Force Centuri","tags":["p4op"],"melodicCount":128,"percussionCount":53,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":45,"name":"AIL (System Shock) :p4op:","driver":"AIL","origin":"System Shock","tags":["p4op"],"melodicCount":128,"percussionCount":53,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":46,"name":"AIL (Eric Heberling - Advanced Civilization)","driver":"AIL","origin":"Eric Heberling - Advanced Civilization","tags":[],"melodicCount":128,"percussionCount":57,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":47,"name":"AIL (Battle Chess 4000) :MT-32:","driver":"AIL","origin":"Battle Chess 4000","tags":["MT-32"],"melodicCount":128,"percussionCount":34,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":48,"name":"AIL (Ultimate Soccer Manager :p4op:)","driver":"AIL","origin":"Ultimate Soccer Manager","tags":["p4op"],"melodicCount":87,"percussionCount":27,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":49,"name":"AIL (Air Bucks, Blue And The Gray, etc) :MT-32:","driver":"AIL","origin":"Air Bucks, Blue And The Gray, etc","tags":["MT-32"],"melodicCount":128,"percussionCount":34,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":50,"name":"AIL (Ultima Underworld 2) :MT-32:","driver":"AIL","origin":"Ultima Underworld 2","tags":["MT-32"],"melodicCount":160,"percussionCount":26,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":51,"name":"AIL (FatMan MT32) :MT-32:","driver":"AIL","origin":"FatMan MT32","tags":["MT-32"],"melodicCount":128,"percussionCount":34,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":52,"name":"AIL (High Seas Trader) :MISS-INS:","driver":"AIL","origin":"High Seas Trader","tags":["MISS-INS"],"melodicCount":82,"percussionCount":28,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":53,"name":"AIL (Master of Magic) :4op:","driver":"AIL","origin":"Master of Magic","tags":["4op"],"melodicCount":125,"percussionCount":106,"fourOp":true,"volumeModel":7,"deepTremolo":false,"deepVibrato":false},
+    {"id":54,"name":"AIL (Master of Magic) :4op: orchestral drums","driver":"AIL","origin":"Master of Magic, orchestral drums","tags":["4op"],"melodicCount":128,"percussionCount":54,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":55,"name":"SB (Action Soccer)","driver":"SB","origin":"Action Soccer","tags":[],"melodicCount":128,"percussionCount":25,"fourOp":false,"volumeModel":13,"deepTremolo":true,"deepVibrato":true},
+    {"id":56,"name":"SB (3d Cyberpuck :: melodic only)","driver":"SB","origin":"3d Cyberpuck :: melodic only","tags":[],"melodicCount":128,"percussionCount":47,"fourOp":false,"volumeModel":13,"deepTremolo":true,"deepVibrato":true},
+    {"id":57,"name":"SB (Simon the Sorcerer) :MT-32:","driver":"SB","origin":"Simon the Sorcerer","tags":["MT-32"],"melodicCount":128,"percussionCount":0,"fourOp":false,"volumeModel":13,"deepTremolo":true,"deepVibrato":true},
+    {"id":58,"name":"WOPL (The Fat Man 2op set; Win9x)","driver":"WOPL","origin":"The Fat Man 2op set; Win9x","tags":[],"melodicCount":128,"percussionCount":53,"fourOp":false,"volumeModel":4,"deepTremolo":true,"deepVibrato":true},
+    {"id":59,"name":"WOPL (The Fat Man 4op set)","driver":"WOPL","origin":"The Fat Man 4op set","tags":[],"melodicCount":128,"percussionCount":53,"fourOp":true,"volumeModel":4,"deepTremolo":true,"deepVibrato":true},
+    {"id":60,"name":"OP3 (JungleVision 2op set :: melodic only)","driver":"OP3","origin":"JungleVision 2op set :: melodic only","tags":[],"melodicCount":128,"percussionCount":47,"fourOp":false,"volumeModel":4,"deepTremolo":true,"deepVibrato":true},
+    {"id":61,"name":"OP3 (Wallace 2op set, Nitemare 3D :: melodic only)","driver":"OP3","origin":"Wallace 2op set, Nitemare 3D :: melodic only","tags":[],"melodicCount":128,"percussionCount":47,"fourOp":false,"volumeModel":4,"deepTremolo":true,"deepVibrato":true},
+    {"id":62,"name":"TMB (Duke Nukem 3D)","driver":"TMB","origin":"Duke Nukem 3D","tags":[],"melodicCount":128,"percussionCount":48,"fourOp":false,"volumeModel":3,"deepTremolo":false,"deepVibrato":false},
+    {"id":63,"name":"TMB (Shadow Warrior)","driver":"TMB","origin":"Shadow Warrior","tags":[],"melodicCount":128,"percussionCount":128,"fourOp":false,"volumeModel":3,"deepTremolo":false,"deepVibrato":false},
+    {"id":64,"name":"DMX (Scott Host)","driver":"DMX","origin":"Scott Host","tags":[],"melodicCount":128,"percussionCount":42,"fourOp":false,"volumeModel":2,"deepTremolo":false,"deepVibrato":false},
+    {"id":65,"name":"SB (Modded GMOPL by Wohlstand)","driver":"SB","origin":"Modded GMOPL by Wohlstand","tags":[],"melodicCount":128,"percussionCount":46,"fourOp":false,"volumeModel":13,"deepTremolo":true,"deepVibrato":true},
+    {"id":66,"name":"SB (Jamie O'Connell's bank)","driver":"SB","origin":"Jamie O'Connell's bank","tags":[],"melodicCount":128,"percussionCount":47,"fourOp":false,"volumeModel":13,"deepTremolo":true,"deepVibrato":true},
+    {"id":67,"name":"TMB (Apogee Sound System Default bank) :broken drums:","driver":"TMB","origin":"Apogee Sound System Default bank","tags":["broken drums"],"melodicCount":128,"percussionCount":128,"fourOp":false,"volumeModel":3,"deepTremolo":false,"deepVibrato":false},
+    {"id":68,"name":"WOPL (4op bank by James Alan Nguyen and Wohlstand)","driver":"WOPL","origin":"4op bank by James Alan Nguyen and Wohlstand","tags":[],"melodicCount":128,"percussionCount":63,"fourOp":true,"volumeModel":0,"deepTremolo":true,"deepVibrato":true},
+    {"id":69,"name":"TMB (MegaPatch - Blood)","driver":"TMB","origin":"MegaPatch - Blood","tags":[],"melodicCount":125,"percussionCount":88,"fourOp":false,"volumeModel":3,"deepTremolo":false,"deepVibrato":false},
+    {"id":70,"name":"TMB (Rise of the Triad)","driver":"TMB","origin":"Rise of the Triad","tags":[],"melodicCount":128,"percussionCount":128,"fourOp":false,"volumeModel":3,"deepTremolo":false,"deepVibrato":false},
+    {"id":71,"name":"TMB (Nam)","driver":"TMB","origin":"Nam","tags":[],"melodicCount":128,"percussionCount":128,"fourOp":false,"volumeModel":3,"deepTremolo":false,"deepVibrato":false},
+    {"id":72,"name":"WOPL (DMXOPL3 bank by Sneakernets)","driver":"WOPL","origin":"DMXOPL3 bank by Sneakernets","tags":[],"melodicCount":152,"percussionCount":183,"fourOp":true,"volumeModel":0,"deepTremolo":false,"deepVibrato":false},
+    {"id":73,"name":"EA (Cartooners)","driver":"EA","origin":"Cartooners","tags":[],"melodicCount":27,"percussionCount":4,"fourOp":false,"volumeModel":0,"deepTremolo":false,"deepVibrato":false},
+    {"id":74,"name":"WOPL (Apogee IMF 90-ish)","driver":"WOPL","origin":"Apogee IMF 90-ish","tags":[],"melodicCount":128,"percussionCount":48,"fourOp":false,"volumeModel":12,"deepTremolo":false,"deepVibrato":true},
+    {"id":75,"name":"AIL (The Lost Vikings) :NON-GM:","driver":"AIL","origin":"The Lost Vikings","tags":["NON-GM"],"melodicCount":218,"percussionCount":56,"fourOp":true,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+    {"id":76,"name":"DMX (Strife)","driver":"DMX","origin":"Strife","tags":[],"melodicCount":128,"percussionCount":42,"fourOp":false,"volumeModel":2,"deepTremolo":false,"deepVibrato":false},
+    {"id":77,"name":"WOPL (MS-AdLib, Windows 3.x)","driver":"WOPL","origin":"MS-AdLib, Windows 3.x","tags":[],"melodicCount":128,"percussionCount":47,"fourOp":false,"volumeModel":11,"deepTremolo":false,"deepVibrato":false},
+    {"id":78,"name":"AIL (Monopoly Deluxe)","driver":"AIL","origin":"Monopoly Deluxe","tags":[],"melodicCount":128,"percussionCount":33,"fourOp":false,"volumeModel":7,"deepTremolo":true,"deepVibrato":true},
+];
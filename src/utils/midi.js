@@ -0,0 +1,166 @@
+/**
+ * Raw MIDI byte stream parsing
+ * Shared between processor and core
+ *
+ * @module utils/midi
+ */
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * Parser state carried between calls, so running status and SysEx
+ * messages may span several chunks of a stream
+ * @typedef {Object} MidiParserState
+ * @property {number} runningStatus - Last channel voice status byte (0 = none)
+ * @property {number[]} data - Data bytes collected for the current message
+ * @property {number[] | null} sysex - SysEx bytes collected so far, null outside SysEx
+ */
+
+/**
+ * Decoded MIDI message. Types and field names match the processor message protocol.
+ * @typedef {Object} MidiMessage
+ * @property {'noteOn' | 'noteOff' | 'noteAfterTouch' | 'controlChange' | 'programChange' | 'channelAfterTouch' | 'pitchBend' | 'systemExclusive'} type
+ * @property {number} [channel] - MIDI channel (0-15)
+ * @property {number} [note] - Note number (0-127)
+ * @property {number} [velocity] - Note velocity (0-127)
+ * @property {number} [pressure] - Aftertouch pressure (0-127)
+ * @property {number} [controller] - Controller number (0-127)
+ * @property {number} [value] - Controller value (0-127)
+ * @property {number} [program] - Program number (0-127)
+ * @property {number} [lsb] - Pitch bend LSB (0-127)
+ * @property {number} [msb] - Pitch bend MSB (0-127)
+ * @property {Uint8Array} [data] - Complete SysEx message including F0 and F7
+ */
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Create a fresh parser state
+ * @returns {MidiParserState}
+ */
+export function createMidiParserState() {
+    return { runningStatus: 0, data: [], sysex: null };
+}
+
+/**
+ * Number of data bytes that follow a channel voice status byte
+ * @param {number} status - Status byte (0x80-0xEF)
+ * @returns {number}
+ */
+function channelMessageLength(status) {
+    const command = status & 0xF0;
+    return command === 0xC0 || command === 0xD0 ? 1 : 2;
+}
+
+/**
+ * Decode a complete channel voice message
+ * @param {number} status - Status byte
+ * @param {ArrayLike<number>} data - Data bytes
+ * @returns {MidiMessage}
+ */
+function decodeChannelMessage(status, data) {
+    const channel = status & 0x0F;
+
+    switch (status & 0xF0) {
+        case 0x80:
+            return { type: 'noteOff', channel, note: data[0], velocity: data[1] };
+        case 0x90:
+            // Note on with velocity 0 is a note off
+            return data[1] === 0
+                ? { type: 'noteOff', channel, note: data[0], velocity: 0 }
+                : { type: 'noteOn', channel, note: data[0], velocity: data[1] };
+        case 0xA0:
+            return { type: 'noteAfterTouch', channel, note: data[0], pressure: data[1] };
+        case 0xB0:
+            return { type: 'controlChange', channel, controller: data[0], value: data[1] };
+        case 0xC0:
+            return { type: 'programChange', channel, program: data[0] };
+        case 0xD0:
+            return { type: 'channelAfterTouch', channel, pressure: data[0] };
+        default:
+            return { type: 'pitchBend', channel, lsb: data[0], msb: data[1] };
+    }
+}
+
+/**
+ * Parse raw MIDI bytes into messages.
+ *
+ * Handles running status and SysEx (F0 ... F7). System real-time bytes
+ * (F8-FF) are ignored wherever they appear; system common messages are
+ * skipped and cancel running status. Incomplete messages at the end of
+ * the input are kept in `state` and completed by the next call.
+ *
+ * @param {Uint8Array | number[]} bytes - Raw MIDI bytes
+ * @param {MidiParserState} [state] - Parser state to continue from
+ * @returns {MidiMessage[]} Decoded messages in stream order
+ */
+export function parseMidiBytes(bytes, state = createMidiParserState()) {
+    /** @type {MidiMessage[]} */
+    const messages = [];
+
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i] & 0xFF;
+
+        // System real-time: may be interleaved anywhere, carries no data
+        if (byte >= 0xF8) continue;
+
+        if (state.sysex) {
+            if (byte < 0x80) {
+                state.sysex.push(byte);
+                continue;
+            }
+            if (byte === 0xF7) {
+                state.sysex.push(byte);
+                messages.push({ type: 'systemExclusive', data: new Uint8Array(state.sysex) });
+                state.sysex = null;
+                continue;
+            }
+            // Any other status byte aborts an unterminated SysEx
+            state.sysex = null;
+        }
+
+        if (byte === 0xF0) {
+            state.sysex = [byte];
+            state.runningStatus = 0;
+            state.data = [];
+        } else if (byte >= 0xF0) {
+            // System common: its data bytes are dropped with running status cleared
+            state.runningStatus = 0;
+            state.data = [];
+        } else if (byte >= 0x80) {
+            state.runningStatus = byte;
+            state.data = [];
+        } else if (state.runningStatus) {
+            state.data.push(byte);
+            if (state.data.length === channelMessageLength(state.runningStatus)) {
+                messages.push(decodeChannelMessage(state.runningStatus, state.data));
+                state.data = [];
+            }
+        }
+    }
+
+    return messages;
+}
+
+/**
+ * Decode an event reported by libADLMIDI's raw event hook during file playback.
+ *
+ * Channel events arrive as the upper nibble of their status byte (8-14)
+ * with their data bytes; SysEx and meta events are skipped.
+ *
+ * @param {number} type - Event type from the hook
+ * @param {number} channel - MIDI channel (0-15)
+ * @param {ArrayLike<number>} data - Data bytes
+ * @returns {MidiMessage | null} Decoded message, or null for events other than channel voice messages
+ */
+export function decodeSequencerEvent(type, channel, data) {
+    if (type < 0x08 || type > 0x0E) return null;
+
+    const status = (type << 4) | (channel & 0x0F);
+    if (data.length < channelMessageLength(status)) return null;
+    return decodeChannelMessage(status, data);
+}
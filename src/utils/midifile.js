@@ -0,0 +1,357 @@
+/**
+ * Standard MIDI File reading and writing
+ * Used by core for features that need to look inside the loaded song
+ *
+ * @module utils/midifile
+ */
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * A single event from a track, with running status resolved.
+ *
+ * `status` is the channel voice status byte (0x80-0xEF), 0xF0/0xF7 for SysEx
+ * or 0xFF for meta events. `data` holds the data bytes for channel messages
+ * and the payload (without the length prefix) for SysEx and meta events.
+ * @typedef {Object} MidiFileEvent
+ * @property {number} tick - Absolute time in ticks
+ * @property {number} status - Status byte
+ * @property {number} [metaType] - Meta event type (status 0xFF only)
+ * @property {Uint8Array} data - Data bytes
+ */
+
+/**
+ * @typedef {Object} MidiFileTrack
+ * @property {MidiFileEvent[]} events - Events in time order
+ */
+
+/**
+ * @typedef {Object} MidiFile
+ * @property {number} format - SMF format (0, 1 or 2)
+ * @property {number} division - Ticks per quarter note, or the raw SMPTE division word
+ * @property {MidiFileTrack[]} tracks
+ */
+
+/**
+ * @typedef {Object} TempoChange
+ * @property {number} tick - Absolute time in ticks
+ * @property {number} time - Song position in seconds
+ * @property {number} microsecondsPerQuarter - Tempo as stored in the file
+ * @property {number} bpm - Quarter notes per minute
+ */
+
+// =============================================================================
+// Reading
+// =============================================================================
+
+/**
+ * Check whether data looks like a Standard MIDI File (or RIFF RMID wrapper).
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {boolean}
+ */
+export function isMidiFile(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    return findSmf(bytes) >= 0;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {string}
+ */
+function fourcc(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Find the offset of the MThd chunk, unwrapping RIFF RMID files
+ * @param {Uint8Array} bytes
+ * @returns {number} Offset, or -1 if not a MIDI file
+ */
+function findSmf(bytes) {
+    if (bytes.length < 14) return -1;
+    if (fourcc(bytes, 0) === 'MThd') return 0;
+
+    if (fourcc(bytes, 0) === 'RIFF' && fourcc(bytes, 8) === 'RMID') {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 12;
+        while (offset + 8 <= bytes.length) {
+            const size = view.getUint32(offset + 4, true);
+            if (fourcc(bytes, offset) === 'data') {
+                return fourcc(bytes, offset + 8) === 'MThd' ? offset + 8 : -1;
+            }
+            offset += 8 + size + (size & 1);
+        }
+    }
+    return -1;
+}
+
+/**
+ * Parse a Standard MIDI File.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - SMF or RMID data
+ * @returns {MidiFile}
+ * @throws {Error} If the data is not a valid MIDI file
+ */
+export function readMidiFile(data) {
+    // Plain view, so slices are copies even for Node Buffers
+    const bytes = data instanceof ArrayBuffer
+        ? new Uint8Array(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    const start = findSmf(bytes);
+    if (start < 0) {
+        throw new Error('Not a Standard MIDI File');
+    }
+
+    const headerSize = view.getUint32(start + 4);
+    const format = view.getUint16(start + 8);
+    const trackCount = view.getUint16(start + 10);
+    const division = view.getUint16(start + 12);
+
+    /** @type {MidiFileTrack[]} */
+    const tracks = [];
+    let offset = start + 8 + headerSize;
+
+    while (tracks.length < trackCount && offset + 8 <= bytes.length) {
+        const id = fourcc(bytes, offset);
+        const size = view.getUint32(offset + 4);
+        const end = Math.min(offset + 8 + size, bytes.length);
+        if (id === 'MTrk') {
+            tracks.push({ events: readTrack(bytes, offset + 8, end) });
+        }
+        offset = end;
+    }
+
+    return { format, division, tracks };
+}
+
+/**
+ * Parse a Standard MIDI File, or return null if the data is another format
+ * or cannot be read. For callers that only look inside a song libADLMIDI
+ * plays anyway, and should carry on without the details.
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {MidiFile|null}
+ */
+export function tryReadMidiFile(data) {
+    if (!isMidiFile(data)) return null;
+    try {
+        return readMidiFile(data);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Data byte counts of the system common and real-time messages that can turn
+ * up in a track. They have no meaning in a file and are skipped.
+ * @type {Record<number, number>}
+ */
+const SYSTEM_MESSAGE_LENGTHS = {
+    0xF1: 1, // MTC quarter frame
+    0xF2: 2, // Song position pointer
+    0xF3: 1, // Song select
+};
+
+/**
+ * Parse the events of one track chunk.
+ *
+ * Bad data is read the way libADLMIDI plays it: data bytes before any
+ * status byte run as Note Off on channel 1, and system common and real-time
+ * messages are skipped.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} offset - Start of track data
+ * @param {number} end - End of track data
+ * @returns {MidiFileEvent[]}
+ */
+function readTrack(bytes, offset, end) {
+    /** @type {MidiFileEvent[]} */
+    const events = [];
+    let tick = 0;
+    let runningStatus = 0x80;
+
+    const readVarLen = () => {
+        let value = 0;
+        for (let i = 0; i < 4 && offset < end; i++) {
+            const byte = bytes[offset++];
+            value = (value << 7) | (byte & 0x7F);
+            if (!(byte & 0x80)) break;
+        }
+        return value;
+    };
+
+    while (offset < end) {
+        tick += readVarLen();
+        if (offset >= end) break;
+
+        let status = bytes[offset];
+        if (status & 0x80) {
+            offset++;
+        } else {
+            status = runningStatus;
+        }
+
+        if (status === 0xFF) {
+            const metaType = bytes[offset++];
+            const length = readVarLen();
+            events.push({ tick, status, metaType, data: bytes.slice(offset, offset + length) });
+            offset += length;
+            // End of track ends the chunk even if padding follows
+            if (metaType === 0x2F) break;
+        } else if (status === 0xF0 || status === 0xF7) {
+            const length = readVarLen();
+            events.push({ tick, status, data: bytes.slice(offset, offset + length) });
+            offset += length;
+        } else if (status >= 0x80 && status < 0xF0) {
+            runningStatus = status;
+            const command = status & 0xF0;
+            const length = command === 0xC0 || command === 0xD0 ? 1 : 2;
+            events.push({ tick, status, data: bytes.slice(offset, offset + length) });
+            offset += length;
+        } else {
+            offset += SYSTEM_MESSAGE_LENGTHS[status] ?? 0;
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Get the name of each track: the text of its first Sequence/Track Name event.
+ * Text is read as Latin-1, the usual encoding of older MIDI files.
+ *
+ * @param {MidiFile} file
+ * @returns {string[]} One name per track, empty for unnamed tracks
+ */
+export function getTrackNames(file) {
+    return file.tracks.map(track => {
+        const event = track.events.find(e => e.status === 0xFF && e.metaType === 0x03);
+        return event ? String.fromCharCode(...event.data).trim() : '';
+    });
+}
+
+// =============================================================================
+// Tempo
+// =============================================================================
+
+/** Tempo until the first Set Tempo event: 120 BPM */
+const DEFAULT_TEMPO = 500000;
+
+/**
+ * List the tempo changes of a MIDI file with their song positions.
+ *
+ * Set Tempo events are collected from every track. The first entry is always
+ * at tick 0, using the default 120 BPM if the file sets no tempo there.
+ * SMPTE-timed files have no tempo, so the list is empty.
+ *
+ * @param {MidiFile} file
+ * @returns {TempoChange[]}
+ */
+export function getTempoMap(file) {
+    if (file.division & 0x8000 || file.division === 0) return [];
+
+    /** @type {{tick: number, tempo: number}[]} */
+    const events = [];
+    for (const track of file.tracks) {
+        for (const event of track.events) {
+            if (event.status === 0xFF && event.metaType === 0x51 && event.data.length >= 3) {
+                events.push({ tick: event.tick, tempo: (event.data[0] << 16) | (event.data[1] << 8) | event.data[2] });
+            }
+        }
+    }
+    // Stable sort keeps file order for changes on the same tick; the last one wins
+    events.sort((a, b) => a.tick - b.tick);
+
+    /** @type {TempoChange[]} */
+    const changes = [];
+    let tick = 0;
+    let time = 0;
+    let tempo = DEFAULT_TEMPO;
+    for (const event of [{ tick: 0, tempo: DEFAULT_TEMPO }, ...events]) {
+        if (event.tempo === 0) continue;
+        time += (event.tick - tick) * tempo / (file.division * 1e6);
+        tick = event.tick;
+        tempo = event.tempo;
+
+        const change = { tick, time, microsecondsPerQuarter: tempo, bpm: 60e6 / tempo };
+        if (changes.length > 0 && changes[changes.length - 1].tick === tick) {
+            changes[changes.length - 1] = change;
+        } else {
+            changes.push(change);
+        }
+    }
+    return changes;
+}
+
+// =============================================================================
+// Writing
+// =============================================================================
+
+/**
+ * Append a variable-length quantity
+ * @param {number[]} out
+ * @param {number} value
+ */
+function pushVarLen(out, value) {
+    const groups = [value & 0x7F];
+    while ((value >>>= 7) > 0) {
+        groups.unshift((value & 0x7F) | 0x80);
+    }
+    out.push(...groups);
+}
+
+/**
+ * Serialize a MIDI file. Running status is not used; every track is
+ * terminated with an End of Track event if it lacks one.
+ *
+ * @param {MidiFile} file
+ * @returns {Uint8Array} SMF data
+ */
+export function writeMidiFile(file) {
+    /** @type {number[]} */
+    const out = [];
+    const pushUint32 = (/** @type {number} */ v) => out.push(v >>> 24, (v >> 16) & 0xFF, (v >> 8) & 0xFF, v & 0xFF);
+    const pushUint16 = (/** @type {number} */ v) => out.push((v >> 8) & 0xFF, v & 0xFF);
+
+    out.push(0x4D, 0x54, 0x68, 0x64); // "MThd"
+    pushUint32(6);
+    pushUint16(file.format);
+    pushUint16(file.tracks.length);
+    pushUint16(file.division);
+
+    for (const track of file.tracks) {
+        /** @type {number[]} */
+        const body = [];
+        let tick = 0;
+        let ended = false;
+
+        for (const event of track.events) {
+            pushVarLen(body, Math.max(0, event.tick - tick));
+            tick = Math.max(tick, event.tick);
+            body.push(event.status);
+            if (event.status === 0xFF) {
+                body.push(event.metaType ?? 0);
+                ended = event.metaType === 0x2F;
+            }
+            if (event.status >= 0xF0) {
+                pushVarLen(body, event.data.length);
+            }
+            body.push(...event.data);
+            if (ended) break;
+        }
+        if (!ended) {
+            body.push(0x00, 0xFF, 0x2F, 0x00);
+        }
+
+        out.push(0x4D, 0x54, 0x72, 0x6B); // "MTrk"
+        pushUint32(body.length);
+        for (let i = 0; i < body.length; i++) out.push(body[i]);
+    }
+
+    return new Uint8Array(out);
+}
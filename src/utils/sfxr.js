@@ -0,0 +1,696 @@
+/**
+ * Procedural sound effects for OPL3, after sfxr
+ * Presets describe how to pick sound parameters; buildInstrument() turns
+ * those parameters into a 2-op patch and renderSfx() plays it offline
+ *
+ * @module utils/sfxr
+ */
+
+import { defaultInstrument } from './struct.js';
+
+/** @typedef {import('./struct.js').Instrument} Instrument */
+/** @typedef {import('../core.js').AdlMidiCore} AdlMidiCore */
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * Sound parameters. `c_*` fields set the carrier, `m_*` fields the modulator.
+ * Levels run from 0 (silent) to 63 (loudest).
+ * @typedef {Object} SfxParams
+ * @property {number} base_note - MIDI note to play
+ * @property {number} slide_speed - Pitch bend per 20 ms step, in tens of bend units (0 = no slide)
+ * @property {number} connection - 0 = FM, 1 = additive
+ * @property {number} feedback - Modulator feedback (0-7)
+ * @property {number} c_wave
+ * @property {number} c_attack
+ * @property {number} c_decay
+ * @property {number} c_sustain
+ * @property {number} c_release
+ * @property {number} c_level
+ * @property {number} c_mult
+ * @property {number} m_wave
+ * @property {number} m_attack
+ * @property {number} m_decay
+ * @property {number} m_sustain
+ * @property {number} m_release
+ * @property {number} m_level
+ * @property {number} m_mult
+ */
+
+/**
+ * How to pick one parameter: a fixed number, a list to choose from, or an object
+ * - `{type: 'range', min, max}` - integer in [min, max]
+ * - `{type: 'rand', max}` - integer in [0, max]
+ * - `{type: 'choice', values}` - one of `values`
+ * - `{type: 'value', value}` - fixed number
+ * @typedef {number|number[]|{type?: 'range'|'rand'|'choice'|'value', min?: number, max?: number, values?: number[], value?: number}} SfxRule
+ */
+
+/**
+ * @typedef {Object} SfxPreset
+ * @property {string} id
+ * @property {string} name
+ * @property {'rules'|'random'} [type='rules'] - `random` presets without rules randomize every parameter
+ * @property {Partial<SfxParams>|null} [base] - Fixed values applied before the rules (defaults to PRESET_BASE)
+ * @property {Object<string, SfxRule>} [rules] - Rules keyed by parameter name
+ */
+
+/**
+ * @typedef {Object} ParamDef
+ * @property {keyof SfxParams} key
+ * @property {string} label
+ * @property {number} min
+ * @property {number} max
+ */
+
+/**
+ * Random number source returning values in [0, 1), like Math.random
+ * @typedef {() => number} RandomSource
+ */
+
+/**
+ * @typedef {Object} RenderSfxOptions
+ * @property {number} [minSeconds=0.2] - Always render at least this long
+ * @property {number} [maxSeconds=6] - Stop here even if the sound still rings
+ * @property {number} [tailMs=60] - Silence to keep at the end
+ * @property {number} [silenceDb=-60] - Level below which output counts as silent
+ * @property {number} [channel=0] - MIDI channel to play on
+ * @property {number} [program=0] - Melodic program (bank 0) the patch is written to
+ */
+
+// =============================================================================
+// Definitions
+// =============================================================================
+
+/** Version written by serializePreset() */
+export const PRESET_VERSION = 1;
+
+/** @type {Readonly<SfxParams>} */
+export const DEFAULT_PARAMS = Object.freeze({
+    base_note: 60,
+    slide_speed: 0,
+    connection: 0,
+    feedback: 0,
+    m_wave: 0, m_attack: 15, m_decay: 2, m_sustain: 3, m_release: 5, m_level: 20, m_mult: 1,
+    c_wave: 0, c_attack: 15, c_decay: 2, c_sustain: 3, c_release: 5, c_level: 0, c_mult: 1
+});
+
+/** Values every preset starts from, unless it has its own `base` */
+export const PRESET_BASE = Object.freeze({
+    connection: 0,
+    feedback: 0,
+    slide_speed: 0,
+    c_attack: 15, c_decay: 5, c_sustain: 1, c_release: 5,
+    m_attack: 15, m_decay: 5, m_sustain: 1, m_release: 5
+});
+
+/** @type {readonly ParamDef[]} */
+export const PARAM_DEFS = Object.freeze([
+    { key: 'base_note', label: 'Base Note', min: 24, max: 96 },
+    { key: 'slide_speed', label: 'Slide Speed', min: -480, max: 480 },
+    { key: 'connection', label: 'Algorithm', min: 0, max: 1 },
+    { key: 'feedback', label: 'Feedback', min: 0, max: 7 },
+    { key: 'c_wave', label: 'Carrier Wave', min: 0, max: 7 },
+    { key: 'c_attack', label: 'Carrier Attack', min: 0, max: 15 },
+    { key: 'c_decay', label: 'Carrier Decay', min: 0, max: 15 },
+    { key: 'c_sustain', label: 'Carrier Sustain', min: 0, max: 15 },
+    { key: 'c_release', label: 'Carrier Release', min: 0, max: 15 },
+    { key: 'c_level', label: 'Carrier Level', min: 0, max: 63 },
+    { key: 'c_mult', label: 'Carrier Mult', min: 0, max: 15 },
+    { key: 'm_wave', label: 'Modulator Wave', min: 0, max: 7 },
+    { key: 'm_attack', label: 'Modulator Attack', min: 0, max: 15 },
+    { key: 'm_decay', label: 'Modulator Decay', min: 0, max: 15 },
+    { key: 'm_sustain', label: 'Modulator Sustain', min: 0, max: 15 },
+    { key: 'm_release', label: 'Modulator Release', min: 0, max: 15 },
+    { key: 'm_level', label: 'Modulator Level', min: 0, max: 63 },
+    { key: 'm_mult', label: 'Modulator Mult', min: 0, max: 15 }
+]);
+
+/**
+ * Rules of the built-in `random` preset
+ * @type {Readonly<Object<string, SfxRule>>}
+ */
+export const RANDOM_RULES = Object.freeze(/** @type {Object<string, SfxRule>} */ ({
+    base_note: { type: 'range', min: 36, max: 84 },
+    slide_speed: { type: 'range', min: -300, max: 300 },
+    connection: { type: 'rand', max: 1 },
+    feedback: { type: 'rand', max: 7 },
+    m_wave: { type: 'rand', max: 7 },
+    c_wave: { type: 'rand', max: 7 },
+    m_attack: { type: 'range', min: 10, max: 15 },
+    c_attack: { type: 'range', min: 10, max: 15 },
+    m_decay: { type: 'rand', max: 15 },
+    c_decay: { type: 'rand', max: 15 },
+    m_sustain: { type: 'rand', max: 15 },
+    c_sustain: { type: 'rand', max: 15 },
+    m_release: { type: 'rand', max: 15 },
+    c_release: { type: 'rand', max: 15 },
+    m_level: { type: 'rand', max: 63 },
+    c_level: 63,
+    m_mult: { type: 'rand', max: 15 },
+    c_mult: { type: 'rand', max: 15 }
+}));
+
+/** @type {readonly SfxPreset[]} */
+export const BUILTIN_PRESETS = Object.freeze(/** @type {SfxPreset[]} */ ([
+    {
+        id: 'pickup',
+        name: 'Pickup / Coin',
+        rules: {
+            base_note: { type: 'range', min: 48, max: 72 },
+            slide_speed: { type: 'range', min: 100, max: 250 },
+            c_wave: { type: 'rand', max: 3 },
+            m_wave: { type: 'rand', max: 3 },
+            c_mult: 1,
+            m_mult: { type: 'choice', values: [1, 2, 0] },
+            m_level: { type: 'range', min: 30, max: 50 },
+            c_level: 63,
+            c_attack: 15, c_decay: 8, c_sustain: 0, c_release: 8,
+            m_attack: 15, m_decay: 8, m_sustain: 0, m_release: 8
+        }
+    },
+    {
+        id: 'laser',
+        name: 'Laser / Shoot',
+        rules: {
+            base_note: { type: 'range', min: 72, max: 90 },
+            slide_speed: { type: 'range', min: -20, max: 50 },
+            c_wave: { type: 'choice', values: [0, 1, 6] },
+            m_wave: { type: 'choice', values: [0, 2] },
+            c_mult: 1,
+            m_mult: { type: 'choice', values: [3, 4, 5, 6] },
+            feedback: { type: 'range', min: 2, max: 5 },
+            m_level: { type: 'range', min: 35, max: 50 },
+            c_level: 63,
+            c_attack: 15, c_decay: 8, c_sustain: 0, c_release: 6,
+            m_attack: 15, m_decay: 3, m_sustain: 6, m_release: 4
+        }
+    },
+    {
+        id: 'explosion',
+        name: 'Explosion',
+        rules: {
+            base_note: { type: 'range', min: 20, max: 36 },
+            slide_speed: { type: 'range', min: -200, max: -50 },
+            c_wave: { type: 'choice', values: [6, 7] },
+            m_wave: { type: 'choice', values: [3, 6, 7] },
+            feedback: { type: 'range', min: 6, max: 7 },
+            c_mult: 0,
+            m_mult: { type: 'choice', values: [1, 2] },
+            c_level: 63,
+            m_level: { type: 'range', min: 50, max: 63 },
+            c_attack: 15, c_decay: 4, c_sustain: 3, c_release: 6,
+            m_attack: 15, m_decay: 3, m_sustain: 2, m_release: 5
+        }
+    },
+    {
+        id: 'powerup',
+        name: 'Powerup',
+        rules: {
+            base_note: { type: 'range', min: 48, max: 60 },
+            slide_speed: { type: 'range', min: 50, max: 150 },
+            c_wave: { type: 'choice', values: [0, 1, 4] },
+            m_wave: { type: 'choice', values: [0, 1] },
+            c_mult: 1,
+            m_mult: { type: 'choice', values: [1, 2, 4] },
+            m_level: { type: 'range', min: 30, max: 40 },
+            c_level: 63,
+            m_attack: 15, m_decay: 3, m_sustain: 10, m_release: 3
+        }
+    },
+    {
+        id: 'hit',
+        name: 'Hit / Hurt',
+        rules: {
+            base_note: { type: 'range', min: 36, max: 60 },
+            slide_speed: { type: 'range', min: -200, max: -100 },
+            c_wave: { type: 'choice', values: [6, 7] },
+            m_wave: { type: 'choice', values: [0, 6] },
+            feedback: { type: 'range', min: 2, max: 5 },
+            c_mult: 0,
+            m_mult: 0,
+            c_level: 63,
+            m_level: { type: 'range', min: 40, max: 60 },
+            c_attack: 15, c_decay: 12, c_sustain: 0, c_release: 8
+        }
+    },
+    {
+        id: 'jump',
+        name: 'Jump',
+        rules: {
+            base_note: { type: 'range', min: 48, max: 72 },
+            slide_speed: { type: 'range', min: 100, max: 200 },
+            c_wave: 6,
+            m_wave: 0,
+            c_mult: 1,
+            m_level: 0,
+            c_level: 63,
+            c_attack: 15, c_decay: 8, c_sustain: 4, c_release: 6
+        }
+    },
+    {
+        id: 'blip',
+        name: 'Blip / Select',
+        rules: {
+            base_note: { type: 'range', min: 60, max: 84 },
+            slide_speed: 0,
+            c_wave: { type: 'choice', values: [0, 1] },
+            c_mult: 1,
+            m_level: 0,
+            c_level: 63,
+            c_attack: 15, c_decay: 5, c_sustain: 0, c_release: 10
+        }
+    },
+    {
+        id: 'random',
+        name: 'Randomize',
+        type: 'random',
+        rules: RANDOM_RULES
+    }
+]));
+
+// =============================================================================
+// Random Numbers
+// =============================================================================
+
+/**
+ * Create a seeded random number source (mulberry32).
+ *
+ * The same seed always gives the same sequence, so a preset applied with
+ * `createRandom('coin')` produces the same sound on every build.
+ *
+ * @param {number|string} seed - Integer seed, or a string hashed to one
+ * @returns {RandomSource}
+ * @example
+ * const params = applyPreset(getPreset('laser'), { random: createRandom(42) });
+ */
+export function createRandom(seed) {
+    let state = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * @param {RandomSource} random
+ * @param {number} max
+ * @returns {number} Integer in [0, max]
+ */
+function randomInt(random, max) {
+    return Math.floor(random() * (max + 1));
+}
+
+/**
+ * @param {RandomSource} random
+ * @param {number} min
+ * @param {number} max
+ * @returns {number} Integer in [min, max]
+ */
+function randomRange(random, min, max) {
+    return Math.floor(random() * (max - min + 1)) + min;
+}
+
+/**
+ * @template T
+ * @param {RandomSource} random
+ * @param {readonly T[]} values
+ * @returns {T}
+ */
+function choose(random, values) {
+    return values[Math.floor(random() * values.length)];
+}
+
+// =============================================================================
+// Presets
+// =============================================================================
+
+/**
+ * @param {unknown} value
+ * @returns {value is Object<string, any>}
+ */
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Pick a value for one rule.
+ *
+ * @param {SfxRule|unknown} rule
+ * @param {RandomSource} [random=Math.random]
+ * @returns {number|null} The value, or null if the rule is malformed
+ */
+export function evaluateRule(rule, random = Math.random) {
+    if (typeof rule === 'number') {
+        return rule;
+    }
+    if (Array.isArray(rule)) {
+        return rule.length ? choose(random, rule) : null;
+    }
+    if (!isPlainObject(rule)) {
+        return null;
+    }
+
+    const type = rule.type || (Array.isArray(rule.values) ? 'choice' : 'value');
+    if (type === 'range') {
+        const min = Number(rule.min);
+        const max = Number(rule.max);
+        if (!Number.isFinite(min) || !Number.isFinite(max)) {
+            return null;
+        }
+        return randomRange(random, Math.min(min, max), Math.max(min, max));
+    }
+    if (type === 'choice') {
+        if (!Array.isArray(rule.values) || !rule.values.length) {
+            return null;
+        }
+        return choose(random, rule.values);
+    }
+    if (type === 'rand') {
+        const max = Number(rule.max);
+        if (!Number.isFinite(max)) {
+            return null;
+        }
+        return randomInt(random, Math.max(0, max));
+    }
+    if (type === 'value') {
+        const value = Number(rule.value);
+        return Number.isFinite(value) ? value : null;
+    }
+    return null;
+}
+
+/**
+ * Write rounded numeric values over known parameters
+ * @param {SfxParams} params
+ * @param {Object<string, unknown>|null|undefined} values
+ */
+function applyValues(params, values) {
+    if (!values) return;
+    for (const [key, value] of Object.entries(values)) {
+        if (!(key in params)) continue;
+        const numeric = Number(value);
+        if (Number.isFinite(numeric)) {
+            params[/** @type {keyof SfxParams} */ (key)] = Math.round(numeric);
+        }
+    }
+}
+
+/**
+ * Randomize every parameter (the `random` preset without rules).
+ *
+ * @param {RandomSource} [random=Math.random]
+ * @param {SfxParams} [params=DEFAULT_PARAMS] - Parameters to start from
+ * @returns {SfxParams} New parameters
+ */
+export function randomizeParams(random = Math.random, params = DEFAULT_PARAMS) {
+    const result = { ...params };
+    for (const key of /** @type {(keyof SfxParams)[]} */ (Object.keys(result))) {
+        if (key.includes('attack')) result[key] = randomRange(random, 10, 15);
+        else if (key.includes('decay')) result[key] = randomInt(random, 15);
+        else if (key.includes('sustain')) result[key] = randomInt(random, 15);
+        else if (key.includes('release')) result[key] = randomInt(random, 15);
+        else if (key.includes('wave')) result[key] = randomInt(random, 7);
+        else if (key.includes('level')) result[key] = randomInt(random, 63);
+        else if (key.includes('mult')) result[key] = randomInt(random, 15);
+    }
+    result.connection = randomInt(random, 1);
+    result.feedback = randomInt(random, 7);
+    result.base_note = randomRange(random, 36, 84);
+    result.slide_speed = randomRange(random, -30, 30);
+    result.c_level = 63;
+    return result;
+}
+
+/**
+ * Roll a preset into concrete parameters.
+ *
+ * PRESET_BASE and the preset's `base` are applied over `params`, then each
+ * rule picks its parameter. Parameters no rule mentions keep their value.
+ *
+ * @param {SfxPreset} preset
+ * @param {Object} [options]
+ * @param {RandomSource} [options.random=Math.random] - Use createRandom() for reproducible results
+ * @param {SfxParams} [options.params=DEFAULT_PARAMS] - Parameters to start from
+ * @returns {SfxParams} New parameters
+ * @example
+ * const coin = applyPreset(getPreset('pickup'), { random: createRandom('coin') });
+ */
+export function applyPreset(preset, options = {}) {
+    const random = options.random ?? Math.random;
+    const params = { ...(options.params ?? DEFAULT_PARAMS) };
+    applyValues(params, PRESET_BASE);
+    applyValues(params, preset.base);
+
+    if (preset.type === 'random' && (!preset.rules || !Object.keys(preset.rules).length)) {
+        return randomizeParams(random, params);
+    }
+
+    for (const [key, rule] of Object.entries(preset.rules ?? {})) {
+        if (!(key in params)) continue;
+        const value = evaluateRule(rule, random);
+        if (value !== null && Number.isFinite(value)) {
+            params[/** @type {keyof SfxParams} */ (key)] = Math.round(value);
+        }
+    }
+    return params;
+}
+
+/**
+ * Find a built-in preset by ID.
+ *
+ * @param {string} id - e.g. `pickup`, `laser`, `explosion`
+ * @returns {SfxPreset|null}
+ */
+export function getPreset(id) {
+    return BUILTIN_PRESETS.find((preset) => preset.id === id) ?? null;
+}
+
+/**
+ * Nudge a few parameters, like sfxr's Mutate button.
+ *
+ * Base note, slide speed, modulator level and feedback each change with
+ * even odds; `strength` scales how far. Results stay within PARAM_DEFS.
+ *
+ * @param {SfxParams} params
+ * @param {Object} [options]
+ * @param {RandomSource} [options.random=Math.random]
+ * @param {number} [options.strength=1] - Scale of each change (1 = up to ±5 semitones, ±10 level)
+ * @returns {SfxParams} New parameters
+ */
+export function mutateParams(params, options = {}) {
+    const random = options.random ?? Math.random;
+    const strength = Math.max(0, options.strength ?? 1);
+    const result = { ...params };
+
+    /**
+     * @param {keyof SfxParams} key
+     * @param {number} amount
+     */
+    const nudge = (key, amount) => {
+        if (!randomInt(random, 1)) return;
+        const spread = Math.round(amount * strength);
+        result[key] += randomRange(random, -spread, spread);
+    };
+    nudge('base_note', 5);
+    nudge('slide_speed', 5);
+    nudge('m_level', 10);
+    nudge('feedback', 1);
+
+    for (const def of PARAM_DEFS) {
+        result[def.key] = Math.max(def.min, Math.min(def.max, result[def.key]));
+    }
+    return result;
+}
+
+/**
+ * Write a preset as JSON.
+ *
+ * @param {SfxPreset} preset
+ * @returns {string}
+ */
+export function serializePreset(preset) {
+    return JSON.stringify({
+        version: PRESET_VERSION,
+        id: preset.id,
+        name: preset.name,
+        type: preset.type || 'rules',
+        base: structuredClone(preset.base ?? PRESET_BASE),
+        rules: structuredClone(preset.rules ?? {})
+    }, null, 2);
+}
+
+/**
+ * Read a preset written by serializePreset().
+ *
+ * Unknown fields are dropped; a missing name becomes `Custom Preset`.
+ *
+ * @param {string} text - Preset JSON
+ * @returns {SfxPreset}
+ * @throws {Error} If the text is not a JSON object
+ */
+export function parsePreset(text) {
+    const data = JSON.parse(text);
+    if (!isPlainObject(data)) {
+        throw new Error('Preset JSON must be an object');
+    }
+
+    return {
+        id: typeof data.id === 'string' ? data.id.trim() : '',
+        name: (typeof data.name === 'string' ? data.name.trim() : '') || 'Custom Preset',
+        type: data.type === 'random' ? 'random' : 'rules',
+        base: isPlainObject(data.base) ? data.base : null,
+        rules: isPlainObject(data.rules) ? data.rules : {}
+    };
+}
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+/**
+ * Build the patch for a set of parameters.
+ *
+ * The result is a 2-op instrument: operator 0 is the carrier, operator 1
+ * the modulator. Neither sustains, so every sound decays by itself.
+ *
+ * @param {SfxParams} params
+ * @returns {Instrument}
+ */
+export function buildInstrument(params) {
+    const inst = defaultInstrument();
+    inst.isBlank = false;
+    inst.connection1 = params.connection;
+    inst.feedback1 = params.feedback;
+    inst.operators[0] = {
+        ...inst.operators[0],
+        sustaining: false,
+        attack: params.c_attack,
+        decay: params.c_decay,
+        sustain: params.c_sustain,
+        release: params.c_release,
+        totalLevel: 63 - params.c_level,
+        freqMult: params.c_mult,
+        waveform: params.c_wave
+    };
+    inst.operators[1] = {
+        ...inst.operators[1],
+        sustaining: false,
+        attack: params.m_attack,
+        decay: params.m_decay,
+        sustain: params.m_sustain,
+        release: params.m_release,
+        totalLevel: 63 - params.m_level,
+        freqMult: params.m_mult,
+        waveform: params.m_wave
+    };
+    return inst;
+}
+
+/** Pitch slide step, in seconds */
+const SLIDE_STEP = 0.02;
+
+/**
+ * Render one sound effect to a stereo buffer.
+ *
+ * Writes the patch to bank 0, plays `base_note` on `channel` and renders in
+ * 20 ms steps, applying the pitch slide between steps. Rendering stops once
+ * the sound has been silent for `tailMs` (after `minSeconds`), or at
+ * `maxSeconds`; trailing silence beyond `tailMs` is cut.
+ *
+ * Chip count, emulator and panning are left as the caller set them.
+ *
+ * @param {AdlMidiCore} core - Initialized synth
+ * @param {SfxParams} params
+ * @param {RenderSfxOptions} [options]
+ * @returns {Float32Array} Interleaved stereo samples
+ * @example
+ * const core = await AdlMidiCore.create();
+ * core.init(44100);
+ * const params = applyPreset(getPreset('explosion'), { random: createRandom(7) });
+ * writeFileSync('boom.wav', encodeWav(renderSfx(core, params), 44100));
+ */
+export function renderSfx(core, params, options = {}) {
+    const sampleRate = core.sampleRate;
+    const channel = options.channel ?? 0;
+    const program = options.program ?? 0;
+    const minFrames = Math.floor(sampleRate * (options.minSeconds ?? 0.2));
+    const maxFrames = Math.max(minFrames, Math.floor(sampleRate * (options.maxSeconds ?? 6)));
+    const tailFrames = Math.max(1, Math.floor(sampleRate * (options.tailMs ?? 60) / 1000));
+    const threshold = Math.pow(10, (options.silenceDb ?? -60) / 20);
+
+    if (!core.setInstrument({ percussive: 0, msb: 0, lsb: 0 }, program, buildInstrument(params))) {
+        throw new Error('Failed to set sound effect instrument');
+    }
+    core.controllerChange(channel, 0, 0);
+    core.controllerChange(channel, 32, 0);
+    core.programChange(channel, program);
+    core.pitchBend(channel, 8192);
+    if (params.slide_speed !== 0) {
+        // Pitch bend range of 24 semitones (RPN 0)
+        core.controllerChange(channel, 101, 0);
+        core.controllerChange(channel, 100, 0);
+        core.controllerChange(channel, 6, 24);
+    }
+    core.noteOn(channel, params.base_note, 127);
+
+    const stepFrames = Math.max(1, Math.floor(sampleRate * SLIDE_STEP));
+    const output = new Float32Array(maxFrames * 2);
+    let pitch = 8192;
+    let sliding = params.slide_speed !== 0;
+    let framesRendered = 0;
+    let silentFrames = 0;
+    let stoppedBySilence = false;
+
+    while (framesRendered < maxFrames) {
+        const frames = Math.min(stepFrames, maxFrames - framesRendered);
+        const block = output.subarray(framesRendered * 2, (framesRendered + frames) * 2);
+        core.generateInto(block);
+        framesRendered += frames;
+
+        let peak = 0;
+        for (let i = 0; i < block.length && peak <= threshold; i++) {
+            peak = Math.max(peak, Math.abs(block[i]));
+        }
+        silentFrames = peak <= threshold ? silentFrames + frames : 0;
+
+        if (sliding) {
+            const next = pitch + params.slide_speed * 10;
+            if (next > 16383 || next < 0) {
+                sliding = false;
+            } else {
+                pitch = next;
+                core.pitchBend(channel, Math.floor(pitch));
+            }
+        }
+
+        if (framesRendered >= minFrames && silentFrames >= tailFrames) {
+            stoppedBySilence = true;
+            break;
+        }
+    }
+
+    core.noteOff(channel, params.base_note);
+    core.pitchBend(channel, 8192);
+
+    const length = stoppedBySilence ? framesRendered - (silentFrames - tailFrames) : framesRendered;
+    return output.slice(0, length * 2);
+}
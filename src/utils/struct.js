@@ -21,6 +21,15 @@ export const SIZEOF_ADL_BANK = 12;
 /** Size of ADL_BankId struct (3 bytes + padding) */
 export const SIZEOF_ADL_BANK_ID = 4;
 
+/** Size of Adl_MarkerEntry struct (label pointer, then pos_time and pos_ticks) */
+export const SIZEOF_ADL_MARKER_ENTRY = 24;
+
+/** Offset of pos_time (double, seconds) within Adl_MarkerEntry */
+export const MARKER_TIME_OFFSET = 8;
+
+/** Offset of pos_ticks (unsigned long) within Adl_MarkerEntry */
+export const MARKER_TICKS_OFFSET = 16;
+
 /** Offset where operators start within ADL_Instrument */
 export const OPERATOR_OFFSET = 14;
 
@@ -87,19 +96,29 @@ export function decodeOperator(bytes) {
  * @returns {Uint8Array} 5 bytes of operator register data
  */
 export function encodeOperator(op) {
-    const avekf =
+    const bytes = new Uint8Array(SIZEOF_ADL_OPERATOR);
+    writeOperator(op, bytes, 0);
+    return bytes;
+}
+
+/**
+ * Write an operator's register bytes into a buffer
+ * @param {Operator} op - Operator with named properties
+ * @param {Uint8Array} bytes - Buffer to write into
+ * @param {number} offset - Offset of the 5 operator bytes
+ */
+function writeOperator(op, bytes, offset) {
+    bytes[offset] =
         (op.am ? 0x80 : 0) |
         (op.vibrato ? 0x40 : 0) |
         (op.sustaining ? 0x20 : 0) |
         (op.ksr ? 0x10 : 0) |
         (op.freqMult & 0x0F);
 
-    const ksl_l = ((op.keyScaleLevel & 0x03) << 6) | (op.totalLevel & 0x3F);
-    const atdec = ((op.attack & 0x0F) << 4) | (op.decay & 0x0F);
-    const susrel = ((op.sustain & 0x0F) << 4) | (op.release & 0x0F);
-    const waveform = op.waveform & 0x07;
-
-    return new Uint8Array([avekf, ksl_l, atdec, susrel, waveform]);
+    bytes[offset + 1] = ((op.keyScaleLevel & 0x03) << 6) | (op.totalLevel & 0x3F);
+    bytes[offset + 2] = ((op.attack & 0x0F) << 4) | (op.decay & 0x0F);
+    bytes[offset + 3] = ((op.sustain & 0x0F) << 4) | (op.release & 0x0F);
+    bytes[offset + 4] = op.waveform & 0x07;
 }
 
 /**
@@ -216,11 +235,11 @@ export function decodeInstrument(bytes) {
 /**
  * Encode a JS instrument object to raw bytes
  * @param {Instrument} inst - Instrument with named properties
+ * @param {Uint8Array} [bytes] - 40-byte buffer to write into instead of a new one
  * @returns {Uint8Array} 40 bytes of instrument data
  */
-export function encodeInstrument(inst) {
-    const bytes = new Uint8Array(SIZEOF_ADL_INSTRUMENT);
-    const view = new DataView(bytes.buffer);
+export function encodeInstrument(inst, bytes = new Uint8Array(SIZEOF_ADL_INSTRUMENT)) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, SIZEOF_ADL_INSTRUMENT);
 
     // int version
     view.setInt32(0, inst.version || 0, true);
@@ -250,8 +269,7 @@ export function encodeInstrument(inst) {
 
     // ADL_Operator operators[4]
     for (let i = 0; i < 4; i++) {
-        const opBytes = encodeOperator(inst.operators?.[i] || defaultOperator());
-        bytes.set(opBytes, OPERATOR_OFFSET + i * SIZEOF_ADL_OPERATOR);
+        writeOperator(inst.operators?.[i] || defaultOperator(), bytes, OPERATOR_OFFSET + i * SIZEOF_ADL_OPERATOR);
     }
 
     // uint16_t delay_on_ms, delay_off_ms
@@ -286,3 +304,798 @@ export function defaultInstrument() {
         delayOffMs: 0
     };
 }
+
+// =============================================================================
+// Instrument Interpolation
+// =============================================================================
+
+/**
+ * @typedef {Object} InterpolateOptions
+ * @property {number} [threshold=0.5] - Position (0-1) at which discrete fields switch from `a` to `b`
+ * @property {Instrument} [into] - Instrument to overwrite with the result instead of making a new one,
+ *     for callers that blend on every audio block. Must not share operators with `a` or `b`.
+ */
+
+/** Operator fields blended by interpolateInstrument() */
+const CONTINUOUS_OPERATOR_FIELDS = /** @type {const} */ (['totalLevel', 'attack', 'decay', 'sustain', 'release']);
+
+/** Instrument fields blended by interpolateInstrument() */
+const CONTINUOUS_INSTRUMENT_FIELDS = /** @type {const} */ ([
+    'feedback1', 'feedback2', 'secondVoiceDetune', 'noteOffset1', 'noteOffset2',
+    'velocityOffset', 'delayOnMs', 'delayOffMs',
+]);
+
+/**
+ * Blend two instruments.
+ *
+ * Levels, envelope rates, feedback, detune, note and velocity offsets and
+ * delays are interpolated linearly and rounded. Every other field (waveform,
+ * frequency multiplier, connection, key scale level, flags) is taken from `a`
+ * below the threshold and from `b` at or above it.
+ *
+ * @param {Instrument} a - Instrument at t = 0
+ * @param {Instrument} b - Instrument at t = 1
+ * @param {number} t - Position between the two (clamped to 0-1)
+ * @param {InterpolateOptions} [options]
+ * @returns {Instrument} New instrument, or `options.into`
+ * @example
+ * for (let i = 0; i <= 10; i++) {
+ *     core.setInstrument(bankId, 0, interpolateInstrument(pluck, pad, i / 10));
+ * }
+ */
+export function interpolateInstrument(a, b, t, options = {}) {
+    const pos = Math.min(1, Math.max(0, t));
+    const useB = pos >= (options.threshold ?? 0.5);
+    const lerp = (/** @type {number|undefined} */ x, /** @type {number|undefined} */ y) =>
+        Math.round((x ?? 0) + ((y ?? 0) - (x ?? 0)) * pos);
+
+    const operators = options.into?.operators ?? [];
+    const result = /** @type {Instrument} */ (Object.assign(options.into ?? {}, useB ? b : a));
+    result.operators = /** @type {Instrument['operators']} */ (operators);
+    for (let i = 0; i < a.operators.length; i++) {
+        const opA = a.operators[i];
+        const opB = b.operators[i];
+        const op = Object.assign(operators[i] ?? {}, useB ? opB : opA);
+        for (const field of CONTINUOUS_OPERATOR_FIELDS) {
+            op[field] = lerp(opA[field], opB[field]);
+        }
+        operators[i] = op;
+    }
+    for (const field of CONTINUOUS_INSTRUMENT_FIELDS) {
+        if (a[field] !== undefined || b[field] !== undefined) {
+            result[field] = lerp(a[field], b[field]);
+        }
+    }
+    return result;
+}
+
+// =============================================================================
+// Marker Decoding
+// =============================================================================
+
+/**
+ * Fields of an Adl_MarkerEntry as returned by adl_metaMarker()
+ * @typedef {Object} MarkerEntry
+ * @property {number} labelPtr - Pointer to the null-terminated label in WASM memory (0 if none)
+ * @property {number} time - Song position in seconds
+ * @property {number} ticks - Song position in ticks
+ */
+
+/**
+ * Decode an Adl_MarkerEntry. The label stays a pointer, to be read with
+ * the module's UTF8ToString().
+ * @param {Uint8Array} bytes - SIZEOF_ADL_MARKER_ENTRY bytes of marker data
+ * @returns {MarkerEntry}
+ */
+export function decodeMarkerEntry(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, SIZEOF_ADL_MARKER_ENTRY);
+    return {
+        labelPtr: view.getUint32(0, true),
+        time: view.getFloat64(MARKER_TIME_OFFSET, true),
+        ticks: view.getUint32(MARKER_TICKS_OFFSET, true)
+    };
+}
+
+// =============================================================================
+// WOPL Bank Files
+// =============================================================================
+
+/** Magic string at the start of a WOPL bank file (null-terminated) */
+export const WOPL_BANK_MAGIC = 'WOPL3-BANK';
+
+/** Latest WOPL format version */
+export const WOPL_LATEST_VERSION = 3;
+
+/**
+ * Volume models stored in a WOPL bank. These are libADLMIDI's
+ * ADLMIDI_VolumeModel_* values minus one, as WOPL has no "auto" model.
+ * @readonly
+ * @enum {number}
+ */
+export const WoplVolumeModel = Object.freeze({
+    GENERIC: 0,
+    /** Native OPL3 (CMF) */
+    NATIVE: 1,
+    /** DMX (Doom, Heretic, Hexen) */
+    DMX: 2,
+    /** Apogee Sound System */
+    APOGEE: 3,
+    /** Windows 9x SB16 driver */
+    WIN9X: 4,
+    DMX_FIXED: 5,
+    APOGEE_FIXED: 6,
+    /** Audio Interface Library (Miles) */
+    AIL: 7,
+    WIN9X_GENERIC_FM: 8,
+    /** Human Machine Interfaces */
+    HMI: 9,
+    HMI_OLD: 10,
+});
+
+/** Instruments per bank (one per MIDI program or percussion key) */
+const WOPL_BANK_SIZE = 128;
+
+/** Length of the name fields, including the null terminator */
+const WOPL_NAME_SIZE = 32;
+
+/** Size of the file header: magic(11) + version(2) + counts(4) + flags(1) + volume model(1) */
+const WOPL_HEADER_SIZE = 19;
+
+/** Size of a bank meta entry: name(32) + lsb(1) + msb(1) */
+const WOPL_BANK_META_SIZE = 34;
+
+/** Size of an instrument entry before v3 */
+const WOPL_INST_SIZE_V2 = 62;
+
+/** Size of an instrument entry in v3 (adds note on/off delays) */
+const WOPL_INST_SIZE_V3 = 66;
+
+/**
+ * Instrument as stored in a WOPL bank
+ * @typedef {Instrument & { name: string }} WoplInstrument
+ */
+
+/**
+ * One melodic or percussion bank in a WOPL file
+ * @typedef {Object} WoplBankSet
+ * @property {string} name - Bank name (up to 31 bytes)
+ * @property {number} lsb - MIDI bank select LSB
+ * @property {number} msb - MIDI bank select MSB
+ * @property {WoplInstrument[]} instruments - 128 instruments, by program (melodic) or key (percussion)
+ */
+
+/**
+ * Contents of a WOPL bank file
+ * @typedef {Object} WoplBank
+ * @property {number} [version] - Format version the bank was read from
+ * @property {boolean} deepTremolo - Global deep tremolo flag
+ * @property {boolean} deepVibrato - Global deep vibrato flag
+ * @property {number} volumeModel - Volume model (see WoplVolumeModel)
+ * @property {WoplBankSet[]} melodic - Melodic banks
+ * @property {WoplBankSet[]} percussion - Percussion banks
+ */
+
+/**
+ * @typedef {Object} WoplWriteOptions
+ * @property {number} [version=3] - Format version to write (1-3)
+ */
+
+/**
+ * Read a null-terminated Latin-1 name field.
+ * Byte loops rather than TextDecoder, which AudioWorkletGlobalScope may lack.
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {string}
+ */
+function readWoplName(bytes, offset) {
+    let name = '';
+    for (let i = offset; i < offset + WOPL_NAME_SIZE - 1 && bytes[i] !== 0; i++) {
+        name += String.fromCharCode(bytes[i]);
+    }
+    return name;
+}
+
+/**
+ * Write a Latin-1 name field, truncated to keep the null terminator.
+ * Characters outside Latin-1 are written as '?'.
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {string} [name]
+ */
+function writeWoplName(bytes, offset, name) {
+    const text = name || '';
+    const length = Math.min(text.length, WOPL_NAME_SIZE - 1);
+    for (let i = 0; i < length; i++) {
+        const code = text.charCodeAt(i);
+        bytes[offset + i] = code > 0xFF ? 0x3F : code;
+    }
+}
+
+/**
+ * Decode one WOPL instrument entry
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} version - File version (delays are only stored from v3)
+ * @returns {WoplInstrument}
+ */
+function readWoplInstrument(bytes, offset, version) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + offset, version >= 3 ? WOPL_INST_SIZE_V3 : WOPL_INST_SIZE_V2);
+    const instFlags = view.getUint8(39);
+    const fbConn1 = view.getUint8(40);
+    const fbConn2 = view.getUint8(41);
+
+    // Operators in file order: carrier 1, modulator 1, carrier 2, modulator 2
+    const opStart = offset + 42;
+    /** @type {[Operator, Operator, Operator, Operator]} */
+    const operators = /** @type {[Operator, Operator, Operator, Operator]} */ ([0, 1, 2, 3].map(i =>
+        decodeOperator(bytes.subarray(opStart + i * SIZEOF_ADL_OPERATOR, opStart + (i + 1) * SIZEOF_ADL_OPERATOR))
+    ));
+
+    return {
+        name: readWoplName(bytes, offset),
+        // Multi-byte fields are big-endian in WOPL
+        noteOffset1: view.getInt16(32),
+        noteOffset2: view.getInt16(34),
+        velocityOffset: view.getInt8(36),
+        secondVoiceDetune: view.getInt8(37),
+        percussionKey: view.getUint8(38),
+
+        is4op: !!(instFlags & 0x01),
+        isPseudo4op: !!(instFlags & 0x02),
+        isBlank: !!(instFlags & 0x04),
+        rhythmMode: (instFlags >> 3) & 0x07,
+
+        feedback1: (fbConn1 >> 1) & 0x07,
+        connection1: fbConn1 & 0x01,
+        feedback2: (fbConn2 >> 1) & 0x07,
+        connection2: fbConn2 & 0x01,
+
+        operators,
+        delayOnMs: version >= 3 ? view.getUint16(62) : 0,
+        delayOffMs: version >= 3 ? view.getUint16(64) : 0
+    };
+}
+
+/**
+ * Encode one WOPL instrument entry
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {Partial<WoplInstrument>} inst
+ * @param {number} version - File version (delays are only stored from v3)
+ */
+function writeWoplInstrument(bytes, offset, inst, version) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + offset, version >= 3 ? WOPL_INST_SIZE_V3 : WOPL_INST_SIZE_V2);
+
+    writeWoplName(bytes, offset, inst.name);
+    view.setInt16(32, inst.noteOffset1 || 0);
+    view.setInt16(34, inst.noteOffset2 || 0);
+    view.setInt8(36, inst.velocityOffset || 0);
+    view.setInt8(37, inst.secondVoiceDetune || 0);
+    view.setUint8(38, inst.percussionKey || 0);
+
+    let flags = 0;
+    if (inst.is4op) flags |= 0x01;
+    if (inst.isPseudo4op) flags |= 0x02;
+    if (inst.isBlank) flags |= 0x04;
+    flags |= ((inst.rhythmMode || 0) & 0x07) << 3;
+    view.setUint8(39, flags);
+
+    view.setUint8(40, (((inst.feedback1 || 0) & 0x07) << 1) | ((inst.connection1 || 0) & 0x01));
+    view.setUint8(41, (((inst.feedback2 || 0) & 0x07) << 1) | ((inst.connection2 || 0) & 0x01));
+
+    for (let i = 0; i < 4; i++) {
+        bytes.set(encodeOperator(inst.operators?.[i] || defaultOperator()), offset + 42 + i * SIZEOF_ADL_OPERATOR);
+    }
+
+    if (version >= 3) {
+        view.setUint16(62, inst.delayOnMs || 0);
+        view.setUint16(64, inst.delayOffMs || 0);
+    }
+}
+
+/**
+ * Parse a WOPL bank file (versions 1-3).
+ *
+ * @param {ArrayBuffer|Uint8Array} data - WOPL file contents
+ * @returns {WoplBank} Parsed bank
+ * @throws {Error} If the data is not a valid WOPL bank
+ * @example
+ * const bank = parseWopl(await (await fetch('mybank.wopl')).arrayBuffer());
+ * console.log(bank.melodic[0].instruments[0].name);
+ */
+export function parseWopl(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.length < WOPL_HEADER_SIZE ||
+        String.fromCharCode(...bytes.subarray(0, WOPL_BANK_MAGIC.length)) !== WOPL_BANK_MAGIC ||
+        bytes[WOPL_BANK_MAGIC.length] !== 0) {
+        throw new Error('Not a WOPL bank file');
+    }
+
+    const version = view.getUint16(11, true);
+    if (version < 1 || version > WOPL_LATEST_VERSION) {
+        throw new Error(`Unsupported WOPL version: ${version}`);
+    }
+
+    const melodicCount = view.getUint16(13);
+    const percussionCount = view.getUint16(15);
+    const oplFlags = bytes[17];
+    const volumeModel = bytes[18];
+
+    const instSize = version >= 3 ? WOPL_INST_SIZE_V3 : WOPL_INST_SIZE_V2;
+    const metaSize = version >= 2 ? (melodicCount + percussionCount) * WOPL_BANK_META_SIZE : 0;
+    const expectedSize = WOPL_HEADER_SIZE + metaSize + (melodicCount + percussionCount) * WOPL_BANK_SIZE * instSize;
+    if (bytes.length < expectedSize) {
+        throw new Error('WOPL bank file is truncated');
+    }
+
+    /**
+     * @param {number} index - Bank index across melodic and percussion banks
+     * @param {number} number - Bank index within its set
+     * @returns {WoplBankSet}
+     */
+    const readBankSet = (index, number) => {
+        /** @type {WoplBankSet} */
+        const set = version >= 2
+            ? {
+                name: readWoplName(bytes, WOPL_HEADER_SIZE + index * WOPL_BANK_META_SIZE),
+                lsb: bytes[WOPL_HEADER_SIZE + index * WOPL_BANK_META_SIZE + 32],
+                msb: bytes[WOPL_HEADER_SIZE + index * WOPL_BANK_META_SIZE + 33],
+                instruments: []
+            }
+            // v1 has no meta; banks are numbered in order
+            : { name: '', lsb: number & 0x7F, msb: (number >> 7) & 0x7F, instruments: [] };
+
+        const start = WOPL_HEADER_SIZE + metaSize + index * WOPL_BANK_SIZE * instSize;
+        for (let i = 0; i < WOPL_BANK_SIZE; i++) {
+            set.instruments.push(readWoplInstrument(bytes, start + i * instSize, version));
+        }
+        return set;
+    };
+
+    /** @type {WoplBankSet[]} */
+    const melodic = [];
+    for (let i = 0; i < melodicCount; i++) {
+        melodic.push(readBankSet(i, i));
+    }
+    /** @type {WoplBankSet[]} */
+    const percussion = [];
+    for (let i = 0; i < percussionCount; i++) {
+        percussion.push(readBankSet(melodicCount + i, i));
+    }
+
+    return {
+        version,
+        deepTremolo: !!(oplFlags & 0x01),
+        deepVibrato: !!(oplFlags & 0x02),
+        volumeModel,
+        melodic,
+        percussion
+    };
+}
+
+/**
+ * Serialize a bank to a WOPL file.
+ *
+ * Banks with fewer than 128 instruments are padded with blank ones.
+ * Versions before 3 drop note on/off delays; version 1 also drops bank names
+ * and MIDI bank numbers.
+ *
+ * @param {WoplBank} bank - Bank to write
+ * @param {WoplWriteOptions} [options]
+ * @returns {Uint8Array} WOPL file contents
+ * @throws {Error} If the version is unsupported
+ * @example
+ * const bank = parseWopl(data);
+ * bank.melodic[0].instruments[0].feedback1 = 7;
+ * synth.loadBankData(serializeWopl(bank));
+ */
+export function serializeWopl(bank, options = {}) {
+    const version = options.version ?? WOPL_LATEST_VERSION;
+    if (!Number.isInteger(version) || version < 1 || version > WOPL_LATEST_VERSION) {
+        throw new Error(`Unsupported WOPL version: ${version}`);
+    }
+
+    const melodic = bank.melodic || [];
+    const percussion = bank.percussion || [];
+    const sets = [...melodic, ...percussion];
+
+    const instSize = version >= 3 ? WOPL_INST_SIZE_V3 : WOPL_INST_SIZE_V2;
+    const metaSize = version >= 2 ? sets.length * WOPL_BANK_META_SIZE : 0;
+    const bytes = new Uint8Array(WOPL_HEADER_SIZE + metaSize + sets.length * WOPL_BANK_SIZE * instSize);
+    const view = new DataView(bytes.buffer);
+
+    for (let i = 0; i < WOPL_BANK_MAGIC.length; i++) {
+        bytes[i] = WOPL_BANK_MAGIC.charCodeAt(i);
+    }
+    view.setUint16(11, version, true);
+    view.setUint16(13, melodic.length);
+    view.setUint16(15, percussion.length);
+    bytes[17] = (bank.deepTremolo ? 0x01 : 0) | (bank.deepVibrato ? 0x02 : 0);
+    bytes[18] = bank.volumeModel || 0;
+
+    const blank = defaultInstrument();
+    sets.forEach((set, index) => {
+        if (version >= 2) {
+            const metaOffset = WOPL_HEADER_SIZE + index * WOPL_BANK_META_SIZE;
+            writeWoplName(bytes, metaOffset, set.name);
+            bytes[metaOffset + 32] = (set.lsb || 0) & 0x7F;
+            bytes[metaOffset + 33] = (set.msb || 0) & 0x7F;
+        }
+
+        const start = WOPL_HEADER_SIZE + metaSize + index * WOPL_BANK_SIZE * instSize;
+        for (let i = 0; i < WOPL_BANK_SIZE; i++) {
+            writeWoplInstrument(bytes, start + i * instSize, set.instruments?.[i] || blank, version);
+        }
+    });
+
+    return bytes;
+}
+
+// =============================================================================
+// Single Instrument Files
+// =============================================================================
+
+/** Magic string at the start of a WOPI instrument file (null-terminated) */
+export const WOPI_MAGIC = 'WOPL3-INST';
+
+/** Size of the WOPI header: magic(11) + version(2) + percussion flag(1) */
+const WOPI_HEADER_SIZE = 14;
+
+/**
+ * A single instrument read from a file, with whether it was saved as a drum
+ * @typedef {Object} InstrumentFile
+ * @property {number} [version] - Format version the file was read from
+ * @property {boolean} percussive - Saved from a percussion bank
+ * @property {WoplInstrument} instrument
+ */
+
+/**
+ * @typedef {Object} InstrumentFileOptions
+ * @property {boolean} [percussive=false] - Mark the instrument as a drum
+ */
+
+/**
+ * Decode a WOPI instrument file (versions 1-3).
+ *
+ * @param {ArrayBuffer|Uint8Array} data - WOPI file contents
+ * @returns {InstrumentFile}
+ * @throws {Error} If the data is not a valid WOPI file
+ */
+export function decodeWopi(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    if (bytes.length < WOPI_HEADER_SIZE ||
+        String.fromCharCode(...bytes.subarray(0, WOPI_MAGIC.length)) !== WOPI_MAGIC ||
+        bytes[WOPI_MAGIC.length] !== 0) {
+        throw new Error('Not a WOPI instrument file');
+    }
+
+    const version = bytes[11] | (bytes[12] << 8);
+    if (version < 1 || version > WOPL_LATEST_VERSION) {
+        throw new Error(`Unsupported WOPI version: ${version}`);
+    }
+    const instSize = version >= 3 ? WOPL_INST_SIZE_V3 : WOPL_INST_SIZE_V2;
+    if (bytes.length < WOPI_HEADER_SIZE + instSize) {
+        throw new Error('WOPI instrument file is truncated');
+    }
+
+    return {
+        version,
+        percussive: bytes[13] !== 0,
+        instrument: readWoplInstrument(bytes, WOPI_HEADER_SIZE, version)
+    };
+}
+
+/**
+ * Encode an instrument as a WOPI file.
+ *
+ * @param {Partial<WoplInstrument>} instrument - Instrument to save; `name` is optional
+ * @param {InstrumentFileOptions & WoplWriteOptions} [options]
+ * @returns {Uint8Array} WOPI file contents
+ * @throws {Error} If the version is unsupported
+ * @example
+ * const inst = await synth.getInstrument({ percussive: false, msb: 0, lsb: 0 }, 0);
+ * const wopi = encodeWopi({ ...inst, name: 'My Piano' });
+ */
+export function encodeWopi(instrument, options = {}) {
+    const version = options.version ?? WOPL_LATEST_VERSION;
+    if (!Number.isInteger(version) || version < 1 || version > WOPL_LATEST_VERSION) {
+        throw new Error(`Unsupported WOPI version: ${version}`);
+    }
+
+    const instSize = version >= 3 ? WOPL_INST_SIZE_V3 : WOPL_INST_SIZE_V2;
+    const bytes = new Uint8Array(WOPI_HEADER_SIZE + instSize);
+    for (let i = 0; i < WOPI_MAGIC.length; i++) {
+        bytes[i] = WOPI_MAGIC.charCodeAt(i);
+    }
+    bytes[11] = version & 0xFF;
+    bytes[12] = version >> 8;
+    bytes[13] = options.percussive ? 1 : 0;
+    writeWoplInstrument(bytes, WOPI_HEADER_SIZE, instrument, version);
+    return bytes;
+}
+
+/** Magic string at the start of an SBI file */
+export const SBI_MAGIC = 'SBI\x1A';
+
+/** Size of the SBI register block, also used by IBK banks */
+export const SIZEOF_SBI_REGISTERS = 16;
+
+/** Size of an SBI file: magic(4) + name(32) + registers(16) */
+const SBI_FILE_SIZE = 52;
+
+/** Shortest SBI file seen in the wild (no reserved bytes) */
+const SBI_MIN_SIZE = 47;
+
+/** SBI rhythm voice numbers 6-10 (bass drum ... hi-hat) map to rhythm modes 1-5 */
+const SBI_FIRST_RHYTHM_VOICE = 6;
+
+/**
+ * Decode an SBI register block: modulator/carrier register pairs for
+ * 0x20, 0x40, 0x60, 0x80 and 0xE0, feedback/connection, rhythm voice,
+ * transpose and drum note.
+ *
+ * @param {Uint8Array | number[]} bytes - At least 11 bytes; missing trailing bytes read as 0
+ * @returns {WoplInstrument} 2-op instrument with an empty name
+ */
+export function decodeSbiRegisters(bytes) {
+    const r = (/** @type {number} */ i) => bytes[i] ?? 0;
+    const rhythmVoice = r(11);
+    return {
+        name: '',
+        noteOffset1: (r(12) << 24) >> 24,
+        noteOffset2: 0,
+        velocityOffset: 0,
+        secondVoiceDetune: 0,
+        percussionKey: r(13),
+
+        is4op: false,
+        isPseudo4op: false,
+        isBlank: false,
+        rhythmMode: rhythmVoice >= SBI_FIRST_RHYTHM_VOICE && rhythmVoice < SBI_FIRST_RHYTHM_VOICE + 5
+            ? rhythmVoice - SBI_FIRST_RHYTHM_VOICE + 1
+            : 0,
+
+        feedback1: (r(10) >> 1) & 0x07,
+        connection1: r(10) & 0x01,
+        feedback2: 0,
+        connection2: 0,
+
+        operators: [
+            decodeOperator([r(1), r(3), r(5), r(7), r(9)]),
+            decodeOperator([r(0), r(2), r(4), r(6), r(8)]),
+            defaultOperator(),
+            defaultOperator()
+        ],
+        delayOnMs: 0,
+        delayOffMs: 0
+    };
+}
+
+/**
+ * Encode the first voice of an instrument as an SBI register block.
+ *
+ * @param {Instrument} instrument
+ * @returns {Uint8Array} 16 bytes of register data
+ */
+export function encodeSbiRegisters(instrument) {
+    const carrier = encodeOperator(instrument.operators?.[0] || defaultOperator());
+    const modulator = encodeOperator(instrument.operators?.[1] || defaultOperator());
+    const bytes = new Uint8Array(SIZEOF_SBI_REGISTERS);
+    for (let i = 0; i < SIZEOF_ADL_OPERATOR; i++) {
+        bytes[i * 2] = modulator[i];
+        bytes[i * 2 + 1] = carrier[i];
+    }
+    bytes[10] = (((instrument.feedback1 || 0) & 0x07) << 1) | ((instrument.connection1 || 0) & 0x01);
+    const rhythmMode = instrument.rhythmMode || 0;
+    bytes[11] = rhythmMode >= 1 && rhythmMode <= 5 ? SBI_FIRST_RHYTHM_VOICE + rhythmMode - 1 : 0;
+    bytes[12] = (instrument.noteOffset1 || 0) & 0xFF;
+    bytes[13] = instrument.percussionKey || 0;
+    return bytes;
+}
+
+/**
+ * Decode a Creative SBI instrument file.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - SBI file contents
+ * @returns {WoplInstrument}
+ * @throws {Error} If the data is not an SBI file
+ */
+export function decodeSbi(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    if (bytes.length < SBI_MIN_SIZE || String.fromCharCode(...bytes.subarray(0, SBI_MAGIC.length)) !== SBI_MAGIC) {
+        throw new Error('Not a Creative SBI instrument');
+    }
+    return {
+        ...decodeSbiRegisters(bytes.subarray(SBI_MAGIC.length + WOPL_NAME_SIZE)),
+        name: readWoplName(bytes, SBI_MAGIC.length)
+    };
+}
+
+/**
+ * Encode an instrument as a Creative SBI file. SBI holds one 2-op voice,
+ * so 4-op and pseudo 4-op instruments are rejected.
+ *
+ * @param {Partial<WoplInstrument> & Instrument} instrument - Instrument to save; `name` is optional
+ * @returns {Uint8Array} SBI file contents (52 bytes)
+ * @throws {Error} If the instrument uses four operators
+ */
+export function encodeSbi(instrument) {
+    if (instrument.is4op || instrument.isPseudo4op) {
+        throw new Error('SBI files only hold 2-op instruments');
+    }
+    const bytes = new Uint8Array(SBI_FILE_SIZE);
+    for (let i = 0; i < SBI_MAGIC.length; i++) {
+        bytes[i] = SBI_MAGIC.charCodeAt(i);
+    }
+    writeWoplName(bytes, SBI_MAGIC.length, instrument.name);
+    bytes.set(encodeSbiRegisters(instrument), SBI_MAGIC.length + WOPL_NAME_SIZE);
+    return bytes;
+}
+
+// =============================================================================
+// OPLI JSON Instruments
+// =============================================================================
+
+/** Value of the `format` field in OPLI JSON files */
+export const OPLI_JSON_FORMAT = 'opli';
+
+/** Latest OPLI JSON schema version */
+export const OPLI_JSON_VERSION = 1;
+
+/**
+ * An instrument in the OPLI JSON format. See the README for the schema.
+ * @typedef {Object} OpliJson
+ * @property {'opli'} format
+ * @property {number} version - Schema version
+ * @property {boolean} percussive
+ * @property {WoplInstrument} instrument
+ */
+
+/** Integer instrument fields and their ranges, in output order */
+const OPLI_INSTRUMENT_INTS = /** @type {const} */ ([
+    ['noteOffset1', -32768, 32767],
+    ['noteOffset2', -32768, 32767],
+    ['velocityOffset', -128, 127],
+    ['secondVoiceDetune', -128, 127],
+    ['percussionKey', 0, 127],
+    ['rhythmMode', 0, 7],
+    ['feedback1', 0, 7],
+    ['connection1', 0, 1],
+    ['feedback2', 0, 7],
+    ['connection2', 0, 1],
+    ['delayOnMs', 0, 65535],
+    ['delayOffMs', 0, 65535],
+]);
+
+const OPLI_INSTRUMENT_BOOLS = /** @type {const} */ (['is4op', 'isPseudo4op', 'isBlank']);
+
+/** Integer operator fields and their ranges, in output order */
+const OPLI_OPERATOR_INTS = /** @type {const} */ ([
+    ['freqMult', 0, 15],
+    ['keyScaleLevel', 0, 3],
+    ['totalLevel', 0, 63],
+    ['attack', 0, 15],
+    ['decay', 0, 15],
+    ['sustain', 0, 15],
+    ['release', 0, 15],
+    ['waveform', 0, 7],
+]);
+
+const OPLI_OPERATOR_BOOLS = /** @type {const} */ (['am', 'vibrato', 'sustaining', 'ksr']);
+
+/**
+ * Defaults for missing instrument fields. As with encodeInstrument(),
+ * a missing flag is false.
+ * @returns {Instrument}
+ */
+function opliInstrumentDefaults() {
+    return { ...defaultInstrument(), isBlank: false };
+}
+
+/**
+ * Copy known fields from `source`, checking types and ranges.
+ * Missing fields take the value from `defaults`.
+ * @param {Record<string, any>} source
+ * @param {Record<string, any>} defaults
+ * @param {ReadonlyArray<readonly [string, number, number]>} ints
+ * @param {ReadonlyArray<string>} bools
+ * @param {string} path - Field path for error messages
+ * @returns {Record<string, any>}
+ */
+function readOpliFields(source, defaults, ints, bools, path) {
+    /** @type {Record<string, any>} */
+    const out = {};
+    for (const key of bools) {
+        const value = source[key] ?? defaults[key];
+        if (typeof value !== 'boolean') {
+            throw new Error(`Invalid OPLI JSON: ${path}${key} must be a boolean`);
+        }
+        out[key] = value;
+    }
+    for (const [key, min, max] of ints) {
+        const value = source[key] ?? defaults[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`Invalid OPLI JSON: ${path}${key} must be an integer from ${min} to ${max}`);
+        }
+        out[key] = value;
+    }
+    return out;
+}
+
+/**
+ * Encode an instrument as OPLI JSON text.
+ *
+ * Only the documented fields are written, so the output is stable across
+ * library versions.
+ *
+ * @param {Partial<WoplInstrument> & Instrument} instrument - Instrument to save; `name` is optional
+ * @param {InstrumentFileOptions} [options]
+ * @returns {string} JSON text
+ * @example
+ * const json = encodeOpliJson({ ...inst, name: 'Bass' });
+ * localStorage.setItem('patch', json);
+ */
+export function encodeOpliJson(instrument, options = {}) {
+    /** @type {OpliJson} */
+    const file = {
+        format: OPLI_JSON_FORMAT,
+        version: OPLI_JSON_VERSION,
+        percussive: !!options.percussive,
+        instrument: /** @type {WoplInstrument} */ ({
+            name: instrument.name || '',
+            ...readOpliFields(instrument, opliInstrumentDefaults(), OPLI_INSTRUMENT_INTS, OPLI_INSTRUMENT_BOOLS, ''),
+            operators: [0, 1, 2, 3].map(i => readOpliFields(
+                instrument.operators?.[i] || defaultOperator(), defaultOperator(),
+                OPLI_OPERATOR_INTS, OPLI_OPERATOR_BOOLS, `operators[${i}].`
+            ))
+        })
+    };
+    return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Decode an OPLI JSON instrument.
+ *
+ * Missing fields take their defaults and unknown fields are ignored, so
+ * files from newer minor revisions still load. Files with a newer schema
+ * version are rejected.
+ *
+ * @param {string | Object} json - JSON text or an already parsed object
+ * @returns {InstrumentFile}
+ * @throws {Error} If the data is not a valid OPLI JSON instrument
+ */
+export function decodeOpliJson(json) {
+    /** @type {Record<string, any>} */
+    const file = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!file || file.format !== OPLI_JSON_FORMAT) {
+        throw new Error('Not an OPLI JSON instrument');
+    }
+    if (!Number.isInteger(file.version) || file.version < 1 || file.version > OPLI_JSON_VERSION) {
+        throw new Error(`Unsupported OPLI JSON version: ${file.version}`);
+    }
+
+    const source = file.instrument;
+    if (!source || typeof source !== 'object' || !Array.isArray(source.operators) ||
+        source.operators.length < 2 || source.operators.length > 4) {
+        throw new Error('Invalid OPLI JSON: instrument needs 2 to 4 operators');
+    }
+    if (source.name !== undefined && typeof source.name !== 'string') {
+        throw new Error('Invalid OPLI JSON: name must be a string');
+    }
+
+    const operators = [0, 1, 2, 3].map(i => source.operators[i]
+        ? readOpliFields(source.operators[i], defaultOperator(), OPLI_OPERATOR_INTS, OPLI_OPERATOR_BOOLS, `operators[${i}].`)
+        : defaultOperator());
+
+    return {
+        version: file.version,
+        percussive: !!file.percussive,
+        instrument: /** @type {WoplInstrument} */ ({
+            name: source.name || '',
+            ...readOpliFields(source, opliInstrumentDefaults(), OPLI_INSTRUMENT_INTS, OPLI_INSTRUMENT_BOOLS, ''),
+            operators
+        })
+    };
+}
@@ -0,0 +1,145 @@
+/**
+ * WAV file encoding
+ * Shared between core and the examples
+ *
+ * @module utils/wav
+ */
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * WAV sample encoding: 16/24-bit integer PCM or 32-bit IEEE float
+ * @typedef {16 | 24 | 32} WavBitDepth
+ */
+
+/**
+ * @typedef {Object} WavOptions
+ * @property {WavBitDepth} [bitDepth=16] - Sample encoding (32 = float)
+ * @property {number} [channels=2] - Interleaved channel count of the input
+ * @property {Record<string, string>} [info] - RIFF INFO tags keyed by four-character ID (e.g. `INAM`, `ICMT`)
+ */
+
+// =============================================================================
+// Encoding
+// =============================================================================
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+
+/**
+ * Write an ASCII string at `offset`
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {string} str
+ */
+function writeAscii(bytes, offset, str) {
+    for (let i = 0; i < str.length; i++) {
+        bytes[offset + i] = str.charCodeAt(i);
+    }
+}
+
+/**
+ * Build a LIST/INFO chunk
+ * @param {Record<string, string>} info - Tags keyed by four-character ID
+ * @returns {Uint8Array}
+ */
+function encodeInfoChunk(info) {
+    const encoder = new TextEncoder();
+    const entries = Object.entries(info).map(([id, text]) => {
+        if (!/^[ -~]{4}$/.test(id)) {
+            throw new Error(`Invalid RIFF INFO id: ${id}`);
+        }
+        // Null-terminated, padded to an even size
+        return { id, data: encoder.encode(text + '\0') };
+    });
+
+    let size = 12;
+    for (const { data } of entries) {
+        size += 8 + data.length + (data.length & 1);
+    }
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    writeAscii(bytes, 0, 'LIST');
+    view.setUint32(4, size - 8, true);
+    writeAscii(bytes, 8, 'INFO');
+
+    let offset = 12;
+    for (const { id, data } of entries) {
+        writeAscii(bytes, offset, id);
+        view.setUint32(offset + 4, data.length, true);
+        bytes.set(data, offset + 8);
+        offset += 8 + data.length + (data.length & 1);
+    }
+
+    return bytes;
+}
+
+/**
+ * Encode interleaved float samples as a WAV file.
+ *
+ * @param {Float32Array} samples - Interleaved samples (-1 to +1)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {WavOptions} [options]
+ * @returns {Uint8Array} Complete WAV file
+ * @example
+ * const wav = encodeWav(synth.play(44100), 44100, { bitDepth: 24 });
+ * const blob = new Blob([wav], { type: 'audio/wav' });
+ */
+export function encodeWav(samples, sampleRate, options = {}) {
+    const bitDepth = options.bitDepth ?? 16;
+    const channels = options.channels ?? 2;
+    if (bitDepth !== 16 && bitDepth !== 24 && bitDepth !== 32) {
+        throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+
+    const bytesPerSample = bitDepth / 8;
+    const dataSize = samples.length * bytesPerSample;
+    const info = options.info ? encodeInfoChunk(options.info) : null;
+    // The data chunk is padded to an even size before any following chunk
+    const dataPadded = dataSize + (dataSize & 1);
+    const size = 44 + dataPadded + (info ? info.length : 0);
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+
+    writeAscii(bytes, 0, 'RIFF');
+    view.setUint32(4, size - 8, true);
+    writeAscii(bytes, 8, 'WAVE');
+
+    writeAscii(bytes, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, bitDepth === 32 ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channels * bytesPerSample, true);
+    view.setUint16(32, channels * bytesPerSample, true);
+    view.setUint16(34, bitDepth, true);
+
+    writeAscii(bytes, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        if (bitDepth === 16) {
+            view.setInt16(offset, Math.round(s * 32767), true);
+        } else if (bitDepth === 24) {
+            const v = Math.round(s * 8388607);
+            bytes[offset] = v & 0xFF;
+            bytes[offset + 1] = (v >> 8) & 0xFF;
+            bytes[offset + 2] = (v >> 16) & 0xFF;
+        } else {
+            view.setFloat32(offset, samples[i], true);
+        }
+        offset += bytesPerSample;
+    }
+
+    if (info) {
+        bytes.set(info, 44 + dataPadded);
+    }
+
+    return bytes;
+}
@@ -111,6 +111,22 @@ test.describe('Audio Output', () => {
 
         expect(result72.hash).not.toBe(result58.hash);
     });
+
+    test('scheduled note should start at the requested frame', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            return await window.testUtils.generateAudio({
+                durationMs: 500,
+                note: 60,
+                bank: 72,
+                time: 0.25
+            });
+        });
+
+        // Not quantized to the 128-frame render block
+        const scheduledFrame = Math.round(0.25 * 44100);
+        expect(result.onsetFrame).toBeGreaterThanOrEqual(scheduledFrame);
+        expect(result.onsetFrame).toBeLessThan(scheduledFrame + 128);
+    });
 });
 
 test.describe('IMF Playback', () => {
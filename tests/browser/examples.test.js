@@ -222,6 +222,38 @@ test.describe('Example Pages', () => {
         expect(hasFileInput || hasMidiSelect).toBe(true);
     });
 
+    test('player lists and selects the songs of an XMI file', async ({ page }) => {
+        await page.goto('/tests/fixtures/test-harness.html');
+        await page.waitForFunction(() => window.testReady === true, { timeout: 10000 });
+
+        const result = await page.evaluate(async () => {
+            const { AdlMidi } = window.testUtils;
+            const synth = new AdlMidi();
+            await synth.init('/dist/libadlmidi.nuked.processor.js');
+
+            const response = await fetch('/test-files/songs.xmi');
+            const { songs, duration } = await synth.loadMidi(await response.arrayBuffer());
+            const count = await synth.getSongCount();
+            const second = await synth.selectSong(1);
+            synth.close();
+
+            return {
+                count,
+                songs,
+                firstDuration: duration,
+                secondDuration: second.duration,
+            };
+        });
+
+        expect(result.count).toBeGreaterThan(1);
+        expect(result.songs).toHaveLength(result.count);
+        expect(result.songs[0].duration).toBe(result.firstDuration);
+        // Later songs are measured when selected, not at load
+        expect(result.songs[1].duration).toBeNull();
+        expect(result.secondDuration).toBeGreaterThan(0);
+        expect(result.secondDuration).not.toBe(result.firstDuration);
+    });
+
     test('player MIDI playback API works', async ({ page }) => {
         // Test the public MIDI playback API via the AdlMidi class
         await page.goto('/tests/fixtures/test-harness.html');
@@ -238,8 +270,14 @@ test.describe('Example Pages', () => {
             const response = await fetch('/test-files/canyon.mid');
             const midiData = await response.arrayBuffer();
 
-            // Test loadMidi - should return duration
+            // Test loadMidi - should return duration and metadata
             const loadResult = await synth.loadMidi(midiData);
+            if (!loadResult.info || loadResult.info.tempoChanges.length === 0) {
+                throw new Error('loadMidi returned no tempo map');
+            }
+            if (loadResult.songs.length !== 1 || await synth.getSongCount() !== 1) {
+                throw new Error(`loadMidi listed ${loadResult.songs.length} songs in a single-song file`);
+            }
             if (typeof loadResult.duration !== 'number' || loadResult.duration <= 0) {
                 throw new Error(`loadMidi returned invalid duration: ${loadResult.duration}`);
             }
@@ -461,6 +499,7 @@ test.describe('Example Pages', () => {
                 count: banks.length,
                 hasId: banks.length > 0 && typeof banks[0].id === 'number',
                 hasName: banks.length > 0 && typeof banks[0].name === 'string',
+                hasCounts: banks.every(b => b.melodicCount + b.percussionCount > 0),
                 firstBank: banks[0],
                 bank72: banks.find(b => b.id === 72)
             };
@@ -470,11 +509,117 @@ test.describe('Example Pages', () => {
         expect(result.count).toBeGreaterThan(0);
         expect(result.hasId).toBe(true);
         expect(result.hasName).toBe(true);
+        expect(result.hasCounts).toBe(true);
         expect(result.firstBank.id).toBe(0);
         expect(result.firstBank.name).toBeTruthy();
         console.log(`getEmbeddedBanks: ${result.count} banks, first="${result.firstBank.name}", bank72="${result.bank72?.name}"`);
     });
 
+    test('exportBank returns WOPL data that loads back with edits', async ({ page }) => {
+        await page.goto('/tests/fixtures/test-harness.html');
+        await page.waitForFunction(() => window.testReady === true, { timeout: 10000 });
+
+        const result = await page.evaluate(async () => {
+            const { AdlMidi } = window.testUtils;
+            const bankId = { percussive: false, msb: 0, lsb: 0 };
+
+            const synth = new AdlMidi();
+            await synth.init('/dist/libadlmidi.nuked.processor.js');
+            await synth.setBank(72);
+
+            const edited = await synth.getInstrument(bankId, 0);
+            edited.feedback1 = (edited.feedback1 + 1) % 8;
+            await synth.setInstrument(bankId, 0, edited);
+            const wopl = await synth.exportBank();
+
+            await synth.setBank(72);
+            await synth.loadBank(wopl.slice().buffer);
+            const reloaded = await synth.getInstrument(bankId, 0);
+            synth.close();
+
+            return {
+                magic: String.fromCharCode(...wopl.slice(0, 10)),
+                edited: edited.feedback1,
+                reloaded: reloaded.feedback1
+            };
+        });
+
+        expect(result.magic).toBe('WOPL3-BANK');
+        expect(result.reloaded).toBe(result.edited);
+    });
+
+    test('getChannelStates and onChannelStates report sounding voices', async ({ page }) => {
+        await page.goto('/tests/fixtures/test-harness.html');
+        await page.waitForFunction(() => window.testReady === true, { timeout: 10000 });
+
+        const result = await page.evaluate(async () => {
+            const { AdlMidi } = window.testUtils;
+
+            const synth = new AdlMidi();
+            await synth.init('/dist/libadlmidi.nuked.processor.js');
+
+            synth.noteOn(5, 60, 100);
+            const chips = await synth.getChannelStates();
+            const pushed = await new Promise((resolve) => {
+                const stop = synth.onChannelStates((update) => {
+                    stop();
+                    resolve(update);
+                }, { interval: 0.02 });
+            });
+            synth.close();
+
+            const busy = (states) => states.flatMap(chip => chip.voices.filter(v => v.state !== 'off'));
+            return {
+                chipCount: chips.length,
+                voiceCount: chips[0].voices.length,
+                busy: busy(chips).map(v => v.midiChannel),
+                pushedBusy: busy(pushed.chips).map(v => v.midiChannel),
+                pushedTime: pushed.time
+            };
+        });
+
+        expect(result.chipCount).toBeGreaterThan(0);
+        expect(result.voiceCount).toBe(23);
+        expect(result.busy).toContain(5);
+        expect(result.pushedBusy).toContain(5);
+        expect(result.pushedTime).toBeGreaterThan(0);
+    });
+
+    test('onMidiEvent reports file playback events with context times', async ({ page }) => {
+        await page.goto('/tests/fixtures/test-harness.html');
+        await page.waitForFunction(() => window.testReady === true, { timeout: 10000 });
+
+        const result = await page.evaluate(async () => {
+            const { AdlMidi } = window.testUtils;
+
+            const synth = new AdlMidi();
+            await synth.init('/dist/libadlmidi.nuked.processor.js');
+            const response = await fetch('/test-files/canyon.mid');
+            await synth.loadMidi(await response.arrayBuffer());
+
+            const events = await new Promise((resolve) => {
+                const stop = synth.onMidiEvent((batch) => {
+                    if (batch.some(e => e.type === 'noteOn')) {
+                        stop();
+                        resolve(batch);
+                    }
+                });
+                synth.play();
+            });
+            const now = synth.audioContext.currentTime;
+            synth.close();
+
+            return {
+                types: events.map(e => e.type),
+                times: events.map(e => e.time),
+                now
+            };
+        });
+
+        expect(result.types).toContain('noteOn');
+        expect(result.times.every(t => t > 0 && t <= result.now + 0.1)).toBe(true);
+    });
+
     test('keyboard produces actual audio samples', async ({ page }) => {
         await page.goto('/examples/keyboard.html');
 
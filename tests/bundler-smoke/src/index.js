@@ -12,9 +12,13 @@ import { AdlMidi, AdlMidiCore } from 'libadlmidi-js/nuked';
 // Test struct utilities import
 import { encodeInstrument, decodeInstrument, defaultInstrument } from 'libadlmidi-js/structs';
 
+// Test bank library import - must not pull in Node built-ins
+import { BankLibrary, parseBankManifest } from 'libadlmidi-js/banklibrary';
+
 // Export everything to ensure tree-shaking doesn't remove
 export { AdlMidi, AdlMidiCore };
 export { encodeInstrument, decodeInstrument, defaultInstrument };
+export { BankLibrary, parseBankManifest };
 
 // Simple runtime validation function
 export async function validateImports() {
@@ -42,5 +46,13 @@ export async function validateImports() {
         throw new Error('decodeInstrument() failed');
     }
 
+    // Check bank library
+    if (typeof BankLibrary !== 'function') {
+        throw new Error('BankLibrary is not a function');
+    }
+    if (parseBankManifest({ dmx: ['dmx/GENMIDI.wopl'] })[0]?.banks[0]?.name !== 'GENMIDI') {
+        throw new Error('parseBankManifest() failed');
+    }
+
     return { success: true };
 }
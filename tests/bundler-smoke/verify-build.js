@@ -41,6 +41,18 @@ if (!bundleContent.includes('encodeInstrument') || !bundleContent.includes('deco
 }
 console.log('✓ Bundle contains struct utilities');
 
+// Should contain the bank library, without Node built-ins that break browser builds
+if (!bundleContent.includes('BankLibrary')) {
+    console.error('❌ Bundle does not contain BankLibrary');
+    process.exit(1);
+}
+const nodeImport = /\bfrom\s*['"](node:)?(fs|fs\/promises|path|os|url)['"]|import\(\s*['"](node:)?(fs|fs\/promises|path|os|url)['"]\s*\)/.exec(bundleContent);
+if (nodeImport) {
+    console.error('❌ Bundle imports a Node built-in:', nodeImport[0]);
+    process.exit(1);
+}
+console.log('✓ Bundle contains BankLibrary without Node built-ins');
+
 // Should have import.meta.url pattern preserved or resolved
 if (!bundleContent.includes('import.meta.url') && !bundleContent.includes('new URL')) {
     console.warn('⚠ Bundle may not correctly handle asset URLs (expected import.meta.url or new URL)');
@@ -71,6 +83,11 @@ try {
     }
 
     console.log('✓ Struct utilities work correctly');
+
+    if (typeof bundle.BankLibrary !== 'function' || typeof bundle.parseBankManifest !== 'function') {
+        throw new Error('BankLibrary not exported');
+    }
+    console.log('✓ BankLibrary exported');
 } catch (err) {
     console.error('❌ Failed to validate bundle exports:', err.message);
     process.exit(1);
@@ -0,0 +1,180 @@
+/**
+ * Tests for the AdlMidi request/reply protocol, against a fake processor port
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AdlMidi, AdlMidiTimeoutError } from '../../src/libadlmidi.js';
+import { defaultInstrument, serializeWopl } from '../../src/utils/struct.js';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Stand-in for the AudioWorkletNode: records the messages sent to the
+ * processor and lets the test answer them in any order.
+ */
+class FakeWorkletNode {
+    constructor() {
+        /** @type {any[]} */
+        this.sent = [];
+        this.port = {
+            /** @type {((e: {data: any}) => void) | null} */
+            onmessage: null,
+            /** @param {any} msg */
+            postMessage: (msg) => this.sent.push(msg),
+        };
+        FakeWorkletNode.last = this;
+        // The processor announces itself once the node exists
+        setTimeout(() => this.reply({ type: 'ready' }));
+    }
+
+    /** @param {any} msg */
+    reply(msg) {
+        this.port.onmessage?.({ data: msg });
+    }
+
+    connect() {}
+
+    disconnect() {}
+}
+/** @type {FakeWorkletNode | null} */
+FakeWorkletNode.last = null;
+
+function fakeContext() {
+    return /** @type {any} */ ({
+        state: 'running',
+        sampleRate: 44100,
+        destination: {},
+        audioWorklet: { addModule: async () => {} },
+    });
+}
+
+/** Let posted messages and promise callbacks run */
+const flush = () => new Promise(resolve => setTimeout(resolve));
+
+describe('AdlMidi request replies', () => {
+    /** @type {AdlMidi} */
+    let synth;
+    /** @type {FakeWorkletNode} */
+    let node;
+
+    beforeEach(async () => {
+        vi.stubGlobal('AudioWorkletNode', FakeWorkletNode);
+        vi.stubGlobal('fetch', async () => ({ ok: true, arrayBuffer: async () => new ArrayBuffer(0) }));
+
+        synth = new AdlMidi(fakeContext(), { requestTimeout: 50 });
+        await synth.init('/fake.processor.js');
+        node = /** @type {FakeWorkletNode} */ (FakeWorkletNode.last);
+    });
+
+    afterEach(() => {
+        synth.close();
+        vi.unstubAllGlobals();
+    });
+
+    it('should resolve overlapping requests with their own replies', async () => {
+        const bankId = { percussive: false, msb: 0, lsb: 0 };
+        const first = synth.getInstrument(bankId, 1);
+        const second = synth.getInstrument(bankId, 2);
+        const banks = synth.listBanks();
+        await flush();
+
+        const [a, b, c] = node.sent;
+        expect(new Set([a.id, b.id, c.id]).size).toBe(3);
+
+        // Answer in reverse order, with the same reply type for both instruments
+        node.reply({ type: 'banks', id: c.id, success: true, banks: ['c'] });
+        node.reply({ type: 'instrument', id: b.id, success: true, instrument: { name: 'second' } });
+        node.reply({ type: 'instrument', id: a.id, success: true, instrument: { name: 'first' } });
+
+        expect(await first).toEqual({ name: 'first' });
+        expect(await second).toEqual({ name: 'second' });
+        expect(await banks).toEqual(['c']);
+    });
+
+    it('should ignore replies to unknown requests', async () => {
+        const pending = synth.getNumChips();
+        await flush();
+
+        node.reply({ type: 'numChips', id: 9999, chips: 1 });
+        node.reply({ type: 'numChips', id: node.sent[0].id, chips: 4 });
+
+        expect(await pending).toBe(4);
+    });
+
+    it('should reject with AdlMidiTimeoutError when the processor never answers', async () => {
+        const error = await synth.getEmulatorName().catch(e => e);
+
+        expect(error).toBeInstanceOf(AdlMidiTimeoutError);
+        expect(error.requestType).toBe('getEmulatorName');
+        expect(error.timeout).toBe(50);
+
+        // A late reply after the timeout is dropped without effect
+        node.reply({ type: 'emulatorName', id: node.sent[0].id, name: 'Nuked' });
+    });
+
+    it('should read bank names before sending a bank to the processor', async () => {
+        const wopl = serializeWopl({
+            deepTremolo: false,
+            deepVibrato: false,
+            volumeModel: 0,
+            melodic: [{ name: 'Custom', msb: 0, lsb: 0, instruments: [{ ...defaultInstrument(), name: 'Lead' }] }],
+            percussion: [],
+        });
+        const loaded = synth.loadBank(wopl.slice().buffer);
+        await flush();
+
+        const [request] = node.sent;
+        expect(request.type).toBe('loadBank');
+        expect(request.names.get('0:0:0')).toMatchObject({ name: 'Custom' });
+        node.reply({ type: 'bankLoaded', id: request.id, success: true });
+        await loaded;
+
+        // Data the names can't be read from is still left to the processor
+        const rejected = synth.loadBank(new ArrayBuffer(64));
+        await flush();
+        expect(node.sent[1].names.size).toBe(0);
+        node.reply({ type: 'bankLoaded', id: node.sent[1].id, success: false, error: 'Failed to load bank data' });
+        await expect(rejected).rejects.toThrow('Failed to load bank data');
+    });
+
+    it('should read the tempo map and track names before sending a MIDI file', async () => {
+        const midi = readFileSync(join(process.cwd(), 'test-files', 'tracks.mid'));
+        const loaded = synth.loadMidi(midi.buffer.slice(midi.byteOffset, midi.byteOffset + midi.length));
+        await flush();
+
+        const [request] = node.sent;
+        expect(request.type).toBe('loadMidi');
+        expect(request.trackNames).toEqual(['Conductor', 'Piano', 'Bass', 'Drums']);
+        const info = { title: '', copyright: '', trackTitles: [], markers: [], loopStart: null, loopEnd: null };
+        node.reply({ type: 'midiLoaded', id: request.id, success: true, duration: 5, songs: [], info });
+
+        const { info: loadedInfo } = await loaded;
+        expect(loadedInfo.tempoChanges).toEqual([{ tick: 0, time: 0, microsecondsPerQuarter: 500000, bpm: 120 }]);
+
+        // The file's tempo map carries over to its other songs
+        const selected = synth.selectSong(0);
+        await flush();
+        node.reply({ type: 'songSelected', id: node.sent[1].id, success: true, duration: 5, info });
+        expect((await selected).info.tempoChanges).toEqual(loadedInfo.tempoChanges);
+    });
+
+    it('should send other formats without track names or a tempo map', async () => {
+        const imf = readFileSync(join(process.cwd(), 'test-files', 'mamsnake.imf'));
+        const loaded = synth.loadMidi(imf.buffer.slice(imf.byteOffset, imf.byteOffset + imf.length));
+        await flush();
+
+        const [request] = node.sent;
+        expect(request.trackNames).toEqual([]);
+        const info = { title: '', copyright: '', trackTitles: [], markers: [], loopStart: null, loopEnd: null };
+        node.reply({ type: 'midiLoaded', id: request.id, success: true, duration: 5, songs: [], info });
+        expect((await loaded).info.tempoChanges).toEqual([]);
+    });
+
+    it('should reject pending requests on close', async () => {
+        const pending = synth.getVersion();
+        await flush();
+        synth.close();
+
+        await expect(pending).rejects.toThrow('AdlMidi closed before the request completed');
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for bank diff and merge
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffBanks, mergeBanks } from '../../src/utils/bankdiff.js';
+import { buildWoplBank } from '../../src/utils/bankformats.js';
+import { defaultInstrument, parseWopl, serializeWopl, WoplVolumeModel } from '../../src/utils/struct.js';
+
+/**
+ * A non-blank instrument
+ * @param {string} name
+ * @param {number} [feedback]
+ */
+function instrument(name, feedback = 0) {
+    const inst = { ...defaultInstrument(), isBlank: false, name, feedback1: feedback };
+    delete inst.version;
+    return inst;
+}
+
+/** Bank with a piano on program 0 and a kick on key 36 */
+function baseBank() {
+    const percussion = [];
+    percussion[36] = instrument('Kick');
+    return buildWoplBank({ name: 'Base', melodic: [instrument('Piano', 3)], percussion });
+}
+
+describe('diffBanks', () => {
+    it('should report no differences for equal banks', () => {
+        expect(diffBanks(baseBank(), baseBank())).toEqual({ settings: [], sets: [], instruments: [] });
+    });
+
+    it('should report changed fields by decodeInstrument name', () => {
+        const b = baseBank();
+        b.melodic[0].instruments[0].feedback1 = 5;
+        b.melodic[0].instruments[0].operators[1].attack = 9;
+
+        const diff = diffBanks(baseBank(), b);
+
+        expect(diff.instruments).toEqual([{
+            type: 'changed',
+            percussive: false, msb: 0, lsb: 0, program: 0,
+            name: 'Piano',
+            changes: [
+                { field: 'feedback1', from: 3, to: 5 },
+                { field: 'operators[1].attack', from: 15, to: 9 },
+            ],
+        }]);
+    });
+
+    it('should report added and removed instruments', () => {
+        const b = baseBank();
+        b.melodic[0].instruments[1] = instrument('Organ');
+        b.percussion[0].instruments[36].isBlank = true;
+
+        const diff = diffBanks(baseBank(), b);
+
+        expect(diff.instruments.map(i => [i.type, i.percussive, i.program, i.name])).toEqual([
+            ['added', false, 1, 'Organ'],
+            ['removed', true, 36, 'Kick'],
+        ]);
+    });
+
+    it('should report bank settings and sets', () => {
+        const b = baseBank();
+        b.deepVibrato = true;
+        b.volumeModel = WoplVolumeModel.DMX;
+        b.melodic[0].name = 'Renamed';
+        b.melodic.push({ ...baseBank().melodic[0], name: 'Variation', msb: 1 });
+
+        const diff = diffBanks(baseBank(), b);
+
+        expect(diff.settings).toEqual([
+            { field: 'deepVibrato', from: false, to: true },
+            { field: 'volumeModel', from: WoplVolumeModel.GENERIC, to: WoplVolumeModel.DMX },
+        ]);
+        expect(diff.sets).toEqual([
+            { type: 'changed', percussive: false, msb: 0, lsb: 0, name: 'Renamed', changes: [{ field: 'name', from: 'Base', to: 'Renamed' }] },
+            { type: 'added', percussive: false, msb: 1, lsb: 0, name: 'Variation', changes: [] },
+        ]);
+        // The new set's instruments are all new
+        expect(diff.instruments).toEqual([
+            expect.objectContaining({ type: 'added', msb: 1, program: 0, name: 'Piano' }),
+        ]);
+    });
+
+    it('should accept WOPL data', () => {
+        const b = baseBank();
+        b.melodic[0].instruments[0].noteOffset1 = 12;
+
+        const diff = diffBanks(serializeWopl(baseBank()), serializeWopl(b).buffer);
+
+        expect(diff.instruments[0].changes).toEqual([{ field: 'noteOffset1', from: 0, to: 12 }]);
+    });
+});
+
+describe('mergeBanks', () => {
+    /** Overlay with a new organ, a changed piano and a snare */
+    function overlayBank() {
+        const percussion = [];
+        percussion[38] = instrument('Snare');
+        const bank = buildWoplBank({ name: 'Overlay', melodic: [instrument('New Piano', 7), instrument('Organ')], percussion });
+        bank.deepTremolo = true;
+        return bank;
+    }
+
+    it('should lay non-blank overlay instruments over the base', () => {
+        const merged = mergeBanks(baseBank(), overlayBank());
+        const melodic = merged.melodic[0].instruments;
+        const percussion = merged.percussion[0].instruments;
+
+        expect(melodic[0].name).toBe('New Piano');
+        expect(melodic[1].name).toBe('Organ');
+        expect(melodic[2].isBlank).toBe(true);
+        expect(percussion[36].name).toBe('Kick');
+        expect(percussion[38].name).toBe('Snare');
+        expect(merged.melodic[0].name).toBe('Base');
+        expect(merged.deepTremolo).toBe(false);
+    });
+
+    it('should not modify its inputs', () => {
+        const base = baseBank();
+        const overlay = overlayBank();
+        const merged = mergeBanks(base, overlay);
+        merged.melodic[0].instruments[0].operators[0].attack = 3;
+
+        expect(base).toEqual(baseBank());
+        expect(overlay).toEqual(overlayBank());
+    });
+
+    it('should take only the chosen set kinds', () => {
+        const merged = mergeBanks(baseBank(), overlayBank(), { melodic: false });
+
+        expect(merged.melodic[0].instruments[0].name).toBe('Piano');
+        expect(merged.percussion[0].instruments[38].name).toBe('Snare');
+    });
+
+    it('should replace whole sets when asked', () => {
+        const merged = mergeBanks(baseBank(), overlayBank(), { replaceSets: true, settings: 'overlay' });
+
+        expect(merged.melodic[0].name).toBe('Overlay');
+        expect(merged.percussion[0].instruments[36].isBlank).toBe(true);
+        expect(merged.deepTremolo).toBe(true);
+    });
+
+    it('should remap and skip overlay sets', () => {
+        const merged = mergeBanks(baseBank(), overlayBank(), {
+            remap: ({ percussive, msb, lsb }) => (percussive ? null : { msb: msb + 1, lsb }),
+        });
+
+        expect(merged.melodic.map(set => [set.msb, set.name])).toEqual([[0, 'Base'], [1, 'Overlay']]);
+        expect(merged.melodic[0].instruments[0].name).toBe('Piano');
+        expect(merged.percussion[0].instruments[38].isBlank).toBe(true);
+    });
+
+    it('should produce a bank that serializes and diffs cleanly', () => {
+        const merged = mergeBanks(serializeWopl(baseBank()), serializeWopl(overlayBank()));
+        const roundTrip = parseWopl(serializeWopl(merged));
+
+        expect(diffBanks(merged, roundTrip)).toEqual({ settings: [], sets: [], instruments: [] });
+        expect(diffBanks(baseBank(), merged).instruments.map(i => [i.type, i.program])).toEqual([
+            ['changed', 0],
+            ['added', 1],
+            ['added', 38],
+        ]);
+    });
+});
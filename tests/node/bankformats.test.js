@@ -0,0 +1,366 @@
+/**
+ * Tests for the legacy bank format importers
+ *
+ * The fixtures are built byte by byte from the format layouts.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    importOp2,
+    importBnk,
+    importIbk,
+    importSbi,
+    importTmb,
+    importAil,
+    importBank,
+    buildWoplBank,
+} from '../../src/utils/bankformats.js';
+import { parseWopl, serializeWopl, WoplVolumeModel } from '../../src/utils/struct.js';
+
+/** Register values shared by the fixtures: 0x20, 0x40, 0x60, 0x80, 0xE0 */
+const MOD_REGS = [0x21, 0x90, 0xF4, 0x26, 0x01];
+const CAR_REGS = [0xC2, 0x45, 0xA3, 0x57, 0x02];
+
+/** MOD_REGS decoded */
+const MODULATOR = {
+    am: false, vibrato: false, sustaining: true, ksr: false, freqMult: 1,
+    keyScaleLevel: 2, totalLevel: 16, attack: 15, decay: 4, sustain: 2, release: 6, waveform: 1,
+};
+
+/** CAR_REGS decoded */
+const CARRIER = {
+    am: true, vibrato: true, sustaining: false, ksr: false, freqMult: 2,
+    keyScaleLevel: 1, totalLevel: 5, attack: 10, decay: 3, sustain: 5, release: 7, waveform: 2,
+};
+
+function writeAscii(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) bytes[offset + i] = text.charCodeAt(i);
+}
+
+/** 16-byte SBI/IBK register block */
+function sbiRegisters({ fbConn = 0x0B, rhythmVoice = 0, transpose = 0, key = 0 } = {}) {
+    const r = new Uint8Array(16);
+    for (let i = 0; i < 5; i++) {
+        r[i * 2] = MOD_REGS[i];
+        r[i * 2 + 1] = CAR_REGS[i];
+    }
+    r[10] = fbConn;
+    r[11] = rhythmVoice;
+    r[12] = transpose & 0xFF;
+    r[13] = key;
+    return r;
+}
+
+describe('DMX OP2', () => {
+    function makeOp2() {
+        const bytes = new Uint8Array(8 + 175 * 36 + 175 * 32);
+        const view = new DataView(bytes.buffer);
+        writeAscii(bytes, 0, '#OPL_II#');
+
+        const writeVoice = (offset, noteOffset, fbConn) => {
+            // Modulator: 0x20, 0x60, 0x80, 0xE0, scale, level
+            bytes.set([MOD_REGS[0], MOD_REGS[2], MOD_REGS[3], MOD_REGS[4], MOD_REGS[1] & 0xC0, MOD_REGS[1] & 0x3F], offset);
+            bytes[offset + 6] = fbConn;
+            bytes.set([CAR_REGS[0], CAR_REGS[2], CAR_REGS[3], CAR_REGS[4], CAR_REGS[1] & 0xC0, CAR_REGS[1] & 0x3F], offset + 7);
+            view.setInt16(offset + 14, noteOffset, true);
+        };
+        const names = 8 + 175 * 36;
+
+        // Program 0: single voice
+        writeVoice(8 + 4, -12, 0x0E);
+        writeAscii(bytes, names, 'Acoustic Grand Piano');
+
+        // Program 1: double voice, fine tune 130
+        const inst1 = 8 + 36;
+        view.setUint16(inst1, 0x0004, true);
+        bytes[inst1 + 2] = 130;
+        writeVoice(inst1 + 4, 0, 0x0E);
+        writeVoice(inst1 + 20, 12, 0x01);
+
+        // First percussion instrument (key 35): fixed pitch
+        const drum = 8 + 128 * 36;
+        view.setUint16(drum, 0x0001, true);
+        bytes[drum + 3] = 36;
+        writeVoice(drum + 4, 0, 0x00);
+        writeAscii(bytes, names + 128 * 32, 'Acoustic Bass Drum');
+
+        return bytes;
+    }
+
+    it('should import melodic instruments', () => {
+        const bank = importOp2(makeOp2());
+        const piano = bank.melodic[0].instruments[0];
+
+        expect(bank.volumeModel).toBe(WoplVolumeModel.DMX);
+        expect(piano.name).toBe('Acoustic Grand Piano');
+        expect(piano.isBlank).toBe(false);
+        expect(piano.noteOffset1).toBe(-12);
+        expect(piano.feedback1).toBe(7);
+        expect(piano.connection1).toBe(0);
+        expect(piano.operators[0]).toEqual(CARRIER);
+        expect(piano.operators[1]).toEqual(MODULATOR);
+        expect(piano.is4op).toBe(false);
+    });
+
+    it('should import double-voice instruments as pseudo 4-op', () => {
+        const inst = importOp2(makeOp2()).melodic[0].instruments[1];
+
+        expect(inst.is4op).toBe(true);
+        expect(inst.isPseudo4op).toBe(true);
+        expect(inst.secondVoiceDetune).toBe(2);
+        expect(inst.noteOffset2).toBe(12);
+        expect(inst.connection2).toBe(1);
+        expect(inst.operators[2]).toEqual(CARRIER);
+        expect(inst.operators[3]).toEqual(MODULATOR);
+    });
+
+    it('should place percussion on keys 35-81', () => {
+        const bank = importOp2(makeOp2());
+        const percussion = bank.percussion[0].instruments;
+
+        expect(percussion[34].isBlank).toBe(true);
+        expect(percussion[35].name).toBe('Acoustic Bass Drum');
+        expect(percussion[35].percussionKey).toBe(36);
+        expect(percussion[81].isBlank).toBe(false);
+        expect(percussion[82].isBlank).toBe(true);
+    });
+
+    it('should survive a WOPL roundtrip', () => {
+        const bank = importOp2(makeOp2());
+        const parsed = parseWopl(serializeWopl(bank));
+        expect(parsed.melodic[0].instruments[1].operators).toEqual(bank.melodic[0].instruments[1].operators);
+        expect(parsed.percussion[0].instruments[35].name).toBe('Acoustic Bass Drum');
+    });
+
+    it('should reject other data', () => {
+        expect(() => importOp2(new Uint8Array(100))).toThrow('Not a DMX OP2 bank');
+    });
+});
+
+describe('AdLib BNK', () => {
+    function makeBnk() {
+        const bytes = new Uint8Array(64 + 3 * 30);
+        const view = new DataView(bytes.buffer);
+        bytes[0] = 1;
+        writeAscii(bytes, 2, 'ADLIB-');
+        view.setUint16(8, 2, true);
+        view.setUint16(10, 3, true);
+        view.setUint32(12, 28, true);
+        view.setUint32(16, 64, true);
+
+        const names = [['PIANO1', 1, 0], ['DELETED', 0, 1], ['SNARE', 1, 2]];
+        names.forEach(([name, used, index], i) => {
+            view.setUint16(28 + i * 12, index, true);
+            bytes[28 + i * 12 + 2] = used;
+            writeAscii(bytes, 28 + i * 12 + 3, name);
+        });
+
+        // KSL, MULTI, FB, AR, SL, EG, DR, RR, TL, AM, VIB, KSR, CON
+        const modulator = [2, 1, 7, 15, 2, 1, 4, 6, 16, 0, 0, 0, 1];
+        const carrier = [1, 2, 0, 10, 5, 0, 3, 7, 5, 1, 1, 0, 0];
+        for (let i = 0; i < 3; i++) {
+            const offset = 64 + i * 30;
+            bytes.set(modulator, offset + 2);
+            bytes.set(carrier, offset + 15);
+            bytes[offset + 28] = 1;
+            bytes[offset + 29] = 2;
+        }
+        // SNARE is the rhythm mode snare drum voice
+        bytes[64 + 2 * 30] = 1;
+        bytes[64 + 2 * 30 + 1] = 7;
+        return bytes;
+    }
+
+    it('should import used instruments in order', () => {
+        const instruments = importBnk(makeBnk());
+
+        expect(instruments.map(i => i.name)).toEqual(['PIANO1', 'SNARE']);
+        expect(instruments[0].operators[0]).toEqual(CARRIER);
+        expect(instruments[0].operators[1]).toEqual(MODULATOR);
+        expect(instruments[0].feedback1).toBe(7);
+        // CON = 1 is FM synthesis
+        expect(instruments[0].connection1).toBe(0);
+        expect(instruments[0].rhythmMode).toBe(0);
+        expect(instruments[1].rhythmMode).toBe(2);
+    });
+
+    it('should reject other data', () => {
+        expect(() => importBnk(new Uint8Array(100))).toThrow('Not an AdLib BNK bank');
+    });
+});
+
+describe('Creative IBK/SBI', () => {
+    it('should import an IBK bank', () => {
+        const bytes = new Uint8Array(4 + 128 * 16 + 128 * 9);
+        writeAscii(bytes, 0, 'IBK\x1A');
+        bytes.set(sbiRegisters(), 4);
+        bytes.set(sbiRegisters({ rhythmVoice: 6, transpose: -3, key: 38 }), 4 + 5 * 16);
+        writeAscii(bytes, 4 + 128 * 16, 'BRASS1');
+
+        const instruments = importIbk(bytes);
+
+        expect(instruments).toHaveLength(128);
+        expect(instruments[0].name).toBe('BRASS1');
+        expect(instruments[0].operators[0]).toEqual(CARRIER);
+        expect(instruments[0].operators[1]).toEqual(MODULATOR);
+        expect(instruments[0].feedback1).toBe(5);
+        expect(instruments[0].connection1).toBe(1);
+        expect(instruments[5].rhythmMode).toBe(1);
+        expect(instruments[5].noteOffset1).toBe(-3);
+        expect(instruments[5].percussionKey).toBe(38);
+    });
+
+    it('should import an SBI instrument', () => {
+        const bytes = new Uint8Array(4 + 32 + 16);
+        writeAscii(bytes, 0, 'SBI\x1A');
+        writeAscii(bytes, 4, 'Organ');
+        bytes.set(sbiRegisters(), 36);
+
+        const inst = importSbi(bytes);
+        expect(inst.name).toBe('Organ');
+        expect(inst.isBlank).toBe(false);
+        expect(inst.operators[1]).toEqual(MODULATOR);
+    });
+
+    it('should reject other data', () => {
+        expect(() => importIbk(new Uint8Array(10))).toThrow('Not a Creative IBK bank');
+        expect(() => importSbi(new Uint8Array(10))).toThrow('Not a Creative SBI instrument');
+    });
+});
+
+describe('Apogee TMB', () => {
+    function makeTmb() {
+        const bytes = new Uint8Array(256 * 13);
+        const write = (index, byte11, byte12) => {
+            const offset = index * 13;
+            bytes.set(sbiRegisters().subarray(0, 11), offset);
+            bytes[offset + 11] = byte11 & 0xFF;
+            bytes[offset + 12] = byte12 & 0xFF;
+        };
+        write(0, -12, 5);
+        write(128 + 36, 40, -2);
+        return bytes;
+    }
+
+    it('should import melodic and percussion instruments', () => {
+        const bank = importTmb(makeTmb());
+        const piano = bank.melodic[0].instruments[0];
+        const kick = bank.percussion[0].instruments[36];
+
+        expect(bank.volumeModel).toBe(WoplVolumeModel.APOGEE);
+        expect(piano.operators[1]).toEqual(MODULATOR);
+        expect(piano.noteOffset1).toBe(-12);
+        expect(piano.velocityOffset).toBe(5);
+        expect(kick.percussionKey).toBe(40);
+        expect(kick.noteOffset1).toBe(0);
+        expect(kick.velocityOffset).toBe(-2);
+    });
+
+    it('should reject short data', () => {
+        expect(() => importTmb(new Uint8Array(100))).toThrow('Not an Apogee TMB bank');
+    });
+});
+
+describe('Miles AIL', () => {
+    function makeAil() {
+        const timbre2op = (transpose) => {
+            const t = new Uint8Array(14);
+            t[0] = 14;
+            t[2] = transpose & 0xFF;
+            t.set(MOD_REGS, 3);
+            t[8] = 0x0B;
+            t.set(CAR_REGS, 9);
+            return t;
+        };
+        const timbre4op = () => {
+            const t = new Uint8Array(25);
+            t.set(timbre2op(0));
+            t[0] = 25;
+            t.set(CAR_REGS, 14);
+            t[19] = 0x01;
+            t.set(MOD_REGS, 20);
+            return t;
+        };
+
+        const directory = [[0, 0], [36, 127], [5, 1]];
+        const timbres = [timbre2op(-5), timbre2op(35), timbre4op()];
+        const dirSize = directory.length * 6 + 2;
+        const size = dirSize + timbres.reduce((n, t) => n + t.length, 0);
+        const bytes = new Uint8Array(size);
+        const view = new DataView(bytes.buffer);
+
+        let offset = dirSize;
+        directory.forEach(([program, bank], i) => {
+            bytes[i * 6] = program;
+            bytes[i * 6 + 1] = bank;
+            view.setUint32(i * 6 + 2, offset, true);
+            bytes.set(timbres[i], offset);
+            offset += timbres[i].length;
+        });
+        bytes[directory.length * 6] = 0xFF;
+        bytes[directory.length * 6 + 1] = 0xFF;
+        return bytes;
+    }
+
+    it('should import melodic, percussion and extra banks', () => {
+        const bank = importAil(makeAil());
+
+        expect(bank.volumeModel).toBe(WoplVolumeModel.AIL);
+        expect(bank.melodic.map(b => b.msb)).toEqual([0, 1]);
+
+        const piano = bank.melodic[0].instruments[0];
+        expect(piano.noteOffset1).toBe(-5);
+        expect(piano.operators[0]).toEqual(CARRIER);
+        expect(piano.operators[1]).toEqual(MODULATOR);
+        expect(piano.feedback1).toBe(5);
+
+        expect(bank.percussion[0].instruments[36].percussionKey).toBe(35);
+        expect(bank.percussion[0].instruments[36].noteOffset1).toBe(0);
+    });
+
+    it('should import 4-op timbres', () => {
+        const inst = importAil(makeAil()).melodic[1].instruments[5];
+
+        expect(inst.is4op).toBe(true);
+        expect(inst.isPseudo4op).toBe(false);
+        expect(inst.connection2).toBe(1);
+        expect(inst.operators[2]).toEqual(MODULATOR);
+        expect(inst.operators[3]).toEqual(CARRIER);
+    });
+
+    it('should reject other data', () => {
+        expect(() => importAil(new Uint8Array(100).fill(0xAA))).toThrow('Not an AIL global timbre library');
+    });
+});
+
+describe('Bank building', () => {
+    it('should fill gaps with blank instruments', () => {
+        const inst = importSbi(Uint8Array.from([...'SBI\x1A'].map(c => c.charCodeAt(0)).concat(new Array(48).fill(0))));
+        const bank = buildWoplBank({ melodic: [null, inst], name: 'Custom', deepVibrato: true });
+
+        expect(bank.deepVibrato).toBe(true);
+        expect(bank.melodic).toHaveLength(1);
+        expect(bank.percussion).toHaveLength(1);
+        expect(bank.melodic[0].name).toBe('Custom');
+        expect(bank.melodic[0].instruments[0].isBlank).toBe(true);
+        expect(bank.melodic[0].instruments[1]).toBe(inst);
+        expect(bank.percussion[0].instruments.every(i => i.isBlank)).toBe(true);
+    });
+
+    it('should reject more than 128 instruments', () => {
+        expect(() => buildWoplBank({ melodic: new Array(129) })).toThrow('at most 128');
+    });
+
+    it('should detect formats', () => {
+        const sbi = new Uint8Array(52);
+        writeAscii(sbi, 0, 'SBI\x1A');
+        writeAscii(sbi, 4, 'Lead');
+        expect(importBank(sbi).melodic[0].instruments[0].name).toBe('Lead');
+
+        const wopl = serializeWopl(buildWoplBank({ name: 'Round trip' }));
+        expect(importBank(wopl).melodic[0].name).toBe('Round trip');
+
+        expect(importBank(new Uint8Array(256 * 13)).volumeModel).toBe(WoplVolumeModel.APOGEE);
+        expect(() => importBank(new Uint8Array(100).fill(0xAA))).toThrow('Unrecognized bank format');
+    });
+});
@@ -0,0 +1,222 @@
+/**
+ * Tests for the bank manifest loader
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { BankLibrary as BrowserBankLibrary } from '../../src/utils/banklibrary.js';
+import { BankLibrary, parseBankManifest } from '../../src/utils/banklibrary.node.js';
+
+const MANIFEST = {
+    generated: '2024-01-01T00:00:00.000Z',
+    categories: {
+        wopl: {
+            description: 'General WOPL banks',
+            banks: [{ name: 'Shared', file: 'Shared.wopl', size: 3 }],
+        },
+        dmx: {
+            description: 'DMX (Doom) banks',
+            banks: [
+                { name: 'Doom', file: 'Doom.wopl', size: 3 },
+                { name: 'Shared', file: 'Shared.wopl', size: 3 },
+            ],
+        },
+    },
+};
+
+describe('Bank Manifest', () => {
+    it('should read the copy-banks layout', () => {
+        const categories = parseBankManifest(MANIFEST);
+
+        expect(categories.map((c) => c.id)).toEqual(['dmx', 'wopl']);
+        expect(categories[0].description).toBe('DMX (Doom) banks');
+        expect(categories[0].banks[0]).toEqual({ category: 'dmx', name: 'Doom', path: 'dmx/Doom.wopl', size: 3 });
+    });
+
+    it('should read the flat gen-bank-manifest layout', () => {
+        const categories = parseBankManifest({ hmi: ['hmi/sub/Bank.wopl'] });
+
+        expect(categories).toEqual([{
+            id: 'hmi',
+            description: '',
+            banks: [{ category: 'hmi', name: 'Bank', path: 'hmi/sub/Bank.wopl' }],
+        }]);
+    });
+
+    it('should reject malformed manifests', () => {
+        expect(() => parseBankManifest(null)).toThrow('Invalid bank manifest');
+        expect(() => parseBankManifest({ categories: { dmx: {} } })).toThrow('category dmx has no bank list');
+        expect(() => parseBankManifest({ dmx: 'dmx/Doom.wopl' })).toThrow('category dmx has no bank list');
+    });
+});
+
+describe('BankLibrary', () => {
+    /** @type {string} */
+    let root;
+
+    beforeEach(() => {
+        root = mkdtempSync(join(tmpdir(), 'banklibrary-'));
+        writeFileSync(join(root, 'manifest.json'), JSON.stringify(MANIFEST));
+        mkdirSync(join(root, 'dmx'));
+        mkdirSync(join(root, 'wopl'));
+        writeFileSync(join(root, 'dmx', 'Doom.wopl'), new Uint8Array([1, 2, 3]));
+        writeFileSync(join(root, 'dmx', 'Shared.wopl'), new Uint8Array([4, 5, 6]));
+        writeFileSync(join(root, 'wopl', 'Shared.wopl'), new Uint8Array([7, 8, 9]));
+    });
+
+    afterEach(() => {
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should list banks by category', async () => {
+        const library = new BankLibrary({ baseUrl: root });
+        expect(() => library.list()).toThrow('Call load() first');
+
+        await library.load();
+        expect(library.categories().map((c) => c.id)).toEqual(['dmx', 'wopl']);
+        expect(library.list('dmx').map((b) => b.name)).toEqual(['Doom', 'Shared']);
+        expect(library.list('hmi')).toEqual([]);
+        expect(library.list()).toHaveLength(3);
+    });
+
+    it('should find banks by qualified or bare name', async () => {
+        const library = new BankLibrary({ baseUrl: root });
+        await library.load();
+
+        expect(library.find('wopl/Shared')?.path).toBe('wopl/Shared.wopl');
+        // Bare names pick the first category by ID
+        expect(library.find('Shared')?.path).toBe('dmx/Shared.wopl');
+        expect(library.find('Missing')).toBeNull();
+    });
+
+    it('should read banks from a local directory', async () => {
+        const library = new BankLibrary({ baseUrl: root });
+
+        expect(await library.fetchBank('dmx/Doom')).toEqual(new Uint8Array([1, 2, 3]));
+        expect(await library.fetchBank(library.list('wopl')[0])).toEqual(new Uint8Array([7, 8, 9]));
+        await expect(library.fetchBank('Missing')).rejects.toThrow('Unknown bank: Missing');
+    });
+
+    it('should return a fresh copy on each fetch', async () => {
+        const library = new BankLibrary({ baseUrl: root });
+        const first = await library.fetchBank('Doom');
+        first[0] = 0xFF;
+
+        expect((await library.fetchBank('Doom'))[0]).toBe(1);
+    });
+
+    describe('remote banks', () => {
+        /** @type {string} */
+        let cacheDir;
+        /** @type {string[]} */
+        let requests;
+
+        /** @type {typeof fetch} */
+        const fakeFetch = async (input) => {
+            const url = String(input);
+            requests.push(url);
+            const file = join(root, url.slice('https://example.com/banks/'.length));
+            try {
+                const { readFileSync } = await import('fs');
+                return new Response(readFileSync(file));
+            } catch {
+                return new Response(null, { status: 404 });
+            }
+        };
+
+        beforeEach(() => {
+            cacheDir = join(root, 'cache');
+            requests = [];
+        });
+
+        it('should fetch each bank once per library', async () => {
+            const library = new BankLibrary({ baseUrl: 'https://example.com/banks/', fetch: fakeFetch, cacheDir });
+
+            await Promise.all([library.fetchBank('Doom'), library.fetchBank('dmx/Doom')]);
+            await library.fetchBank('Doom');
+
+            expect(requests).toEqual([
+                'https://example.com/banks/manifest.json',
+                'https://example.com/banks/dmx/Doom.wopl',
+            ]);
+        });
+
+        it('should reuse the cache directory across libraries', async () => {
+            const options = { baseUrl: 'https://example.com/banks', fetch: fakeFetch, cacheDir };
+            await new BankLibrary(options).fetchBank('Doom');
+            requests = [];
+
+            const data = await new BankLibrary(options).fetchBank('Doom');
+
+            expect(data).toEqual(new Uint8Array([1, 2, 3]));
+            expect(requests).toEqual(['https://example.com/banks/manifest.json']);
+        });
+
+        it('should skip the cache when disabled', async () => {
+            const options = { baseUrl: 'https://example.com/banks', fetch: fakeFetch, cacheDir, cache: false };
+            await new BankLibrary(options).fetchBank('Doom');
+            await new BankLibrary(options).fetchBank('Doom');
+
+            expect(requests.filter((url) => url.endsWith('.wopl'))).toHaveLength(2);
+            expect(() => readdirSync(cacheDir)).toThrow();
+        });
+
+        it('should clear the cache', async () => {
+            const library = new BankLibrary({ baseUrl: 'https://example.com/banks', fetch: fakeFetch, cacheDir });
+            await library.fetchBank('Doom');
+            await library.clearCache();
+            await library.fetchBank('Doom');
+
+            expect(requests.filter((url) => url.endsWith('.wopl'))).toHaveLength(2);
+        });
+
+        it('should report failed fetches and allow a retry', async () => {
+            const library = new BankLibrary({ baseUrl: 'https://example.com/banks', fetch: fakeFetch, cacheDir });
+            await library.load();
+            rmSync(join(root, 'dmx', 'Doom.wopl'));
+
+            await expect(library.fetchBank('Doom')).rejects.toThrow('Failed to fetch https://example.com/banks/dmx/Doom.wopl: 404');
+
+            writeFileSync(join(root, 'dmx', 'Doom.wopl'), new Uint8Array([1, 2, 3]));
+            expect(await library.fetchBank('Doom')).toEqual(new Uint8Array([1, 2, 3]));
+        });
+    });
+
+    it('should fetch relative paths with the browser entry', async () => {
+        /** @type {string[]} */
+        const requests = [];
+        /** @type {typeof fetch} */
+        const fakeFetch = async (input) => {
+            requests.push(String(input));
+            const { readFileSync } = await import('fs');
+            return new Response(readFileSync(join(root, String(input).slice('/banks/'.length))));
+        };
+        const library = new BrowserBankLibrary({ baseUrl: '/banks', fetch: fakeFetch });
+
+        expect(await library.fetchBank('dmx/Doom')).toEqual(new Uint8Array([1, 2, 3]));
+        expect(requests).toEqual(['/banks/manifest.json', '/banks/dmx/Doom.wopl']);
+    });
+
+    describe('loadInto', () => {
+        it('should use loadBankData on AdlMidiCore', async () => {
+            const library = new BankLibrary({ baseUrl: root });
+            /** @type {Uint8Array[]} */
+            const loaded = [];
+            await library.loadInto({ loadBankData: (data) => loaded.push(data) > 0 }, 'Doom');
+
+            expect(loaded).toEqual([new Uint8Array([1, 2, 3])]);
+            await expect(library.loadInto({ loadBankData: () => false }, 'Doom')).rejects.toThrow('Failed to load bank: Doom');
+        });
+
+        it('should use loadBank on AdlMidi', async () => {
+            const library = new BankLibrary({ baseUrl: root });
+            /** @type {ArrayBuffer[]} */
+            const loaded = [];
+            await library.loadInto({ loadBank: async (data) => { loaded.push(data); } }, 'wopl/Shared');
+
+            expect(new Uint8Array(loaded[0])).toEqual(new Uint8Array([7, 8, 9]));
+        });
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for the bank bookkeeping shared by the processor and core
+ */
+
+import { describe, it, expect } from 'vitest';
+import { defaultInstrument, serializeWopl } from '../../src/utils/struct.js';
+import { bankKey, getEmbeddedBanks, readWoplNames, splitBankName } from '../../src/utils/banks.js';
+import { EMBEDDED_BANKS } from '../../src/utils/embeddedbanks.js';
+
+/**
+ * @param {string} name
+ * @param {number} msb
+ * @param {string[]} instrumentNames
+ */
+function makeSet(name, msb, instrumentNames) {
+    return {
+        name, msb, lsb: 0,
+        instruments: instrumentNames.map(instName => ({ ...defaultInstrument(), name: instName })),
+    };
+}
+
+describe('Bank Keys', () => {
+    it('should treat boolean and numeric percussive flags alike', () => {
+        expect(bankKey(true, 1, 2)).toBe(bankKey(1, 1, 2));
+        expect(bankKey(false, 1, 2)).toBe(bankKey(0, 1, 2));
+        expect(bankKey(true, 0, 0)).not.toBe(bankKey(false, 0, 0));
+    });
+});
+
+describe('WOPL Names', () => {
+    it('should key bank and instrument names by bank', () => {
+        const wopl = serializeWopl({
+            deepTremolo: false,
+            deepVibrato: false,
+            volumeModel: 0,
+            melodic: [makeSet('GM', 0, ['Piano']), makeSet('Variation', 1, ['Bright'])],
+            percussion: [makeSet('Drums', 0, [])],
+        });
+        const names = readWoplNames(wopl);
+
+        expect(names.get(bankKey(false, 1, 0))?.name).toBe('Variation');
+        expect(names.get(bankKey(false, 0, 0))?.instruments[0]).toBe('Piano');
+        expect(names.get(bankKey(true, 0, 0))?.name).toBe('Drums');
+        expect(names.get(bankKey(true, 0, 0))?.instruments).toHaveLength(128);
+    });
+
+    it('should reject data that is not a WOPL bank', () => {
+        expect(() => readWoplNames(new Uint8Array(64))).toThrow(/Not a WOPL bank/);
+    });
+});
+
+describe('Embedded Banks', () => {
+    it('should split driver and origin from bank names', () => {
+        expect(splitBankName('DMX (Doom 2)')).toEqual({ driver: 'DMX', origin: 'Doom 2', tags: [] });
+        expect(splitBankName('AIL (Warcraft (2op))')).toEqual({ driver: 'AIL', origin: 'Warcraft (2op)', tags: [] });
+        expect(splitBankName('Nuked OPL3')).toEqual({ driver: 'Nuked OPL3', origin: '', tags: [] });
+        expect(splitBankName('(Untitled)')).toEqual({ driver: '(Untitled)', origin: '', tags: [] });
+    });
+
+    it('should split tags from bank names', () => {
+        expect(splitBankName('HMI (Descent:: Int) :NON-GM:')).toEqual({ driver: 'HMI', origin: 'Descent:: Int', tags: ['NON-GM'] });
+        expect(splitBankName('AIL (Syndicate) :MT-32:')).toEqual({ driver: 'AIL', origin: 'Syndicate', tags: ['MT-32'] });
+        expect(splitBankName('AIL (Caesar 2) :p4op: :MISS-INS:')).toEqual({ driver: 'AIL', origin: 'Caesar 2', tags: ['p4op', 'MISS-INS'] });
+        expect(splitBankName('AIL (Super Street Fighter 2 :4op:)')).toEqual({ driver: 'AIL', origin: 'Super Street Fighter 2', tags: ['4op'] });
+        expect(splitBankName('TMB (Apogee Sound System Default bank) :broken drums:')).toEqual({ driver: 'TMB', origin: 'Apogee Sound System Default bank', tags: ['broken drums'] });
+        expect(splitBankName('AIL (Master of Magic) :4op: orchestral drums')).toEqual({ driver: 'AIL', origin: 'Master of Magic, orchestral drums', tags: ['4op'] });
+        // Double colons are part of the name
+        expect(splitBankName('SB (3d Cyberpuck :: melodic only)')).toEqual({ driver: 'SB', origin: '3d Cyberpuck :: melodic only', tags: [] });
+    });
+
+    it('should read the generated table', () => {
+        const banks = getEmbeddedBanks({ _adl_getBanksCount: () => EMBEDDED_BANKS.length });
+
+        expect(banks).toEqual(EMBEDDED_BANKS);
+        banks[0].name = 'Changed';
+        banks[0].tags.push('Changed');
+        expect(EMBEDDED_BANKS[0].name).not.toBe('Changed');
+        expect(EMBEDDED_BANKS[0].tags).toEqual([]);
+        expect(banks.every(b => !b.origin.includes(':MT-32:'))).toBe(true);
+        expect(banks.map(b => b.id)).toEqual(banks.map((_, i) => i));
+    });
+
+    it('should list no banks for slim builds and reject a stale table', () => {
+        expect(getEmbeddedBanks({ _adl_getBanksCount: () => 0 })).toEqual([]);
+        expect(() => getEmbeddedBanks({ _adl_getBanksCount: () => EMBEDDED_BANKS.length + 1 })).toThrow(/build:embedded-banks/);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for decoding adl_describeChannels() output
+ */
+
+import { describe, it, expect } from 'vitest';
+import { VOICES_PER_CHIP, decodeChannelStates } from '../../src/utils/channels.js';
+
+/**
+ * Build describeChannels() buffers
+ * @param {string} text - One state character per voice
+ * @param {number[]} [channels] - MIDI channel per voice
+ */
+function buffers(text, channels = []) {
+    return [
+        new TextEncoder().encode(text),
+        Uint8Array.from(text, (_, i) => channels[i] ?? 0),
+    ];
+}
+
+describe('decodeChannelStates', () => {
+    it('should decode voice states and MIDI channels', () => {
+        const [text, attr] = buffers('-+@r'.padEnd(VOICES_PER_CHIP, '-'), [0, 0x13, 7, 9]);
+
+        const [chip] = decodeChannelStates(text, attr, 1, 0);
+
+        expect(chip.chip).toBe(0);
+        expect(chip.voices).toHaveLength(VOICES_PER_CHIP);
+        expect(chip.voices.slice(0, 4).map(v => [v.state, v.midiChannel])).toEqual([
+            ['off', null],
+            ['on', 3],
+            ['arpeggio', 7],
+            ['on', 9],
+        ]);
+        expect(chip.voices.map(v => v.rhythm).indexOf(true)).toBe(18);
+    });
+
+    it('should pair 4-op voices the way libADLMIDI reserves them', () => {
+        const [text, attr] = buffers('-'.repeat(VOICES_PER_CHIP * 2));
+
+        const chips = decodeChannelStates(text, attr, 2, 8);
+        const pairs = chips.map(c => c.voices.filter(v => v.fourOp === 'first').map(v => [v.voice, v.pairedVoice]));
+
+        expect(pairs).toEqual([
+            [[0, 3], [1, 4], [2, 5], [9, 12], [10, 13], [11, 14]],
+            [[0, 3], [1, 4]],
+        ]);
+        expect(chips[1].voices[4]).toMatchObject({ fourOp: 'second', pairedVoice: 1 });
+        expect(chips[1].voices[2]).toMatchObject({ fourOp: null, pairedVoice: null });
+    });
+
+    it('should treat voices past the end of the text as off', () => {
+        const [text, attr] = buffers('+');
+
+        const [chip] = decodeChannelStates(text, attr, 1, 0);
+
+        expect(chip.voices[0].state).toBe('on');
+        expect(chip.voices.slice(1).every(v => v.state === 'off')).toBe(true);
+    });
+});
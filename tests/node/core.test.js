@@ -9,6 +9,10 @@ import { describe, it, expect, beforeAll, afterEach } from 'vitest';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync } from 'fs';
+import { parseWopl, serializeWopl } from '../../src/utils/struct.js';
+import { diffBanks, mergeBanks } from '../../src/utils/bankdiff.js';
+import { describeEmbeddedBanks } from '../../src/utils/banks.js';
+import { applyPreset, createRandom, getPreset, renderSfx } from '../../src/utils/sfxr.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DIST_DIR = join(__dirname, '..', '..', 'dist');
@@ -17,9 +21,10 @@ const LIGHT_CORE_PATH = join(DIST_DIR, 'libadlmidi.light.core.js');
 
 // Dynamic import of AdlMidiCore
 let AdlMidiCore;
+let coreModule;
 beforeAll(async () => {
-    const module = await import('../../src/core.js');
-    AdlMidiCore = module.AdlMidiCore;
+    coreModule = await import('../../src/core.js');
+    AdlMidiCore = coreModule.AdlMidiCore;
 });
 
 describe('AdlMidiCore Lifecycle', () => {
@@ -93,6 +98,32 @@ describe('AdlMidiCore Configuration', () => {
         expect(bank72.name).toBeTruthy();
     });
 
+    it('should describe embedded bank contents and settings', () => {
+        const banks = synth.getEmbeddedBanks();
+        for (const bank of banks) {
+            expect(bank.melodicCount + bank.percussionCount).toBeGreaterThan(0);
+            expect(typeof bank.fourOp).toBe('boolean');
+            expect(typeof bank.deepTremolo).toBe('boolean');
+            expect(typeof bank.deepVibrato).toBe('boolean');
+            expect(bank.volumeModel).toBeGreaterThanOrEqual(0);
+            expect(bank.name.startsWith(bank.driver)).toBe(true);
+        }
+        expect(banks.some(b => b.fourOp)).toBe(true);
+        expect(banks.some(b => b.origin !== '')).toBe(true);
+    });
+
+    it('should match a scan of the embedded banks', () => {
+        // The table is generated at build time; a stale one lists other banks
+        expect(synth.getEmbeddedBanks()).toEqual(describeEmbeddedBanks(synth._module));
+    });
+
+    it('should not change the player when describing embedded banks', () => {
+        synth.setBank(0);
+        const before = synth.listBanks().length;
+        synth.getEmbeddedBanks();
+        expect(synth.listBanks().length).toBe(before);
+    });
+
     it('should set bank successfully', () => {
         expect(synth.setBank(72)).toBe(true);
     });
@@ -202,6 +233,135 @@ describe('AdlMidiCore Configuration', () => {
         expect(retrievedInst).toBeDefined();
         expect(retrievedInst.operators).toBeDefined();
     });
+
+    it('should export banks including edited instruments', () => {
+        const bankId = { percussive: 0, msb: 0, lsb: 0 };
+        const inst = synth.getInstrument(bankId, 5);
+        inst.isBlank = false;
+        inst.feedback1 = 6;
+        inst.operators[1].attack = 3;
+        expect(synth.setInstrument(bankId, 5, inst)).toBe(true);
+
+        const wopl = synth.exportBank();
+        const bank = parseWopl(wopl);
+        expect(bank.melodic.length).toBeGreaterThan(0);
+        expect(bank.melodic[0].instruments[5].feedback1).toBe(6);
+        expect(bank.melodic[0].instruments[5].operators[1].attack).toBe(3);
+
+        // Loading the export back gives the same banks
+        expect(synth.loadBankData(wopl)).toBe(true);
+        expect(synth.exportBank()).toEqual(wopl);
+    });
+
+    it('should return false for data that is not a bank', () => {
+        expect(synth.loadBankData(new Uint8Array(64))).toBe(false);
+    });
+
+    it('should list banks with names from loaded WOPL data', () => {
+        const bankId = { percussive: 0, msb: 0, lsb: 0 };
+        const bank = parseWopl(synth.exportBank());
+        bank.melodic[0].name = 'Edited';
+        bank.melodic[0].instruments[0] = { ...bank.melodic[0].instruments[0], name: 'Lead', isBlank: false };
+        bank.melodic[0].instruments[1] = { ...bank.melodic[0].instruments[1], isBlank: true };
+        expect(synth.loadBankData(serializeWopl(bank))).toBe(true);
+
+        const banks = synth.listBanks();
+        const melodic = banks.find(b => !b.id.percussive && b.id.msb === 0 && b.id.lsb === 0);
+        expect(melodic.name).toBe('Edited');
+        expect(melodic.instruments).toHaveLength(128);
+        expect(melodic.instruments[0]).toEqual({ program: 0, name: 'Lead', isBlank: false });
+        expect(melodic.instruments[1].isBlank).toBe(true);
+        expect(synth.getInstrument(melodic.id, 0)).not.toBeNull();
+
+        // Names survive an export, and are dropped for embedded banks
+        expect(parseWopl(synth.exportBank()).melodic[0].instruments[0].name).toBe('Lead');
+        synth.setBank(72);
+        expect(synth.listBanks().every(b => b.name === '')).toBe(true);
+        expect(synth.getInstrument(bankId, 0)).not.toBeNull();
+    });
+
+    it('should morph a channel instrument as audio is rendered', () => {
+        synth.setBank(72);
+        const bankId = { percussive: false, msb: 0, lsb: 0 };
+        const morphBankId = { percussive: false, msb: 100, lsb: 0 };
+        const gmPatch = synth.getInstrument(bankId, 3);
+        const from = synth.getInstrument(bankId, 0);
+        const to = synth.getInstrument(bankId, 80);
+
+        expect(synth.morphInstrument(3, from, to, 0.1)).toBe(true);
+        expect(synth.getInstrument(morphBankId, 3)).toEqual(from);
+
+        // 0.1 s at 44100 Hz: halfway after 2205 frames, done after the next block past the end
+        synth.generate(2205);
+        synth.generate(1);
+        expect(synth.getInstrument(morphBankId, 3).operators[0].totalLevel)
+            .toBe(Math.round((from.operators[0].totalLevel + to.operators[0].totalLevel) / 2));
+        synth.generate(4410);
+        synth.generate(1);
+        expect(synth.getInstrument(morphBankId, 3)).toEqual(to);
+        expect(synth.cancelMorph(3)).toBe(false);
+
+        // The GM bank keeps its patches
+        expect(synth.getInstrument(bankId, 3)).toEqual(gmPatch);
+
+        // The morph bank stays out of listings and exports, so they load back the same
+        expect(synth.listBanks().some(b => b.id.msb === 100)).toBe(false);
+        const wopl = synth.exportBank();
+        expect(synth.loadBankData(wopl)).toBe(true);
+        expect(synth.exportBank()).toEqual(wopl);
+    });
+
+    it('should diff and merge exported banks', () => {
+        synth.setBank(72);
+        const embedded = synth.exportBank();
+        const edited = parseWopl(embedded);
+        edited.melodic[0].instruments[0].feedback1 = (edited.melodic[0].instruments[0].feedback1 + 1) & 7;
+
+        expect(synth.loadBankData(serializeWopl(mergeBanks(embedded, edited)))).toBe(true);
+        const diff = diffBanks(embedded, synth.exportBank());
+        expect(diff.instruments).toHaveLength(1);
+        expect(diff.instruments[0]).toMatchObject({ type: 'changed', program: 0 });
+        expect(diff.instruments[0].changes.map(c => c.field)).toEqual(['feedback1']);
+    });
+
+    it('should describe the voices a note occupies', () => {
+        const numChips = synth.getNumChips();
+        const numFourOps = synth.getNumFourOpChannels();
+        synth.setNumChips(2);
+        synth.setNumFourOpChannels(0);
+        synth.reset();
+        synth.setBank(72);
+        synth.programChange(4, 0);
+        synth.noteOn(4, 60, 100);
+
+        const chips = synth.getChannelStates();
+        expect(chips.map(c => c.chip)).toEqual([0, 1]);
+        expect(chips.every(c => c.voices.length === 23)).toBe(true);
+        const busy = chips.flatMap(c => c.voices.filter(v => v.state !== 'off'));
+        expect(busy.length).toBeGreaterThan(0);
+        expect(busy.every(v => v.midiChannel === 4)).toBe(true);
+
+        synth.noteOff(4, 60);
+        synth.panic();
+        expect(synth.getChannelStates().flatMap(c => c.voices).every(v => v.midiChannel === null)).toBe(true);
+
+        synth.setNumChips(numChips);
+        synth.setNumFourOpChannels(numFourOps);
+    });
+
+    it('should render a sound effect until it falls silent', () => {
+        const params = applyPreset(getPreset('laser'), { random: createRandom('zap') });
+
+        const samples = renderSfx(synth, params, { maxSeconds: 4 });
+        expect(samples.length % 2).toBe(0);
+        expect(samples.length / 2).toBeGreaterThanOrEqual(44100 * 0.2);
+        expect(samples.length / 2).toBeLessThan(44100 * 4);
+        expect(samples.some(s => Math.abs(s) > 0.01)).toBe(true);
+
+        // Same seed, same sound
+        expect(renderSfx(synth, applyPreset(getPreset('laser'), { random: createRandom('zap') }), { maxSeconds: 4 }))
+            .toEqual(samples);
+    });
 });
 
 describe('AdlMidiCore Real-time Synthesis', () => {
@@ -312,6 +472,102 @@ describe('AdlMidiCore Real-time Synthesis', () => {
         synth.channelAfterTouch(0, 40);
         // No errors = success
     });
+
+    it('should generate in each output format', () => {
+        const { SampleFormat } = coreModule;
+        const expected = [
+            [SampleFormat.S16, Int16Array],
+            [SampleFormat.S32, Int32Array],
+            [SampleFormat.F32, Float32Array],
+            [SampleFormat.F64, Float64Array],
+        ];
+
+        synth.noteOn(0, 60, 100);
+        for (const [sampleFormat, ArrayType] of expected) {
+            synth.setOutputFormat({ sampleFormat });
+            const samples = synth.generate(512);
+            expect(samples).toBeInstanceOf(ArrayType);
+            expect(samples.length).toBe(1024);
+            expect(samples.some(s => s !== 0)).toBe(true);
+        }
+        synth.setOutputFormat({});
+        expect(synth.getOutputFormat()).toEqual({ sampleFormat: SampleFormat.F32, planar: false });
+    });
+
+    it('should generate planar output', () => {
+        synth.noteOn(0, 60, 100);
+        synth.setOutputFormat({ planar: true });
+        const planar = synth.generate(256);
+        synth.setOutputFormat({});
+
+        expect(planar).toBeInstanceOf(Float32Array);
+        expect(planar.length).toBe(512);
+        // Left block first, then right block
+        expect(planar.subarray(0, 256).some(s => s !== 0)).toBe(true);
+        expect(planar.subarray(256).some(s => s !== 0)).toBe(true);
+    });
+
+    it('should generate into a caller-supplied buffer', () => {
+        synth.noteOn(0, 60, 100);
+        const target = new Float32Array(1024);
+
+        expect(synth.generateInto(target)).toBe(512);
+        expect(target.some(s => s !== 0)).toBe(true);
+
+        const planar = new Float32Array(1024);
+        expect(synth.generateInto(planar, { planar: true })).toBe(512);
+        expect(planar.subarray(0, 512).some(s => s !== 0)).toBe(true);
+        expect(planar.subarray(512).some(s => s !== 0)).toBe(true);
+    });
+
+    it('should reject unknown sample formats', () => {
+        expect(() => synth.setOutputFormat({ sampleFormat: 99 })).toThrow(/sample format/);
+    });
+
+    it('should play raw MIDI bytes', () => {
+        synth.sendMidi(new Uint8Array([0x90, 60, 100, 64, 100]));
+        const samples = synth.generate(4096);
+        expect(samples.some(s => Math.abs(s) > 0.001)).toBe(true);
+
+        // Running status note-offs split across calls, then a GM reset SysEx
+        synth.sendMidi([0x80, 60]);
+        synth.sendMidi([0, 64, 0]);
+        synth.sendMidi([0xF0, 0x7E, 0x7F, 0x09, 0x01, 0xF7]);
+    });
+
+    it('should accept GM, GS and XG reset SysEx', () => {
+        // GM System On
+        expect(synth.systemExclusive([0xF0, 0x7E, 0x7F, 0x09, 0x01, 0xF7])).toBe(true);
+        // Roland GS Reset
+        expect(synth.systemExclusive(new Uint8Array([
+            0xF0, 0x41, 0x10, 0x42, 0x12, 0x40, 0x00, 0x7F, 0x00, 0x41, 0xF7,
+        ]))).toBe(true);
+        // Yamaha XG System On
+        expect(synth.systemExclusive([0xF0, 0x43, 0x10, 0x4C, 0x00, 0x00, 0x7E, 0x00, 0xF7])).toBe(true);
+    });
+
+    it('should apply master volume SysEx', () => {
+        synth.noteOn(0, 60, 127);
+        const loud = synth.generate(4096);
+        synth.noteOff(0, 60);
+        synth.panic();
+
+        // Universal Real Time Master Volume, 14-bit value (LSB, MSB) = 0x0400
+        expect(synth.systemExclusive([0xF0, 0x7F, 0x7F, 0x04, 0x01, 0x00, 0x08, 0xF7])).toBe(true);
+        synth.noteOn(0, 60, 127);
+        const quiet = synth.generate(4096);
+
+        const peak = (samples) => samples.reduce((max, s) => Math.max(max, Math.abs(s)), 0);
+        expect(peak(quiet)).toBeLessThan(peak(loud));
+
+        // Restore full volume for later tests
+        synth.systemExclusive([0xF0, 0x7F, 0x7F, 0x04, 0x01, 0x7F, 0x7F, 0xF7]);
+    });
+
+    it('should reject malformed SysEx', () => {
+        expect(synth.systemExclusive([0xF0, 0x7E])).toBe(false);
+        expect(synth.systemExclusive([0x90, 60, 100, 0xF7])).toBe(false);
+    });
 });
 
 describe('AdlMidiCore MIDI Playback', () => {
@@ -340,6 +596,70 @@ describe('AdlMidiCore MIDI Playback', () => {
         expect(synth.duration).toBeGreaterThan(0);
     });
 
+    it('should report song metadata', () => {
+        synth.loadMidi(midiData);
+        const info = synth.getMusicInfo();
+
+        expect(info.title).toBe(synth.getMusicTitle());
+        expect(Array.isArray(info.trackTitles)).toBe(true);
+        expect(Array.isArray(info.markers)).toBe(true);
+        for (const marker of info.markers) {
+            expect(typeof marker.label).toBe('string');
+            expect(marker.time).toBeGreaterThanOrEqual(0);
+        }
+        expect(info.loopStart === null || info.loopStart >= 0).toBe(true);
+        expect(info.tempoChanges.length).toBeGreaterThan(0);
+        expect(info.tempoChanges[0]).toMatchObject({ tick: 0, time: 0 });
+    });
+
+    it('should select songs of the loaded file', () => {
+        synth.loadMidi(midiData);
+
+        expect(synth.getSongCount()).toBe(1);
+        expect(synth.selectSong(0)).toBe(true);
+        expect(synth.position).toBe(0);
+        expect(() => synth.selectSong(1)).toThrow('Song number out of range');
+    });
+
+    it('should select songs of a multi-song XMI file', () => {
+        // Three songs of different lengths, each on its own channel and program
+        expect(synth.loadMidi(readFileSync(join(__dirname, '..', '..', 'test-files', 'songs.xmi')))).toBe(true);
+        expect(synth.getSongCount()).toBe(3);
+
+        const durations = [];
+        const openings = [];
+        for (let song = 0; song < synth.getSongCount(); song++) {
+            expect(synth.selectSong(song)).toBe(true);
+            durations.push(synth.duration);
+            openings.push(synth.play(4410));
+        }
+
+        expect(new Set(durations).size).toBe(3);
+        expect(openings[1]).not.toEqual(openings[0]);
+        expect(openings[2]).not.toEqual(openings[1]);
+    });
+
+    it('should report file player events in batches', () => {
+        synth.loadMidi(midiData);
+        /** @type {any[][]} */
+        const batches = [];
+        const unsubscribe = synth.onMidiEvent(events => batches.push(events));
+
+        for (let i = 0; i < 20; i++) {
+            synth.play(4410);
+        }
+        unsubscribe();
+        const count = batches.length;
+        synth.play(4410);
+        expect(batches).toHaveLength(count);
+
+        const events = batches.flat();
+        expect(events.some(e => e.type === 'noteOn')).toBe(true);
+        expect(events.some(e => e.type === 'programChange')).toBe(true);
+        expect(events.every(e => e.time >= 0 && e.time <= 2.1)).toBe(true);
+        expect(events.map(e => e.time)).toEqual(events.map(e => e.time).sort((a, b) => a - b));
+    });
+
     it('should play MIDI and generate audio', () => {
         synth.loadMidi(midiData);
 
@@ -373,6 +693,215 @@ describe('AdlMidiCore MIDI Playback', () => {
         expect(synth.position).toBeCloseTo(5.0, 0);
     });
 
+    it('should play into a caller-supplied buffer until the song ends', () => {
+        synth.loadMidi(midiData);
+        synth.seek(synth.duration - 0.05);
+
+        const target = new Float32Array(8192).fill(2);
+        const frames = synth.playInto(target);
+
+        expect(frames).toBeLessThan(4096);
+        expect(target[frames * 2 - 1]).not.toBe(2);
+        expect(target[frames * 2]).toBe(2); // Untouched past the end
+    });
+
+    it('should render the whole song to WAV', () => {
+        synth.loadMidi(midiData);
+        synth.setTempo(8); // Keep the render short
+        const progress = [];
+
+        const wav = synth.renderToWav({ bitDepth: 24, tail: 0.5, fadeOut: 1, onProgress: p => progress.push(p) });
+        synth.setTempo(1);
+
+        const view = new DataView(wav.buffer, wav.byteOffset, wav.byteLength);
+        expect(String.fromCharCode(...wav.slice(0, 4))).toBe('RIFF');
+        expect(view.getUint16(34, true)).toBe(24);
+        const frames = view.getUint32(40, true) / 6;
+        expect(frames).toBeGreaterThan((synth.duration / 8 + 0.5) * 44100 * 0.9);
+
+        expect(synth.position).toBe(0);
+        expect(progress.length).toBeGreaterThan(1);
+        expect(progress[progress.length - 1]).toBe(1);
+
+        // Fade-out ends in silence
+        expect(view.getUint8(wav.length - 1)).toBe(0);
+    });
+
+    it('should trim silence when rendering', () => {
+        synth.loadMidi(midiData);
+        synth.setTempo(8);
+
+        const padded = synth.renderToWav({ tail: 2 });
+        const trimmed = synth.renderToWav({ tail: 2, trimSilence: true });
+        synth.setTempo(1);
+
+        expect(trimmed.length).toBeLessThan(padded.length);
+    });
+
+    it('should render at another sample rate on a temporary player', () => {
+        synth.loadMidi(midiData);
+        synth.setTempo(8);
+        synth.seek(10);
+
+        const native = synth.renderToWav({ bitDepth: 16 });
+        const wav = synth.renderToWav({ sampleRate: 22050, bitDepth: 16 });
+        synth.setTempo(1);
+
+        const view = new DataView(wav.buffer, wav.byteOffset, wav.byteLength);
+        expect(view.getUint32(24, true)).toBe(22050);
+        expect(view.getUint32(28, true)).toBe(22050 * 4);
+        // Same song at the same tempo: half as many frames, give or take a chunk
+        const frames = view.getUint32(40, true) / 4;
+        const nativeFrames = new DataView(native.buffer, native.byteOffset).getUint32(40, true) / 4;
+        expect(Math.abs(frames - nativeFrames / 2)).toBeLessThan(4096);
+        expect(frames).toBeGreaterThan(synth.duration / 8 * 22050 * 0.9);
+
+        // This player is left as it was
+        expect(synth.sampleRate).toBe(44100);
+        expect(synth.position).toBeCloseTo(10, 1);
+        expect(synth.play(4410).length).toBe(4410 * 2);
+    });
+
+    it('should restore the position and loop setting after rendering', () => {
+        synth.loadMidi(midiData);
+        synth.setTempo(8);
+        synth.seek(10);
+
+        synth.renderToWav({ loops: 1 });
+        expect(synth.position).toBeCloseTo(10, 1);
+
+        // Looping is off again, so the song still ends
+        for (let i = 0; i < 10 && !synth.atEnd; i++) {
+            synth.play(44100 * 4);
+        }
+        synth.setTempo(1);
+        expect(synth.atEnd).toBe(true);
+    });
+
+    it('should render per-channel stems aligned with the full mix', () => {
+        synth.loadMidi(readFileSync(join(__dirname, '..', '..', 'test-files', 'tracks.mid')));
+
+        const mix = synth.renderToWav({ bitDepth: 32 });
+        const stems = synth.renderStems();
+
+        expect(stems.map(s => s.channel)).toEqual([0, 1, 9]);
+
+        // 32-bit float WAV: data size / 4 = interleaved sample count
+        const mixSamples = new DataView(mix.buffer, mix.byteOffset).getUint32(40, true) / 4;
+        for (const stem of stems) {
+            expect(stem.key).toBeUndefined();
+            expect(stem.samples.length).toBe(mixSamples);
+            expect(stem.samples.some(v => v !== 0)).toBe(true);
+        }
+    });
+
+    it('should split percussion stems by drum key', () => {
+        synth.loadMidi(readFileSync(join(__dirname, '..', '..', 'test-files', 'tracks.mid')));
+        synth.setChannelEnabled(9, false);
+        const stems = synth.renderStems({ splitPercussion: true });
+
+        // Muted channels still get stems, and the mutes are restored afterwards
+        expect(synth.getChannelMuteMask()).toBe(1 << 9);
+        synth.setChannelEnabled(9, true);
+
+        expect(stems.map(s => [s.channel, s.key])).toEqual([[0, undefined], [1, undefined], [9, 36], [9, 38], [9, 42]]);
+
+        // The original song is loaded again afterwards
+        expect(synth.duration).toBeGreaterThan(0);
+    });
+
+    it('should not report MIDI events or move the position while rendering stems', () => {
+        synth.loadMidi(readFileSync(join(__dirname, '..', '..', 'test-files', 'tracks.mid')));
+        const batches = [];
+        const unsubscribe = synth.onMidiEvent(events => batches.push(events));
+
+        synth.seek(2);
+        synth.renderStems();
+        expect(batches).toEqual([]);
+        expect(synth.position).toBeCloseTo(2, 1);
+
+        synth.play(44100);
+        unsubscribe();
+        expect(batches.flat().some(e => e.type === 'noteOn')).toBe(true);
+    });
+
+    it('should mute and solo channels', () => {
+        synth.loadMidi(midiData);
+
+        expect(synth.setChannelEnabled(9, false)).toBe(true);
+        expect(synth.getChannelMuteMask()).toBe(0x0200);
+        expect(synth.soloChannel(1)).toBe(true);
+        expect(synth.getChannelMuteMask()).toBe(0xFFFD);
+        expect(synth.setChannelEnabled(16, false)).toBe(false);
+
+        for (let channel = 0; channel < 16; channel++) {
+            synth.setChannelEnabled(channel, false);
+        }
+        // Mutes survive reloading the file
+        synth.loadMidi(midiData);
+        expect(synth.getChannelMuteMask()).toBe(0xFFFF);
+        expect(synth.play(44100).every(s => s === 0)).toBe(true);
+
+        expect(synth.soloChannel(null)).toBe(true);
+        expect(synth.getChannelMuteMask()).toBe(0);
+    });
+
+    it('should list and mute tracks', () => {
+        synth.loadMidi(midiData);
+
+        const tracks = synth.getTracks();
+        expect(tracks).toHaveLength(1);
+        expect(tracks[0]).toMatchObject({ track: 0, enabled: true });
+        expect(typeof tracks[0].name).toBe('string');
+
+        expect(synth.setTrackEnabled(0, false)).toBe(true);
+        expect(synth.getTracks()[0].enabled).toBe(false);
+        expect(synth.play(44100).every(s => s === 0)).toBe(true);
+        expect(synth.setTrackEnabled(1, false)).toBe(false);
+        expect(synth.soloTrack(0)).toBe(true);
+        expect(synth.getTracks()[0].enabled).toBe(true);
+
+        // Loading a file clears track mutes
+        synth.setTrackEnabled(0, false);
+        synth.loadMidi(midiData);
+        expect(synth.getTracks()[0].enabled).toBe(true);
+    });
+
+    it('should name and solo the tracks of a format 1 file', () => {
+        synth.loadMidi(readFileSync(join(__dirname, '..', '..', 'test-files', 'tracks.mid')));
+
+        expect(synth.getTracks()).toEqual([
+            { track: 0, name: 'Conductor', enabled: true },
+            { track: 1, name: 'Piano', enabled: true },
+            { track: 2, name: 'Bass', enabled: true },
+            { track: 3, name: 'Drums', enabled: true },
+        ]);
+
+        // The conductor track has no notes
+        expect(synth.soloTrack(0)).toBe(true);
+        expect(synth.getTracks().map(t => t.enabled)).toEqual([true, false, false, false]);
+        expect(synth.play(44100).every(s => s === 0)).toBe(true);
+
+        synth.rewind();
+        expect(synth.soloTrack(2)).toBe(true);
+        expect(synth.play(44100).some(s => s !== 0)).toBe(true);
+
+        synth.soloTrack(null);
+        synth.loadMidi(midiData);
+    });
+
+    it('should read files with system messages and data before any status byte', () => {
+        // libADLMIDI plays these; track names, the tempo map and stems must not give up on them
+        synth.loadMidi(readFileSync(join(__dirname, '..', '..', 'test-files', 'syscommon.mid')));
+
+        expect(synth.duration).toBeGreaterThan(4);
+        expect(synth.getTracks().map(t => t.name)).toEqual(['Conductor', 'Lead']);
+        expect(synth.getMusicInfo().tempoChanges).toEqual([{ tick: 0, time: 0, microsecondsPerQuarter: 500000, bpm: 120 }]);
+        expect(synth.renderStems().map(s => s.channel)).toEqual([0]);
+
+        synth.loadMidi(midiData);
+    });
+
     it('should rewind', () => {
         synth.loadMidi(midiData);
 
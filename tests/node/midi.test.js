@@ -0,0 +1,100 @@
+/**
+ * Tests for raw MIDI byte stream parsing
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createMidiParserState, decodeSequencerEvent, parseMidiBytes } from '../../src/utils/midi.js';
+
+describe('MIDI Byte Parsing', () => {
+    it('should decode channel voice messages', () => {
+        const messages = parseMidiBytes([
+            0x91, 60, 100,
+            0x81, 60, 64,
+            0xA2, 61, 30,
+            0xB3, 7, 90,
+            0xC4, 19,
+            0xD5, 40,
+            0xE6, 0x00, 0x40,
+        ]);
+
+        expect(messages).toEqual([
+            { type: 'noteOn', channel: 1, note: 60, velocity: 100 },
+            { type: 'noteOff', channel: 1, note: 60, velocity: 64 },
+            { type: 'noteAfterTouch', channel: 2, note: 61, pressure: 30 },
+            { type: 'controlChange', channel: 3, controller: 7, value: 90 },
+            { type: 'programChange', channel: 4, program: 19 },
+            { type: 'channelAfterTouch', channel: 5, pressure: 40 },
+            { type: 'pitchBend', channel: 6, lsb: 0x00, msb: 0x40 },
+        ]);
+    });
+
+    it('should treat note on with velocity 0 as note off', () => {
+        const messages = parseMidiBytes(new Uint8Array([0x90, 60, 0]));
+        expect(messages).toEqual([{ type: 'noteOff', channel: 0, note: 60, velocity: 0 }]);
+    });
+
+    it('should apply running status', () => {
+        const messages = parseMidiBytes([0x90, 60, 100, 64, 100, 67, 0]);
+        expect(messages.map(m => [m.type, m.note])).toEqual([
+            ['noteOn', 60],
+            ['noteOn', 64],
+            ['noteOff', 67],
+        ]);
+    });
+
+    it('should continue messages across calls with shared state', () => {
+        const state = createMidiParserState();
+        expect(parseMidiBytes([0xB0, 7], state)).toEqual([]);
+        expect(parseMidiBytes([100, 10], state)).toEqual([
+            { type: 'controlChange', channel: 0, controller: 7, value: 100 },
+        ]);
+        expect(parseMidiBytes([64], state)).toEqual([
+            { type: 'controlChange', channel: 0, controller: 10, value: 64 },
+        ]);
+    });
+
+    it('should decode SysEx including split messages', () => {
+        const state = createMidiParserState();
+        expect(parseMidiBytes([0xF0, 0x7E, 0x7F], state)).toEqual([]);
+
+        const messages = parseMidiBytes([0x09, 0x01, 0xF7, 0x90, 60, 100], state);
+        expect(messages).toHaveLength(2);
+        expect(messages[0].type).toBe('systemExclusive');
+        expect(Array.from(messages[0].data)).toEqual([0xF0, 0x7E, 0x7F, 0x09, 0x01, 0xF7]);
+        expect(messages[1]).toEqual({ type: 'noteOn', channel: 0, note: 60, velocity: 100 });
+    });
+
+    it('should ignore real-time bytes without breaking running status', () => {
+        const messages = parseMidiBytes([0x90, 60, 0xF8, 100, 0xFE, 62, 100]);
+        expect(messages.map(m => m.note)).toEqual([60, 62]);
+    });
+
+    it('should clear running status on system common messages', () => {
+        const messages = parseMidiBytes([0x90, 60, 100, 0xF2, 0x10, 0x20, 62, 100]);
+        expect(messages).toHaveLength(1);
+    });
+
+    it('should drop an unterminated SysEx when a new status arrives', () => {
+        const messages = parseMidiBytes([0xF0, 0x43, 0x10, 0x90, 60, 100]);
+        expect(messages).toEqual([{ type: 'noteOn', channel: 0, note: 60, velocity: 100 }]);
+    });
+});
+
+describe('Sequencer Event Decoding', () => {
+    it('should decode channel events by status nibble', () => {
+        expect(decodeSequencerEvent(0x09, 3, new Uint8Array([60, 100])))
+            .toEqual({ type: 'noteOn', channel: 3, note: 60, velocity: 100 });
+        expect(decodeSequencerEvent(0x09, 3, [60, 0]))
+            .toEqual({ type: 'noteOff', channel: 3, note: 60, velocity: 0 });
+        expect(decodeSequencerEvent(0x0C, 9, [5]))
+            .toEqual({ type: 'programChange', channel: 9, program: 5 });
+        expect(decodeSequencerEvent(0x0E, 0, [0x00, 0x40]))
+            .toEqual({ type: 'pitchBend', channel: 0, lsb: 0x00, msb: 0x40 });
+    });
+
+    it('should skip SysEx, meta and truncated events', () => {
+        expect(decodeSequencerEvent(0xF0, 0, [0x7E, 0xF7])).toBeNull();
+        expect(decodeSequencerEvent(0xFF, 0, [0x51, 3])).toBeNull();
+        expect(decodeSequencerEvent(0x0B, 0, [7])).toBeNull();
+    });
+});
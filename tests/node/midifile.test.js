@@ -0,0 +1,185 @@
+/**
+ * Tests for Standard MIDI File reading and writing
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { getTempoMap, getTrackNames, isMidiFile, readMidiFile, tryReadMidiFile, writeMidiFile } from '../../src/utils/midifile.js';
+
+const canyon = readFileSync(join(process.cwd(), 'test-files', 'canyon.mid'));
+
+describe('MIDI File Reading', () => {
+    it('should detect MIDI files', () => {
+        expect(isMidiFile(canyon)).toBe(true);
+        expect(isMidiFile(readFileSync(join(process.cwd(), 'test-files', 'mamsnake.imf')))).toBe(false);
+    });
+
+    it('should parse the header and tracks', () => {
+        const smf = readMidiFile(canyon);
+
+        expect(smf.format).toBe(0);
+        expect(smf.division).toBeGreaterThan(0);
+        expect(smf.tracks).toHaveLength(1);
+        expect(smf.tracks[0].events.length).toBeGreaterThan(1000);
+
+        for (const track of smf.tracks) {
+            const ticks = track.events.map(e => e.tick);
+            expect(ticks).toEqual([...ticks].sort((a, b) => a - b));
+        }
+    });
+
+    it('should resolve running status', () => {
+        const smf = readMidiFile(writeMidiFile({ format: 0, division: 96, tracks: [] }));
+        expect(smf.tracks).toEqual([]);
+
+        // Hand-built track: note on, then a running-status note on 10 ticks later
+        const bytes = new Uint8Array([
+            0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,
+            0x4D, 0x54, 0x72, 0x6B, 0, 0, 0, 12,
+            0x00, 0x91, 60, 100,
+            0x0A, 62, 100,
+            0x00, 0xFF, 0x2F, 0x00,
+            0x00,
+        ]);
+        const events = readMidiFile(bytes).tracks[0].events;
+
+        expect(events).toHaveLength(3);
+        expect(events[1]).toEqual({ tick: 10, status: 0x91, data: new Uint8Array([62, 100]) });
+        expect(events[2]).toMatchObject({ tick: 10, status: 0xFF, metaType: 0x2F });
+    });
+
+    it('should read stray data bytes and skip system messages as libADLMIDI does', () => {
+        const smf = readMidiFile(readFileSync(join(process.cwd(), 'test-files', 'syscommon.mid')));
+        const events = smf.tracks[1].events;
+
+        // Data before any status byte is a Note Off on channel 1
+        expect(events[0]).toEqual({ tick: 0, status: 0x80, data: new Uint8Array([60, 0]) });
+        // F2, F3, F1 and F6 leave no events and take their data bytes with them
+        expect(events.filter(e => e.status !== 0xFF).map(e => [e.tick, e.status, ...e.data])).toEqual([
+            [0, 0x80, 60, 0],
+            [0, 0xC0, 0],
+            [0, 0x90, 60, 100],
+            [384, 0x90, 60, 0],
+            [384, 0x90, 64, 100],
+            [768, 0x90, 64, 0],
+        ]);
+        expect(getTrackNames(smf)).toEqual(['Conductor', 'Lead']);
+    });
+
+    it('should unwrap RIFF RMID files', () => {
+        const size = canyon.length;
+        const rmid = new Uint8Array(20 + size);
+        const view = new DataView(rmid.buffer);
+        rmid.set([0x52, 0x49, 0x46, 0x46], 0); // "RIFF"
+        view.setUint32(4, 12 + size, true);
+        rmid.set([0x52, 0x4D, 0x49, 0x44, 0x64, 0x61, 0x74, 0x61], 8); // "RMIDdata"
+        view.setUint32(16, size, true);
+        rmid.set(canyon, 20);
+
+        expect(writeMidiFile(readMidiFile(rmid))).toEqual(writeMidiFile(readMidiFile(canyon)));
+    });
+
+    it('should reject non-MIDI data', () => {
+        expect(() => readMidiFile(new Uint8Array(32))).toThrow(/Standard MIDI File/);
+        expect(tryReadMidiFile(new Uint8Array(32))).toBeNull();
+        expect(tryReadMidiFile(readFileSync(join(process.cwd(), 'test-files', 'mamsnake.imf')))).toBeNull();
+        expect(tryReadMidiFile(canyon)?.tracks).toHaveLength(1);
+    });
+});
+
+describe('MIDI File Writing', () => {
+    it('should roundtrip a MIDI file', () => {
+        const smf = readMidiFile(canyon);
+        const written = writeMidiFile(smf);
+        const reread = readMidiFile(written);
+
+        expect(reread.tracks[0].events).toHaveLength(smf.tracks[0].events.length);
+        expect(reread.tracks[0].events[100]).toEqual(smf.tracks[0].events[100]);
+        expect(writeMidiFile(reread)).toEqual(written);
+    });
+
+    it('should encode variable-length deltas and add End of Track', () => {
+        const bytes = writeMidiFile({
+            format: 0,
+            division: 480,
+            tracks: [{ events: [{ tick: 200, status: 0xC0, data: new Uint8Array([5]) }] }],
+        });
+
+        expect(Array.from(bytes.slice(22))).toEqual([
+            0x81, 0x48, 0xC0, 5,
+            0x00, 0xFF, 0x2F, 0x00,
+        ]);
+        expect(new DataView(bytes.buffer).getUint32(18)).toBe(8);
+    });
+});
+
+describe('Track Names', () => {
+    it('should read the first name of each track', () => {
+        /** @param {string} text */
+        const trackName = (text) => ({ tick: 0, status: 0xFF, metaType: 0x03, data: new Uint8Array([...text].map(c => c.charCodeAt(0))) });
+        const names = getTrackNames({
+            format: 1,
+            division: 96,
+            tracks: [
+                { events: [trackName('Conductor ')] },
+                { events: [{ tick: 0, status: 0x90, data: new Uint8Array([60, 100]) }] },
+                { events: [trackName('Bass'), trackName('Ignored')] },
+            ],
+        });
+
+        expect(names).toEqual(['Conductor', '', 'Bass']);
+    });
+
+    it('should name the tracks of a format 1 file', () => {
+        const smf = readMidiFile(readFileSync(join(process.cwd(), 'test-files', 'tracks.mid')));
+
+        expect(smf.format).toBe(1);
+        expect(getTrackNames(smf)).toEqual(['Conductor', 'Piano', 'Bass', 'Drums']);
+    });
+});
+
+describe('Tempo Map', () => {
+    /**
+     * @param {number} tick
+     * @param {number} tempo - Microseconds per quarter note
+     */
+    const setTempo = (tick, tempo) => ({
+        tick, status: 0xFF, metaType: 0x51, data: new Uint8Array([tempo >> 16, (tempo >> 8) & 0xFF, tempo & 0xFF]),
+    });
+
+    it('should time tempo changes from every track', () => {
+        const map = getTempoMap({
+            format: 1,
+            division: 96,
+            tracks: [
+                { events: [setTempo(0, 1000000), setTempo(192, 250000)] },
+                { events: [setTempo(96, 500000)] },
+            ],
+        });
+
+        expect(map).toEqual([
+            { tick: 0, time: 0, microsecondsPerQuarter: 1000000, bpm: 60 },
+            { tick: 96, time: 1, microsecondsPerQuarter: 500000, bpm: 120 },
+            { tick: 192, time: 1.5, microsecondsPerQuarter: 250000, bpm: 240 },
+        ]);
+    });
+
+    it('should start at the default tempo', () => {
+        const map = getTempoMap({ format: 0, division: 48, tracks: [{ events: [setTempo(96, 1000000)] }] });
+
+        expect(map).toEqual([
+            { tick: 0, time: 0, microsecondsPerQuarter: 500000, bpm: 120 },
+            { tick: 96, time: 1, microsecondsPerQuarter: 1000000, bpm: 60 },
+        ]);
+        expect(getTempoMap({ format: 0, division: 0xE728, tracks: [{ events: [setTempo(0, 1000000)] }] })).toEqual([]);
+    });
+
+    it('should read the tempo of a real file', () => {
+        const map = getTempoMap(readMidiFile(canyon));
+
+        expect(map.length).toBeGreaterThan(0);
+        expect(map[0].tick).toBe(0);
+        expect(map.every(c => c.bpm > 0)).toBe(true);
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests for the procedural sound effect engine
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    BUILTIN_PRESETS,
+    DEFAULT_PARAMS,
+    PARAM_DEFS,
+    PRESET_BASE,
+    applyPreset,
+    buildInstrument,
+    createRandom,
+    evaluateRule,
+    getPreset,
+    mutateParams,
+    parsePreset,
+    serializePreset,
+} from '../../src/utils/sfxr.js';
+import { decodeInstrument, encodeInstrument } from '../../src/utils/struct.js';
+
+/**
+ * @param {import('../../src/utils/sfxr.js').SfxParams} params
+ */
+function expectInRange(params) {
+    for (const def of PARAM_DEFS) {
+        expect(params[def.key]).toBeGreaterThanOrEqual(def.min);
+        expect(params[def.key]).toBeLessThanOrEqual(def.max);
+    }
+}
+
+describe('createRandom', () => {
+    it('should repeat the sequence for the same seed', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const values = Array.from({ length: 5 }, () => a());
+
+        expect(Array.from({ length: 5 }, () => b())).toEqual(values);
+        expect(values.every(v => v >= 0 && v < 1)).toBe(true);
+        expect(createRandom(43)()).not.toBe(values[0]);
+    });
+
+    it('should accept string seeds', () => {
+        expect(createRandom('coin')()).toBe(createRandom('coin')());
+        expect(createRandom('coin')()).not.toBe(createRandom('coin-2')());
+    });
+});
+
+describe('evaluateRule', () => {
+    const random = createRandom(1);
+
+    it('should evaluate each rule type', () => {
+        expect(evaluateRule(7, random)).toBe(7);
+        expect(evaluateRule({ type: 'value', value: 3 }, random)).toBe(3);
+        expect([1, 2]).toContain(evaluateRule([1, 2], random));
+        expect([4, 5]).toContain(evaluateRule({ type: 'choice', values: [4, 5] }, random));
+        expect([4, 5]).toContain(evaluateRule({ values: [4, 5] }, random));
+
+        for (let i = 0; i < 20; i++) {
+            const range = evaluateRule({ type: 'range', min: 10, max: 12 }, random);
+            expect(Number.isInteger(range) && range >= 10 && range <= 12).toBe(true);
+            const rand = evaluateRule({ type: 'rand', max: 3 }, random);
+            expect(Number.isInteger(rand) && rand >= 0 && rand <= 3).toBe(true);
+        }
+    });
+
+    it('should return null for malformed rules', () => {
+        expect(evaluateRule(null, random)).toBeNull();
+        expect(evaluateRule([], random)).toBeNull();
+        expect(evaluateRule({ type: 'range', min: 'a', max: 2 }, random)).toBeNull();
+        expect(evaluateRule({ type: 'choice', values: [] }, random)).toBeNull();
+        expect(evaluateRule({ type: 'unknown' }, random)).toBeNull();
+    });
+});
+
+describe('applyPreset', () => {
+    it('should give the same parameters for the same seed', () => {
+        const preset = getPreset('laser');
+
+        const a = applyPreset(preset, { random: createRandom('zap') });
+        const b = applyPreset(preset, { random: createRandom('zap') });
+
+        expect(a).toEqual(b);
+        expect(a.base_note).toBeGreaterThanOrEqual(72);
+        expect(a.base_note).toBeLessThanOrEqual(90);
+        expect(a.c_level).toBe(63);
+    });
+
+    it('should apply the preset base under the rules', () => {
+        const params = applyPreset({ id: 'x', name: 'X', base: { feedback: 4 }, rules: { m_level: 10 } });
+
+        expect(params).toEqual({ ...DEFAULT_PARAMS, ...PRESET_BASE, feedback: 4, m_level: 10 });
+    });
+
+    it('should keep untouched parameters of the starting point', () => {
+        const params = applyPreset(getPreset('blip'), {
+            random: createRandom(3),
+            params: { ...DEFAULT_PARAMS, m_mult: 9 },
+        });
+
+        expect(params.m_mult).toBe(9);
+    });
+
+    it('should randomize every parameter for rule-less random presets', () => {
+        const params = applyPreset({ id: 'r', name: 'R', type: 'random' }, { random: createRandom(5) });
+
+        expect(params.c_level).toBe(63);
+        expect(params.slide_speed).toBeGreaterThanOrEqual(-30);
+        expect(params.slide_speed).toBeLessThanOrEqual(30);
+        expectInRange(params);
+    });
+
+    it('should keep built-in presets within the parameter ranges', () => {
+        const random = createRandom(9);
+        for (const preset of BUILTIN_PRESETS) {
+            const params = applyPreset(preset, { random });
+            // Explosions go below the lowest note the example's slider offers
+            expectInRange({ ...params, base_note: Math.max(params.base_note, 24) });
+            expect(Object.values(params).every(Number.isInteger)).toBe(true);
+        }
+    });
+});
+
+describe('mutateParams', () => {
+    it('should nudge parameters within range', () => {
+        const start = applyPreset(getPreset('pickup'), { random: createRandom(1) });
+        const random = createRandom(2);
+
+        for (let i = 0; i < 50; i++) {
+            const mutated = mutateParams(start, { random, strength: 4 });
+            expectInRange(mutated);
+            expect(Math.abs(mutated.base_note - start.base_note)).toBeLessThanOrEqual(20);
+            expect(mutated.c_wave).toBe(start.c_wave);
+        }
+    });
+
+    it('should leave parameters alone at strength 0', () => {
+        const start = { ...DEFAULT_PARAMS };
+
+        expect(mutateParams(start, { random: createRandom(1), strength: 0 })).toEqual(start);
+    });
+
+    it('should be reproducible with a seed', () => {
+        expect(mutateParams(DEFAULT_PARAMS, { random: createRandom(8) }))
+            .toEqual(mutateParams(DEFAULT_PARAMS, { random: createRandom(8) }));
+    });
+});
+
+describe('buildInstrument', () => {
+    it('should map carrier and modulator parameters to operators 0 and 1', () => {
+        const params = { ...DEFAULT_PARAMS, c_level: 63, m_level: 20, c_wave: 6, m_mult: 4, connection: 1, feedback: 5 };
+        const inst = buildInstrument(params);
+
+        expect(inst.isBlank).toBe(false);
+        expect(inst.is4op).toBe(false);
+        expect(inst.connection1).toBe(1);
+        expect(inst.feedback1).toBe(5);
+        expect(inst.operators[0]).toMatchObject({ totalLevel: 0, waveform: 6, sustaining: false });
+        expect(inst.operators[1]).toMatchObject({ totalLevel: 43, freqMult: 4, sustaining: false });
+    });
+
+    it('should encode and decode unchanged', () => {
+        const inst = buildInstrument(applyPreset(getPreset('explosion'), { random: createRandom(4) }));
+
+        expect(decodeInstrument(encodeInstrument(inst))).toEqual(inst);
+    });
+});
+
+describe('Preset JSON', () => {
+    it('should round-trip a preset', () => {
+        const preset = getPreset('hit');
+        const parsed = parsePreset(serializePreset(preset));
+
+        expect(parsed).toEqual({ id: 'hit', name: 'Hit / Hurt', type: 'rules', base: { ...PRESET_BASE }, rules: preset.rules });
+        expect(JSON.parse(serializePreset(preset)).version).toBe(1);
+    });
+
+    it('should fill in missing fields', () => {
+        expect(parsePreset('{"type":"random","rules":[]}')).toEqual({
+            id: '', name: 'Custom Preset', type: 'random', base: null, rules: {},
+        });
+    });
+
+    it('should reject non-object JSON', () => {
+        expect(() => parsePreset('[]')).toThrow('Preset JSON must be an object');
+        expect(() => parsePreset('{')).toThrow();
+    });
+});
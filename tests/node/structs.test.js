@@ -10,12 +10,25 @@ import {
     SIZEOF_ADL_OPERATOR,
     SIZEOF_ADL_INSTRUMENT,
     OPERATOR_OFFSET,
+    SIZEOF_ADL_MARKER_ENTRY,
+    MARKER_TIME_OFFSET,
+    MARKER_TICKS_OFFSET,
+    decodeMarkerEntry,
     decodeOperator,
     encodeOperator,
     defaultOperator,
     decodeInstrument,
     encodeInstrument,
     defaultInstrument,
+    interpolateInstrument,
+    parseWopl,
+    serializeWopl,
+    encodeWopi,
+    decodeWopi,
+    encodeSbi,
+    decodeSbi,
+    encodeOpliJson,
+    decodeOpliJson,
 } from '../../src/utils/struct.js';
 
 describe('Operator Encoding', () => {
@@ -238,6 +251,87 @@ describe('Instrument Encoding', () => {
     });
 });
 
+describe('Instrument Interpolation', () => {
+    function makePair() {
+        const a = defaultInstrument();
+        a.isBlank = false;
+        a.feedback1 = 0;
+        a.connection1 = 0;
+        a.secondVoiceDetune = -10;
+        a.operators[0] = { ...a.operators[0], totalLevel: 0, attack: 15, release: 2, waveform: 0, freqMult: 1 };
+
+        const b = defaultInstrument();
+        b.isBlank = false;
+        b.feedback1 = 7;
+        b.connection1 = 1;
+        b.secondVoiceDetune = 10;
+        b.operators[0] = { ...b.operators[0], totalLevel: 40, attack: 5, release: 12, waveform: 3, freqMult: 4 };
+        return { a, b };
+    }
+
+    it('should return the endpoints at t = 0 and t = 1', () => {
+        const { a, b } = makePair();
+        expect(interpolateInstrument(a, b, 0)).toEqual(a);
+        expect(interpolateInstrument(a, b, 1)).toEqual(b);
+    });
+
+    it('should blend continuous fields and round them', () => {
+        const { a, b } = makePair();
+        const mid = interpolateInstrument(a, b, 0.25);
+
+        expect(mid.operators[0].totalLevel).toBe(10);
+        expect(mid.operators[0].attack).toBe(13);
+        expect(mid.operators[0].release).toBe(5);
+        expect(mid.feedback1).toBe(2);
+        expect(mid.secondVoiceDetune).toBe(-5);
+        // Still a valid struct
+        expect(decodeInstrument(encodeInstrument(mid))).toMatchObject({ feedback1: 2, secondVoiceDetune: -5 });
+    });
+
+    it('should switch discrete fields at the threshold', () => {
+        const { a, b } = makePair();
+
+        const before = interpolateInstrument(a, b, 0.49);
+        expect(before.connection1).toBe(0);
+        expect(before.operators[0].waveform).toBe(0);
+        expect(before.operators[0].freqMult).toBe(1);
+
+        const after = interpolateInstrument(a, b, 0.5);
+        expect(after.connection1).toBe(1);
+        expect(after.operators[0].waveform).toBe(3);
+        expect(after.operators[0].freqMult).toBe(4);
+
+        expect(interpolateInstrument(a, b, 0.2, { threshold: 0.1 }).connection1).toBe(1);
+        expect(interpolateInstrument(a, b, 0.9, { threshold: 1 }).connection1).toBe(0);
+    });
+
+    it('should clamp t and leave the inputs untouched', () => {
+        const { a, b } = makePair();
+        const copyA = structuredClone(a);
+
+        expect(interpolateInstrument(a, b, -1)).toEqual(a);
+        expect(interpolateInstrument(a, b, 2)).toEqual(b);
+        interpolateInstrument(a, b, 0.5).operators[0].totalLevel = 63;
+        expect(a).toEqual(copyA);
+    });
+
+    it('should blend into a reused instrument and buffer', () => {
+        const { a, b } = makePair();
+        const into = defaultInstrument();
+        const operators = into.operators;
+        const bytes = new Uint8Array(SIZEOF_ADL_INSTRUMENT);
+
+        for (const t of [0.25, 0.75, 0]) {
+            expect(interpolateInstrument(a, b, t, { into })).toBe(into);
+            expect(into).toEqual(interpolateInstrument(a, b, t));
+            expect(into.operators).toBe(operators);
+            expect(encodeInstrument(into, bytes)).toBe(bytes);
+            expect(bytes).toEqual(encodeInstrument(interpolateInstrument(a, b, t)));
+        }
+        expect(into.operators[0]).not.toBe(a.operators[0]);
+    });
+});
+
 describe('Struct Sizes', () => {
     it('should have correct operator size', () => {
         expect(SIZEOF_ADL_OPERATOR).toBe(5);
@@ -261,3 +355,286 @@ describe('Struct Sizes', () => {
         expect(operatorsTotalSize).toBe(4 * SIZEOF_ADL_OPERATOR);
     });
 });
+
+describe('Marker Entries', () => {
+    it('should decode the label pointer, time and ticks', () => {
+        // Within a larger heap, as read through HEAPU8.subarray()
+        const heap = new Uint8Array(8 + SIZEOF_ADL_MARKER_ENTRY);
+        const view = new DataView(heap.buffer, 8);
+        view.setUint32(0, 0x1234, true);
+        view.setFloat64(MARKER_TIME_OFFSET, 12.5, true);
+        view.setUint32(MARKER_TICKS_OFFSET, 0x80000000, true);
+
+        expect(decodeMarkerEntry(heap.subarray(8))).toEqual({ labelPtr: 0x1234, time: 12.5, ticks: 0x80000000 });
+    });
+});
+
+describe('WOPL Banks', () => {
+    /** Blank WOPL instrument (WOPL has no struct version field) */
+    function blankInstrument() {
+        const inst = { ...defaultInstrument(), name: '' };
+        delete inst.version;
+        return inst;
+    }
+
+    /** Small bank with one melodic and one percussion set */
+    function makeBank() {
+        const piano = {
+            ...blankInstrument(),
+            name: 'Piano',
+            isBlank: false,
+            noteOffset1: -12,
+            noteOffset2: 300,
+            velocityOffset: -5,
+            secondVoiceDetune: 3,
+            is4op: true,
+            feedback1: 5,
+            connection1: 1,
+            feedback2: 3,
+            operators: [
+                { ...defaultOperator(), attack: 12, totalLevel: 20, am: true },
+                { ...defaultOperator(), waveform: 4, freqMult: 2 },
+                { ...defaultOperator(), keyScaleLevel: 2, sustain: 7 },
+                { ...defaultOperator(), release: 3, vibrato: true },
+            ],
+            delayOnMs: 1000,
+            delayOffMs: 40,
+        };
+        const kick = {
+            ...blankInstrument(),
+            name: 'Kick',
+            isBlank: false,
+            percussionKey: 36,
+            rhythmMode: 1,
+        };
+        const melodicInstruments = Array.from({ length: 128 }, blankInstrument);
+        melodicInstruments[0] = piano;
+        const percussionInstruments = Array.from({ length: 128 }, blankInstrument);
+        percussionInstruments[35] = kick;
+
+        return {
+            deepTremolo: true,
+            deepVibrato: false,
+            volumeModel: 3,
+            melodic: [{ name: 'Main', lsb: 0, msb: 0, instruments: melodicInstruments }],
+            percussion: [{ name: 'Drums', lsb: 0, msb: 0, instruments: percussionInstruments }],
+        };
+    }
+
+    it('should write the WOPL header', () => {
+        const bytes = serializeWopl(makeBank());
+
+        expect(new TextDecoder().decode(bytes.subarray(0, 11))).toBe('WOPL3-BANK\0');
+        expect(bytes[11] | (bytes[12] << 8)).toBe(3);
+        // Bank counts are big-endian
+        expect([...bytes.subarray(13, 17)]).toEqual([0, 1, 0, 1]);
+        expect(bytes[17]).toBe(0x01);
+        expect(bytes[18]).toBe(3);
+        expect(bytes.length).toBe(19 + 2 * 34 + 2 * 128 * 66);
+    });
+
+    it('should roundtrip a v3 bank', () => {
+        const bank = makeBank();
+        const parsed = parseWopl(serializeWopl(bank));
+
+        expect(parsed.version).toBe(3);
+        expect(parsed.deepTremolo).toBe(true);
+        expect(parsed.deepVibrato).toBe(false);
+        expect(parsed.volumeModel).toBe(3);
+        expect(parsed.melodic).toHaveLength(1);
+        expect(parsed.percussion).toHaveLength(1);
+        expect(parsed.melodic[0].name).toBe('Main');
+        expect(parsed.percussion[0].name).toBe('Drums');
+        expect(parsed.melodic[0].instruments).toHaveLength(128);
+        expect(parsed.melodic[0].instruments[0]).toEqual(bank.melodic[0].instruments[0]);
+        expect(parsed.percussion[0].instruments[35]).toEqual(bank.percussion[0].instruments[35]);
+        expect(parsed.melodic[0].instruments[1].isBlank).toBe(true);
+    });
+
+    it('should store instrument fields big-endian', () => {
+        const bytes = serializeWopl(makeBank());
+        const inst = 19 + 2 * 34;
+
+        expect(new TextDecoder().decode(bytes.subarray(inst, inst + 5))).toBe('Piano');
+        // noteOffset2 = 300
+        expect([bytes[inst + 34], bytes[inst + 35]]).toEqual([0x01, 0x2C]);
+        // delayOnMs = 1000
+        expect([bytes[inst + 62], bytes[inst + 63]]).toEqual([0x03, 0xE8]);
+    });
+
+    it('should keep bank names and MIDI bank numbers in v2', () => {
+        const bank = makeBank();
+        bank.melodic.push({ name: 'Strings', lsb: 5, msb: 1, instruments: [] });
+        const bytes = serializeWopl(bank, { version: 2 });
+        const parsed = parseWopl(bytes);
+
+        expect(bytes.length).toBe(19 + 3 * 34 + 3 * 128 * 62);
+        expect(parsed.version).toBe(2);
+        expect(parsed.melodic.map(b => [b.name, b.lsb, b.msb])).toEqual([['Main', 0, 0], ['Strings', 5, 1]]);
+        // Delays are not stored before v3
+        expect(parsed.melodic[0].instruments[0].delayOnMs).toBe(0);
+        expect(parsed.melodic[0].instruments[0].name).toBe('Piano');
+        // Missing instruments are padded with blanks
+        expect(parsed.melodic[1].instruments).toHaveLength(128);
+        expect(parsed.melodic[1].instruments.every(i => i.isBlank)).toBe(true);
+    });
+
+    it('should number banks in order in v1', () => {
+        const bank = makeBank();
+        bank.melodic.push({ name: 'Strings', lsb: 5, msb: 1, instruments: [] });
+        const bytes = serializeWopl(bank, { version: 1 });
+        const parsed = parseWopl(bytes);
+
+        expect(bytes.length).toBe(19 + 3 * 128 * 62);
+        expect(parsed.melodic.map(b => [b.name, b.lsb, b.msb])).toEqual([['', 0, 0], ['', 1, 0]]);
+        expect(parsed.percussion[0].instruments[35].name).toBe('Kick');
+        expect(parsed.percussion[0].instruments[35].rhythmMode).toBe(1);
+    });
+
+    it('should write names as truncated Latin-1', () => {
+        const bank = makeBank();
+        bank.melodic[0].name = 'x'.repeat(30) + 'é';
+        bank.melodic[0].instruments[0].name = 'A'.repeat(40);
+        bank.melodic[0].instruments[1].name = 'Piano ♪';
+        const bytes = serializeWopl(bank);
+        const parsed = parseWopl(bytes);
+
+        expect(parsed.melodic[0].name).toBe('x'.repeat(30) + 'é');
+        expect(bytes[19 + 30]).toBe(0xE9);
+        expect(parsed.melodic[0].instruments[0].name).toBe('A'.repeat(31));
+        expect(parsed.melodic[0].instruments[1].name).toBe('Piano ?');
+    });
+
+    it('should accept an ArrayBuffer', () => {
+        const bytes = serializeWopl(makeBank());
+        const parsed = parseWopl(bytes.slice().buffer);
+        expect(parsed.melodic[0].instruments[0].name).toBe('Piano');
+    });
+
+    it('should reject invalid data', () => {
+        expect(() => parseWopl(new Uint8Array(64))).toThrow('Not a WOPL bank file');
+
+        const bytes = serializeWopl(makeBank());
+        expect(() => parseWopl(bytes.subarray(0, bytes.length - 1))).toThrow('truncated');
+
+        const future = bytes.slice();
+        future[11] = 4;
+        expect(() => parseWopl(future)).toThrow('Unsupported WOPL version: 4');
+
+        expect(() => serializeWopl(makeBank(), { version: 0 })).toThrow('Unsupported WOPL version');
+    });
+});
+
+describe('Instrument Files', () => {
+    /** 2-op instrument with non-default values everywhere SBI can store them */
+    function makeInstrument() {
+        const inst = { ...defaultInstrument(), name: 'Slap Bass', isBlank: false };
+        delete inst.version;
+        inst.noteOffset1 = -12;
+        inst.percussionKey = 40;
+        inst.rhythmMode = 2;
+        inst.feedback1 = 6;
+        inst.connection1 = 1;
+        inst.operators[0] = { ...defaultOperator(), am: true, freqMult: 3, keyScaleLevel: 1, totalLevel: 8, attack: 14, decay: 5, sustain: 9, release: 4, waveform: 6 };
+        inst.operators[1] = { ...defaultOperator(), ksr: true, vibrato: true, freqMult: 1, totalLevel: 30, attack: 12, decay: 2, waveform: 1 };
+        return inst;
+    }
+
+    it('should roundtrip a WOPI file', () => {
+        const inst = { ...makeInstrument(), is4op: true, noteOffset2: 7, delayOnMs: 20, delayOffMs: 300 };
+        const bytes = encodeWopi(inst, { percussive: true });
+
+        expect(bytes.length).toBe(14 + 66);
+        expect(new TextDecoder().decode(bytes.subarray(0, 11))).toBe('WOPL3-INST\0');
+
+        const file = decodeWopi(bytes);
+        expect(file.version).toBe(3);
+        expect(file.percussive).toBe(true);
+        expect(file.instrument).toEqual(inst);
+    });
+
+    it('should read and write older WOPI versions', () => {
+        const inst = { ...makeInstrument(), delayOnMs: 20 };
+        const bytes = encodeWopi(inst, { version: 2 });
+        expect(bytes.length).toBe(14 + 62);
+
+        const file = decodeWopi(bytes);
+        expect(file.version).toBe(2);
+        expect(file.percussive).toBe(false);
+        expect(file.instrument.delayOnMs).toBe(0);
+        expect(file.instrument.operators).toEqual(inst.operators);
+    });
+
+    it('should reject invalid WOPI data', () => {
+        expect(() => decodeWopi(new Uint8Array(80))).toThrow('Not a WOPI instrument file');
+        const bytes = encodeWopi(makeInstrument());
+        expect(() => decodeWopi(bytes.subarray(0, 40))).toThrow('truncated');
+        expect(() => encodeWopi(makeInstrument(), { version: 9 })).toThrow('Unsupported WOPI version');
+    });
+
+    it('should roundtrip an SBI file', () => {
+        const inst = makeInstrument();
+        const bytes = encodeSbi(inst);
+
+        expect(bytes.length).toBe(52);
+        expect([...bytes.subarray(0, 4)]).toEqual([0x53, 0x42, 0x49, 0x1A]);
+        // Rhythm mode 2 (snare) is voice 7
+        expect(bytes[36 + 11]).toBe(7);
+
+        expect(decodeSbi(bytes)).toEqual(inst);
+        // Files without the reserved bytes still load
+        expect(decodeSbi(bytes.subarray(0, 47)).operators).toEqual(inst.operators);
+    });
+
+    it('should reject 4-op instruments in SBI', () => {
+        expect(() => encodeSbi({ ...makeInstrument(), is4op: true })).toThrow('2-op');
+        expect(() => decodeSbi(new Uint8Array(52))).toThrow('Not a Creative SBI instrument');
+    });
+
+    it('should roundtrip OPLI JSON', () => {
+        const inst = { ...makeInstrument(), is4op: true, delayOffMs: 100 };
+        const json = encodeOpliJson(inst, { percussive: true });
+        const parsed = JSON.parse(json);
+
+        expect(parsed.format).toBe('opli');
+        expect(parsed.version).toBe(1);
+        expect(parsed.instrument.version).toBeUndefined();
+
+        const file = decodeOpliJson(json);
+        expect(file.percussive).toBe(true);
+        expect(file.instrument).toEqual(inst);
+        expect(decodeOpliJson(parsed).instrument).toEqual(inst);
+    });
+
+    it('should fill missing OPLI JSON fields with defaults', () => {
+        const file = decodeOpliJson({
+            format: 'opli',
+            version: 1,
+            instrument: { operators: [{ attack: 3 }, {}], futureField: 1 },
+        });
+
+        expect(file.percussive).toBe(false);
+        expect(file.instrument.name).toBe('');
+        expect(file.instrument.isBlank).toBe(false);
+        expect(file.instrument.operators).toHaveLength(4);
+        expect(file.instrument.operators[0]).toEqual({ ...defaultOperator(), attack: 3 });
+        expect(file.instrument.operators[3]).toEqual(defaultOperator());
+        expect(file.instrument.futureField).toBeUndefined();
+    });
+
+    it('should reject invalid OPLI JSON', () => {
+        const valid = JSON.parse(encodeOpliJson(makeInstrument()));
+
+        expect(() => decodeOpliJson({ ...valid, format: 'other' })).toThrow('Not an OPLI JSON instrument');
+        expect(() => decodeOpliJson({ ...valid, version: 2 })).toThrow('Unsupported OPLI JSON version: 2');
+        expect(() => decodeOpliJson({ ...valid, instrument: { operators: [] } })).toThrow('2 to 4 operators');
+
+        const badOperator = structuredClone(valid);
+        badOperator.instrument.operators[1].attack = 16;
+        expect(() => decodeOpliJson(badOperator)).toThrow('operators[1].attack must be an integer from 0 to 15');
+
+        const badFlag = structuredClone(valid);
+        badFlag.instrument.is4op = 'yes';
+        expect(() => decodeOpliJson(badFlag)).toThrow('is4op must be a boolean');
+    });
+});
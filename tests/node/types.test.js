@@ -32,6 +32,12 @@ describe('TypeScript Definitions', () => {
         expect(content).toContain('export class AdlMidi');
     });
 
+    it('should export AdlMidiTimeoutError class', () => {
+        const content = readFileSync(dtsPath, 'utf8');
+        expect(content).toContain('export class AdlMidiTimeoutError extends Error');
+        expect(content).toContain('requestType: string');
+    });
+
     it('should export Operator type', () => {
         const content = readFileSync(dtsPath, 'utf8');
         expect(content).toContain('export type Operator');
@@ -0,0 +1,92 @@
+/**
+ * Tests for WAV encoding
+ */
+
+import { describe, it, expect } from 'vitest';
+import { encodeWav } from '../../src/utils/wav.js';
+
+/**
+ * @param {Uint8Array} bytes
+ */
+const view = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ */
+const fourcc = (bytes, offset) => String.fromCharCode(...bytes.slice(offset, offset + 4));
+
+describe('WAV Encoding', () => {
+    const samples = new Float32Array([0, 0, 1, -1, 0.5, -0.5]);
+
+    it('should write a 16-bit PCM header and data', () => {
+        const wav = encodeWav(samples, 44100);
+        const v = view(wav);
+
+        expect(fourcc(wav, 0)).toBe('RIFF');
+        expect(v.getUint32(4, true)).toBe(wav.length - 8);
+        expect(fourcc(wav, 8)).toBe('WAVE');
+        expect(fourcc(wav, 12)).toBe('fmt ');
+        expect(v.getUint16(20, true)).toBe(1); // PCM
+        expect(v.getUint16(22, true)).toBe(2);
+        expect(v.getUint32(24, true)).toBe(44100);
+        expect(v.getUint32(28, true)).toBe(44100 * 4);
+        expect(v.getUint16(32, true)).toBe(4);
+        expect(v.getUint16(34, true)).toBe(16);
+        expect(fourcc(wav, 36)).toBe('data');
+        expect(v.getUint32(40, true)).toBe(12);
+
+        expect(v.getInt16(48, true)).toBe(32767);
+        expect(v.getInt16(50, true)).toBe(-32767);
+        expect(v.getInt16(52, true)).toBe(16384);
+    });
+
+    it('should write 24-bit PCM', () => {
+        const wav = encodeWav(samples, 48000, { bitDepth: 24 });
+        const v = view(wav);
+
+        expect(v.getUint16(34, true)).toBe(24);
+        expect(v.getUint16(32, true)).toBe(6);
+        expect(v.getUint32(40, true)).toBe(18);
+        // -1.0 => -8388607 => 0x800001 little-endian
+        expect(Array.from(wav.slice(44 + 9, 44 + 12))).toEqual([0x01, 0x00, 0x80]);
+    });
+
+    it('should write 32-bit float', () => {
+        const wav = encodeWav(samples, 44100, { bitDepth: 32 });
+        const v = view(wav);
+
+        expect(v.getUint16(20, true)).toBe(3); // IEEE float
+        expect(v.getUint16(34, true)).toBe(32);
+        expect(v.getFloat32(44 + 16, true)).toBe(0.5);
+    });
+
+    it('should clamp integer output', () => {
+        const wav = encodeWav(new Float32Array([2, -2]), 44100);
+        expect(view(wav).getInt16(44, true)).toBe(32767);
+        expect(view(wav).getInt16(46, true)).toBe(-32767);
+    });
+
+    it('should append RIFF INFO tags', () => {
+        const wav = encodeWav(new Float32Array([0]), 44100, {
+            channels: 1,
+            info: { INAM: 'Song', ICMT: 'abc' },
+        });
+        const v = view(wav);
+
+        expect(v.getUint16(22, true)).toBe(1);
+        // One 16-bit sample, no padding needed
+        expect(fourcc(wav, 46)).toBe('LIST');
+        expect(v.getUint32(50, true)).toBe(wav.length - 54);
+        expect(fourcc(wav, 54)).toBe('INFO');
+        expect(fourcc(wav, 58)).toBe('INAM');
+        expect(v.getUint32(62, true)).toBe(5); // "Song\0"
+        expect(fourcc(wav, 72)).toBe('ICMT'); // 5 bytes padded to 6
+        expect(v.getUint32(4, true)).toBe(wav.length - 8);
+    });
+
+    it('should reject unsupported bit depths', () => {
+        // @ts-expect-error - testing invalid input
+        expect(() => encodeWav(samples, 44100, { bitDepth: 8 })).toThrow(/bit depth/);
+    });
+});